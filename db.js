@@ -0,0 +1,446 @@
+/**
+ * db.js — SQLite persistence layer for Stations-Sprint
+ *
+ * Durable data lives in SQLite (better-sqlite3, synchronous API):
+ *   leaderboard          → every final score (boards are top-10 queries per period)
+ *   players_sessions     → connect/disconnect audit trail
+ *   shifts               → one row per finished shift (team totals)
+ *   shift_players        → each player's contribution to a shift
+ *   shift_events         → a shift's event log (spawns, claims, resolves, vitals …) for replays
+ *   profiles             → a protected name (PIN) with career totals
+ *   profile_devices      → device keys that may play as a profile without the PIN
+ *   decisions            → every protocol step chosen by a player (learning analytics)
+ *
+ * Live game state is in Redis — see redis.js.
+ */
+
+const Database = require('better-sqlite3');
+const path     = require('path');
+const fs       = require('fs');
+const crypto   = require('crypto');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data'); // tests use a temporary one
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const db = new Database(path.join(DATA_DIR, 'database.db'));
+db.exec(`
+  CREATE TABLE IF NOT EXISTS players_sessions (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    socket_id       TEXT,
+    name            TEXT,
+    score           INTEGER DEFAULT 0,
+    connected_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    disconnected_at DATETIME
+  );
+  CREATE TABLE IF NOT EXISTS leaderboard (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    name        TEXT,
+    score       INTEGER,
+    achieved_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS shifts (
+    id               INTEGER PRIMARY KEY AUTOINCREMENT,
+    ward             TEXT,
+    started_at       DATETIME,
+    ended_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+    team_score       INTEGER DEFAULT 0,
+    stabilized       INTEGER DEFAULT 0,
+    missed_routine   INTEGER DEFAULT 0,
+    missed_urgent    INTEGER DEFAULT 0,
+    missed_critical  INTEGER DEFAULT 0,
+    admitted         INTEGER DEFAULT 0,
+    discharged       INTEGER DEFAULT 0,
+    transferred      INTEGER DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS shift_players (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    shift_id  INTEGER REFERENCES shifts(id),
+    name      TEXT,
+    score     INTEGER DEFAULT 0,
+    resolved  INTEGER DEFAULT 0,
+    wrong     INTEGER DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS shift_events (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    shift_id  INTEGER REFERENCES shifts(id),
+    at        INTEGER,
+    type      TEXT,
+    data      TEXT
+  );
+  CREATE TABLE IF NOT EXISTS profiles (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    name              TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    pin_hash          TEXT,
+    created_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    failed_pins       INTEGER DEFAULT 0,
+    locked_until      INTEGER DEFAULT 0,
+    shifts            INTEGER DEFAULT 0,
+    resolved          INTEGER DEFAULT 0,
+    correct           INTEGER DEFAULT 0,
+    wrong             INTEGER DEFAULT 0,
+    best_streak       INTEGER DEFAULT 0,
+    reaction_ms_total INTEGER DEFAULT 0,
+    reactions         INTEGER DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS decisions (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    decided_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ward        TEXT,
+    scenario    TEXT,
+    profile_id  INTEGER,
+    player      TEXT,
+    task_id     TEXT,
+    symptom     TEXT,
+    urgency     TEXT,
+    room        INTEGER,
+    step        INTEGER,
+    steps       INTEGER,
+    expected    TEXT,
+    chosen      TEXT,
+    correct     INTEGER,
+    latency_ms  INTEGER,
+    hr          INTEGER,
+    o2          INTEGER,
+    temp        REAL,
+    bp          INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS profile_devices (
+    key_hash    TEXT PRIMARY KEY,
+    profile_id  INTEGER REFERENCES profiles(id),
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+/** Add a column to a table created by an older version (CREATE TABLE IF NOT EXISTS skips it). */
+function addColumn(table, column, type) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+}
+addColumn('shifts', 'admitted',    'INTEGER DEFAULT 0');
+addColumn('shifts', 'discharged',  'INTEGER DEFAULT 0');
+addColumn('shifts', 'transferred', 'INTEGER DEFAULT 0');
+addColumn('leaderboard',   'profile_id', 'INTEGER');
+addColumn('shift_players', 'profile_id', 'INTEGER');
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_leaderboard_score       ON leaderboard(score);
+  CREATE INDEX IF NOT EXISTS idx_leaderboard_achieved_at ON leaderboard(achieved_at);
+  CREATE INDEX IF NOT EXISTS idx_leaderboard_name        ON leaderboard(name);
+  CREATE INDEX IF NOT EXISTS idx_decisions_decided_at    ON decisions(decided_at);
+  CREATE INDEX IF NOT EXISTS idx_shift_events_shift      ON shift_events(shift_id);
+`);
+
+/** Format epoch ms like SQLite's CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC). */
+function sqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/** WHERE clause + named params for an optional { since, until } range (epoch ms) on `column`. */
+function timeRange(column, { since = null, until = null } = {}) {
+  const conditions = [];
+  const params     = {};
+  if (since !== null) { conditions.push(`${column} >= @since`); params.since = sqlTime(since); }
+  if (until !== null) { conditions.push(`${column} < @until`);  params.until = sqlTime(until); }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// ── Leaderboard ─────────────────────────────────────────────
+
+/** Top 10, optionally only scores achieved since `since` (epoch ms). */
+function getTopScores({ since = null } = {}) {
+  const { where, params } = timeRange('achieved_at', { since });
+  return db.prepare(`
+    SELECT name, score, achieved_at FROM leaderboard ${where}
+    ORDER BY score DESC, achieved_at ASC LIMIT 10
+  `).all(params);
+}
+
+/** One page of the leaderboard, best first: { total, entries }. */
+function queryLeaderboard({ limit, offset, since, until }) {
+  const { where, params } = timeRange('achieved_at', { since, until });
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM leaderboard ${where}`).get(params);
+  const entries = db.prepare(`
+    SELECT name, score, achieved_at FROM leaderboard ${where}
+    ORDER BY score DESC, achieved_at ASC LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+  return { total, entries };
+}
+
+function insertScore(name, score, profileId = null) {
+  db.prepare('INSERT INTO leaderboard (name, score, profile_id) VALUES (?, ?, ?)').run(name, score, profileId);
+}
+
+/** A name's best score and its `limit` most recent ones: { best, recent } (best null if none). */
+function getPersonalResults(name, limit = 5) {
+  const best = db.prepare(`
+    SELECT score, achieved_at FROM leaderboard WHERE name = ?
+    ORDER BY score DESC, achieved_at ASC LIMIT 1
+  `).get(name) || null;
+  const recent = db.prepare(`
+    SELECT score, achieved_at FROM leaderboard WHERE name = ?
+    ORDER BY achieved_at DESC, id DESC LIMIT ?
+  `).all(name, limit);
+  return { best, recent };
+}
+
+// ── Session audit ───────────────────────────────────────────
+
+// players_sessions.socket_id holds the playerId — one row per resumable session
+function insertSession(playerId, name) {
+  db.prepare('INSERT INTO players_sessions (socket_id, name) VALUES (?, ?)').run(playerId, name);
+}
+
+/** One page of the session audit, newest first: { total, sessions }. */
+function querySessions({ limit, offset, since, until }) {
+  const { where, params } = timeRange('connected_at', { since, until });
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM players_sessions ${where}`).get(params);
+  const sessions = db.prepare(`
+    SELECT id, socket_id, name, score, connected_at, disconnected_at FROM players_sessions ${where}
+    ORDER BY connected_at DESC, id DESC LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+  return { total, sessions };
+}
+
+function finalizeSession(playerId, score) {
+  db.prepare(`
+    UPDATE players_sessions
+    SET score = ?, disconnected_at = CURRENT_TIMESTAMP
+    WHERE socket_id = ?
+  `).run(score, playerId);
+}
+
+// ── Shifts ──────────────────────────────────────────────────
+
+/**
+ * Store a finished shift with its per-player breakdown and event log.
+ * summary: { ward, startedAt, teamScore, stabilized, admitted, discharged, transferred,
+ *            missed: { routine, urgent, critical }, players: [{ name, profileId, score, resolved, wrong }] }
+ * events:  [{ at, type, data }] (see redis.js, "Shift event log")
+ * Returns the new shift id.
+ */
+const insertShift = db.transaction((summary, events = []) => {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO shifts
+      (ward, started_at, team_score, stabilized, missed_routine, missed_urgent, missed_critical,
+       admitted, discharged, transferred)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    summary.ward,
+    sqlTime(summary.startedAt),
+    summary.teamScore,
+    summary.stabilized,
+    summary.missed.routine,
+    summary.missed.urgent,
+    summary.missed.critical,
+    summary.admitted,
+    summary.discharged,
+    summary.transferred
+  );
+
+  const insertPlayer = db.prepare(
+    'INSERT INTO shift_players (shift_id, name, profile_id, score, resolved, wrong) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  for (const p of summary.players) {
+    insertPlayer.run(lastInsertRowid, p.name, p.profileId ?? null, p.score, p.resolved, p.wrong);
+  }
+
+  const insertEvent = db.prepare('INSERT INTO shift_events (shift_id, at, type, data) VALUES (?, ?, ?, ?)');
+  for (const e of events) {
+    insertEvent.run(lastInsertRowid, e.at, e.type, JSON.stringify(e.data));
+  }
+  return lastInsertRowid;
+});
+
+/** One page of finished shifts, newest first: { total, shifts } (optionally of one ward). */
+function queryShifts({ limit, offset, since, until, ward = null }) {
+  let { where, params } = timeRange('ended_at', { since, until });
+  if (ward) {
+    where = `${where ? `${where} AND` : 'WHERE'} ward = @ward`;
+    params.ward = ward;
+  }
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM shifts ${where}`).get(params);
+  const shifts = db.prepare(`
+    SELECT * FROM shifts ${where}
+    ORDER BY ended_at DESC, id DESC LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+  return { total, shifts };
+}
+
+/** A shift row with its players and event log ({ shift, players, events }), or null. */
+function getShiftDetail(id) {
+  const shift = db.prepare('SELECT * FROM shifts WHERE id = ?').get(id);
+  if (!shift) return null;
+  const players = db.prepare(`
+    SELECT name, score, resolved, wrong FROM shift_players WHERE shift_id = ? ORDER BY score DESC
+  `).all(id);
+  const events = db.prepare('SELECT at, type, data FROM shift_events WHERE shift_id = ? ORDER BY id')
+    .all(id)
+    .map(e => ({ at: e.at, type: e.type, data: JSON.parse(e.data) }));
+  return { shift, players, events };
+}
+
+// ── Decisions ───────────────────────────────────────────────
+
+/**
+ * Log one protocol step.
+ * d: { ward, scenario, profileId, player, taskId, symptom, urgency, room, step, steps,
+ *      expected, chosen, correct, latencyMs, vitals: { hr, o2, temp, bp } | null }
+ */
+function insertDecision(d) {
+  const v = d.vitals || {};
+  db.prepare(`
+    INSERT INTO decisions
+      (ward, scenario, profile_id, player, task_id, symptom, urgency, room, step, steps,
+       expected, chosen, correct, latency_ms, hr, o2, temp, bp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    d.ward, d.scenario, d.profileId ?? null, d.player, d.taskId, d.symptom, d.urgency, d.room,
+    d.step, d.steps, d.expected, d.chosen, d.correct ? 1 : 0, d.latencyMs ?? null,
+    v.hr ?? null, v.o2 ?? null, v.temp ?? null, v.bp ?? null
+  );
+}
+
+/** WHERE clause + params for { since, until, ward, player } (each optional). */
+function decisionFilter({ since = null, until = null, ward = null, player = null } = {}) {
+  const conditions = [];
+  const params     = {};
+  if (since !== null) { conditions.push('decided_at >= @since'); params.since = sqlTime(since); }
+  if (until !== null) { conditions.push('decided_at < @until');  params.until = sqlTime(until); }
+  if (ward)   { conditions.push('ward = @ward');     params.ward   = ward; }
+  if (player) { conditions.push('player = @player'); params.player = player; }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/** Confusion counts: one row per scenario, symptom, expected and chosen action. */
+function getDecisionMatrix(filter) {
+  const { where, params } = decisionFilter(filter);
+  return db.prepare(`
+    SELECT scenario, symptom, expected, chosen, COUNT(*) AS count
+    FROM decisions ${where}
+    GROUP BY scenario, symptom, expected, chosen
+  `).all(params);
+}
+
+/** Per-player totals: name, decisions, correct, avg_latency_ms. */
+function getDecisionPlayers(filter) {
+  const { where, params } = decisionFilter(filter);
+  return db.prepare(`
+    SELECT player AS name, COUNT(*) AS decisions, SUM(correct) AS correct,
+           ROUND(AVG(latency_ms)) AS avg_latency_ms
+    FROM decisions ${where}
+    GROUP BY player ORDER BY player COLLATE NOCASE
+  `).all(params);
+}
+
+/** Ward codes that have logged decisions, for the analytics filter. */
+function getDecisionWards() {
+  return db.prepare('SELECT DISTINCT ward FROM decisions ORDER BY ward').all().map(row => row.ward);
+}
+
+/** All matching decisions, oldest first, as an iterator (CSV export). */
+function iterateDecisions(filter) {
+  const { where, params } = decisionFilter(filter);
+  return db.prepare(`SELECT * FROM decisions ${where} ORDER BY decided_at, id`).iterate(params);
+}
+
+// ── Profiles ────────────────────────────────────────────────
+// Only hashes are stored: PINs with scrypt and a per-PIN salt, device keys
+// (random, 32 bytes) with SHA-256. Repeated wrong PINs lock the profile for a while.
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCK_MS      = 5 * 60 * 1000;
+
+function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(String(pin), salt, 32).toString('hex')}`;
+}
+
+function hashDeviceKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/** Profile row by name, case-insensitive (undefined if nobody owns it). */
+function getProfileByName(name) {
+  return db.prepare('SELECT * FROM profiles WHERE name = ?').get(name);
+}
+
+function getProfile(id) {
+  return db.prepare('SELECT * FROM profiles WHERE id = ?').get(id);
+}
+
+/** Issue a new device key for a profile. Returns the plain key — it is not stored. */
+function addDevice(profileId) {
+  const key = crypto.randomBytes(32).toString('hex');
+  db.prepare('INSERT INTO profile_devices (key_hash, profile_id) VALUES (?, ?)').run(hashDeviceKey(key), profileId);
+  return key;
+}
+
+function hasDevice(profileId, key) {
+  return !!db.prepare('SELECT 1 FROM profile_devices WHERE key_hash = ? AND profile_id = ?')
+    .get(hashDeviceKey(key), profileId);
+}
+
+function removeDevice(profileId, key) {
+  db.prepare('DELETE FROM profile_devices WHERE key_hash = ? AND profile_id = ?').run(hashDeviceKey(key), profileId);
+}
+
+/** Create a profile (optionally PIN-protected) with a first device: { profile, deviceKey }. */
+const createProfile = db.transaction((name, pin = null) => {
+  const { lastInsertRowid } = db.prepare('INSERT INTO profiles (name, pin_hash) VALUES (?, ?)')
+    .run(name, pin ? hashPin(pin) : null);
+  return { profile: getProfile(lastInsertRowid), deviceKey: addDevice(lastInsertRowid) };
+});
+
+function setPin(profileId, pin) {
+  db.prepare('UPDATE profiles SET pin_hash = ?, failed_pins = 0, locked_until = 0 WHERE id = ?')
+    .run(hashPin(pin), profileId);
+}
+
+/** Check a PIN against the profile: 'ok', 'wrong' (also without a PIN set) or 'locked'. */
+function verifyPin(profileId, pin) {
+  const profile = getProfile(profileId);
+  if (!profile || !profile.pin_hash) return 'wrong';
+  if (profile.locked_until > Date.now()) return 'locked';
+
+  const [salt, hash] = profile.pin_hash.split(':');
+  const given = Buffer.from(hashPin(pin, salt).split(':')[1], 'hex');
+  if (crypto.timingSafeEqual(given, Buffer.from(hash, 'hex'))) {
+    db.prepare('UPDATE profiles SET failed_pins = 0 WHERE id = ?').run(profileId);
+    return 'ok';
+  }
+  const failures = profile.failed_pins + 1;
+  const locked   = failures >= PIN_MAX_FAILURES;
+  db.prepare('UPDATE profiles SET failed_pins = ?, locked_until = ? WHERE id = ?')
+    .run(locked ? 0 : failures, locked ? Date.now() + PIN_LOCK_MS : 0, profileId);
+  return locked ? 'locked' : 'wrong';
+}
+
+/**
+ * Add one stint on a ward to a profile's career totals.
+ * stats: { shifts, resolved, correct, wrong, bestStreak, reactionMs, reactions }
+ */
+function addCareerStats(profileId, stats) {
+  db.prepare(`
+    UPDATE profiles SET
+      shifts            = shifts + @shifts,
+      resolved          = resolved + @resolved,
+      correct           = correct + @correct,
+      wrong             = wrong + @wrong,
+      best_streak       = MAX(best_streak, @bestStreak),
+      reaction_ms_total = reaction_ms_total + @reactionMs,
+      reactions         = reactions + @reactions
+    WHERE id = @profileId
+  `).run({ profileId, ...stats });
+}
+
+module.exports = {
+  db, // raw handle for advanced use
+  // Leaderboard
+  getTopScores, queryLeaderboard, insertScore, getPersonalResults,
+  // Session audit
+  insertSession, querySessions, finalizeSession,
+  // Shifts
+  insertShift, queryShifts, getShiftDetail,
+  // Decisions
+  insertDecision, getDecisionMatrix, getDecisionPlayers, getDecisionWards, iterateDecisions,
+  // Profiles
+  getProfileByName, getProfile, createProfile, addDevice, hasDevice, removeDevice,
+  setPin, verifyPin, addCareerStats,
+};
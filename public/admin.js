@@ -0,0 +1,426 @@
+/**
+ * admin.js — Stations-Sprint instructor panel (/admin)
+ *
+ * Responsibilities:
+ *   - Log in to the /admin namespace with the admin token (kept in sessionStorage)
+ *   - Watch one ward: live rooms, vitals, tasks and players (the players'
+ *     worldUpdate / vitalsUpdate stream, but with exam scores and Experte
+ *     diagnoses left in)
+ *   - Send: setPaused, setMode, setDifficulty, setAdaptive, setSpeed, setMaxTasks,
+ *           injectTask, resetVitals, kickPlayer, renamePlayer, getAnalytics
+ *   - Learning analytics: confusion matrices per symptom, per-player accuracy,
+ *     CSV download of the decision log (/admin/decisions.csv)
+ *
+ * Like game.js, the panel only renders — the server validates every command.
+ */
+
+// ── DOM refs ─────────────────────────────────────────────────
+const screenLogin   = document.getElementById('screen-login');
+const screenPanel   = document.getElementById('screen-panel');
+const loginForm     = document.getElementById('login-form');
+const tokenInput    = document.getElementById('token-input');
+const loginError    = document.getElementById('login-error');
+const wardSelect    = document.getElementById('ward-select');
+const displayLink   = document.getElementById('display-link');
+const wardMeta      = document.getElementById('ward-meta');
+const teamScoreEl   = document.getElementById('team-score');
+const shiftStatus   = document.getElementById('shift-status');
+const noWard        = document.getElementById('no-ward');
+const wardView      = document.getElementById('ward-view');
+const roomGrid      = document.getElementById('room-grid');
+const playerList    = document.getElementById('player-list');
+const btnPause      = document.getElementById('btn-pause');
+const modeSelect    = document.getElementById('mode-select');
+const difficultySelect = document.getElementById('difficulty-select');
+const adaptiveInput = document.getElementById('adaptive-input');
+const speedInput    = document.getElementById('speed-input');
+const maxTasksInput = document.getElementById('max-tasks-input');
+const injectRoom    = document.getElementById('inject-room');
+const injectSymptom = document.getElementById('inject-symptom');
+const injectUrgency = document.getElementById('inject-urgency');
+const btnAnalytics  = document.getElementById('btn-analytics');
+const analyticsView = document.getElementById('analytics-view');
+const analyticsPeriod  = document.getElementById('analytics-period');
+const analyticsWard    = document.getElementById('analytics-ward');
+const analyticsPlayer  = document.getElementById('analytics-player');
+const analyticsPlayers = document.getElementById('analytics-players');
+const analyticsSymptoms = document.getElementById('analytics-symptoms');
+const toastEl       = document.getElementById('toast');
+const toastInner    = document.getElementById('toast-inner');
+
+// ── State (rendering only) ───────────────────────────────────
+let socket     = null;
+let watching   = null;   // ward code
+let info       = null;   // { ward, settings, scenario } from wardInfo
+let worldState = null;   // last worldUpdate, patched in place by vitalsUpdate
+let toastTimer = null;
+let hasWards   = false;  // any ward open (live view)
+let showAnalytics = false;
+let analytics  = null;   // last analytics answer
+
+const PHASE_LABEL = { lobby: 'Bereitschaft', running: 'Schicht läuft', ended: 'Schichtende' };
+
+// ── Connection ───────────────────────────────────────────────
+function connect(token) {
+  if (socket) socket.disconnect();
+  socket = io('/admin', { auth: { token } });
+
+  socket.on('connect', () => {
+    sessionStorage.setItem('stationsSprintAdminToken', token);
+    loginError.textContent = '';
+    screenLogin.classList.remove('active');
+    screenPanel.classList.add('active');
+  });
+
+  socket.on('connect_error', (err) => {
+    if (socket.active) return; // network hiccup — Socket.io keeps retrying
+    // Refused by the server's token check
+    sessionStorage.removeItem('stationsSprintAdminToken');
+    screenPanel.classList.remove('active');
+    screenLogin.classList.add('active');
+    loginError.textContent = err.message;
+  });
+
+  socket.on('wards', renderWardPicker);
+
+  socket.on('wardInfo', (data) => {
+    info = data;
+    renderControls();
+    renderInjectOptions();
+  });
+
+  socket.on('worldUpdate', (state) => {
+    worldState = state;
+    renderWorld();
+  });
+
+  socket.on('vitalsUpdate', (changed) => {
+    if (!worldState) return;
+    Object.assign(worldState.vitals, changed);
+    renderRooms();
+  });
+
+  socket.on('patientFlow', ({ type, room, name }) => {
+    const verb = { admitted: 'aufgenommen', discharged: 'entlassen', transferred: 'auf ITS verlegt' }[type];
+    showToast(`Zi. ${room}: ${name} ${verb}`, 'bg-slate-600');
+  });
+
+  socket.on('wardClosed', ({ ward }) => {
+    showToast(`Station ${ward} wurde geschlossen`, 'bg-slate-600');
+    watching = null;
+    worldState = null;
+    socket.emit('listWards');
+  });
+
+  socket.on('analytics', (data) => {
+    analytics = data;
+    renderAnalytics();
+  });
+
+  socket.on('adminError', (message) => showToast(`⚡ ${message}`, 'bg-red-600'));
+}
+
+// ── Rendering ────────────────────────────────────────────────
+function renderWardPicker(wards) {
+  wardSelect.innerHTML = wards.map(w => `
+    <option value="${esc(w.code)}">${esc(w.code)} · ${w.players} 👤 · ${esc(PHASE_LABEL[w.phase] || w.phase)}</option>
+  `).join('');
+
+  hasWards = wards.length > 0;
+  renderView();
+  if (!hasWards) return;
+
+  // Stay on the watched ward if it is still open, else pick the first one
+  const keep = wards.some(w => w.code === watching) ? watching : wards[0].code;
+  wardSelect.value = keep;
+  if (keep !== watching) watchWard(keep);
+}
+
+/** Live ward view or analytics, whichever is selected. */
+function renderView() {
+  noWard.classList.toggle('hidden', showAnalytics || hasWards);
+  wardView.classList.toggle('hidden', showAnalytics || !hasWards);
+  analyticsView.classList.toggle('hidden', !showAnalytics);
+  btnAnalytics.textContent = showAnalytics ? '🏥 Live' : '📊 Auswertung';
+}
+
+function watchWard(code) {
+  watching   = code;
+  worldState = null;
+  displayLink.href = `/display?ward=${encodeURIComponent(code)}`;
+  socket.emit('watchWard', code);
+}
+
+function renderControls() {
+  const { settings, scenario } = info;
+  wardMeta.textContent = scenario.name;
+
+  btnPause.textContent = settings.paused ? '▶️ Spawner fortsetzen' : '⏸ Spawner pausieren';
+  btnPause.className   = `w-full rounded-lg font-bold py-2.5 active:scale-95 transition ${settings.paused ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-slate-700 hover:bg-slate-600'}`;
+
+  modeSelect.value       = settings.mode;
+  difficultySelect.value = settings.difficulty;
+  adaptiveInput.checked  = settings.adaptive;
+  if (document.activeElement !== speedInput)    speedInput.value    = settings.speed;
+  if (document.activeElement !== maxTasksInput) maxTasksInput.value = settings.maxTasks ?? '';
+  speedInput.placeholder = settings.defaultSpeed;
+}
+
+function renderInjectOptions() {
+  const { scenario } = info;
+  injectSymptom.innerHTML = Object.entries(scenario.symptoms)
+    .map(([key, s]) => `<option value="${esc(key)}">${s.icon} ${esc(s.label)}</option>`).join('');
+  injectUrgency.innerHTML = Object.entries(scenario.urgency)
+    .map(([key, u]) => `<option value="${esc(key)}">${esc(u.label)}</option>`).join('');
+}
+
+function renderWorld() {
+  teamScoreEl.textContent = worldState.teamScore ?? 0;
+  const { phase, remainingMs } = worldState.shift;
+  shiftStatus.textContent = phase === 'running'
+    ? `${PHASE_LABEL.running} · noch ${Math.ceil(remainingMs / 60000)} min`
+    : PHASE_LABEL[phase] || phase;
+
+  // Only occupied rooms can receive a task; keep the current choice if possible
+  const selected = injectRoom.value;
+  injectRoom.innerHTML = worldState.rooms
+    .filter(p => p.status === 'occupied')
+    .map(p => `<option value="${p.room}">Zi. ${p.room} · ${esc(p.name)}</option>`).join('');
+  if ([...injectRoom.options].some(o => o.value === selected)) injectRoom.value = selected;
+
+  renderRooms();
+  renderPlayers();
+}
+
+function renderRooms() {
+  const { rooms, tasks, vitals } = worldState;
+  roomGrid.innerHTML = rooms.map(({ room, name, status, icuRisk }) => {
+    if (status !== 'occupied') {
+      return `
+        <div class="rounded-xl border-2 border-dashed border-slate-700 p-3 text-sm text-slate-500">
+          <p class="text-[10px] font-semibold uppercase tracking-wider">Zi. ${room}</p>
+          <p class="italic mt-1">${status === 'cleaning' ? '🧽 Reinigung' : '🛏️ Frei'}</p>
+        </div>`;
+    }
+    const v = vitals[room];
+    const roomTasks = tasks.filter(t => t.room === room);
+    return `
+      <div class="rounded-xl bg-slate-800 border-2 ${icuRisk ? 'border-red-500' : 'border-slate-700'} p-3 flex flex-col gap-1.5 text-sm">
+        <div class="flex items-center justify-between">
+          <span class="text-[10px] text-slate-500 font-semibold uppercase tracking-wider">Zi. ${room}</span>
+          <button data-reset-room="${room}" class="text-xs text-slate-400 hover:text-white" title="Vitalwerte zurücksetzen">🩺 ↺</button>
+        </div>
+        <p class="font-bold truncate">${esc(name)}</p>
+        ${icuRisk ? '<p class="vital-crit text-[10px] font-bold">🚑 Verlegung droht</p>' : ''}
+        <div class="grid grid-cols-2 gap-x-2 font-mono text-xs">
+          <span class="${v.hr > 115 || v.hr < 45 ? 'vital-crit' : 'text-slate-300'}">❤️ ${v.hr}</span>
+          <span class="${v.o2 < 90 ? 'vital-crit' : 'text-slate-300'}">💨 ${v.o2}%</span>
+          <span class="${v.temp > 39.5 ? 'vital-crit' : 'text-slate-300'}">🌡 ${v.temp}°</span>
+          <span class="${v.bp < 85 || v.bp > 170 ? 'vital-crit' : 'text-slate-300'}">🩸 ${v.bp}</span>
+        </div>
+        ${roomTasks.map(t => `
+          <p class="text-xs rounded bg-slate-900/60 px-2 py-1">
+            ${esc(info?.scenario.symptoms[t.symptom]?.icon || '⚠️')} ${esc(t.label)}
+            <span class="text-slate-400">· ${esc(info?.scenario.urgency[t.urgency]?.label || t.urgency)}</span>
+            ${t.steps > 1 ? `<span class="text-slate-400">· ${t.completed.length}/${t.steps}</span>` : ''}
+            ${t.claimedByName ? `<span class="text-emerald-400">· ${esc(t.claimedByName)}</span>` : ''}
+            ${t.order ? `<span class="text-amber-300">· 📝 ${esc(info?.scenario.actions[t.order.action]?.label || t.order.action)}</span>` : ''}
+          </p>`).join('')}
+      </div>`;
+  }).join('');
+}
+
+function renderPlayers() {
+  const { players } = worldState;
+  if (players.length === 0) {
+    playerList.innerHTML = '<p class="text-slate-500 text-xs py-2">Niemand im Dienst</p>';
+    return;
+  }
+  playerList.innerHTML = players.map(p => `
+    <div class="flex items-center gap-2 py-1.5 ${p.online ? '' : 'opacity-50'}">
+      <span class="flex-1 truncate">${p.role === 'arzt' ? '👨‍⚕️' : '🩺'} ${esc(p.name)} ${p.online ? '' : '📶✗'}</span>
+      <span class="font-mono text-yellow-400 text-xs">${p.score}</span>
+      <button data-rename="${esc(p.id)}" class="rounded bg-slate-700 hover:bg-slate-600 px-2 py-0.5 text-xs" title="Umbenennen">✏️</button>
+      <button data-kick="${esc(p.id)}" class="rounded bg-red-700 hover:bg-red-600 px-2 py-0.5 text-xs" title="Entfernen">⛔</button>
+    </div>
+  `).join('');
+}
+
+// ── Analytics ───────────────────────────────────────────────
+function analyticsFilter() {
+  return { period: analyticsPeriod.value, ward: analyticsWard.value, player: analyticsPlayer.value };
+}
+
+function requestAnalytics() {
+  socket.emit('getAnalytics', analyticsFilter());
+}
+
+/** Options of a filter select; keeps the current choice while it is still offered. */
+function fillSelect(select, allLabel, values) {
+  const selected = select.value;
+  select.innerHTML = `<option value="">${allLabel}</option>` +
+    values.map(v => `<option value="${esc(v)}">${esc(v)}</option>`).join('');
+  select.value = values.includes(selected) ? selected : '';
+}
+
+function renderAnalytics() {
+  const { wards, players, symptoms } = analytics;
+  fillSelect(analyticsWard, 'Alle Stationen', wards);
+  fillSelect(analyticsPlayer, 'Alle Pflegekräfte', players.map(p => p.name));
+
+  analyticsPlayers.innerHTML = players.length === 0
+    ? '<p class="text-slate-500 text-xs py-2">Noch keine Entscheidungen</p>'
+    : players.map(p => `
+      <button data-player="${esc(p.name)}" class="w-full flex items-center gap-2 py-1.5 text-left hover:bg-slate-700/50 ${p.name === analytics.player ? 'text-emerald-400 font-semibold' : ''}">
+        <span class="flex-1 truncate">${esc(p.name)}</span>
+        <span class="text-xs text-slate-400">${p.decisions}×</span>
+        <span class="font-mono text-xs w-12 text-right">${Math.round(p.accuracy * 100)} %</span>
+        <span class="font-mono text-xs w-14 text-right text-slate-400">${p.avgLatencyMs === null ? '–' : `${(p.avgLatencyMs / 1000).toFixed(1)} s`}</span>
+      </button>`).join('');
+
+  analyticsSymptoms.innerHTML = symptoms.length === 0
+    ? '<p class="text-slate-500 text-sm">Keine Entscheidungen für diese Auswahl</p>'
+    : symptoms.map(renderMatrix).join('');
+}
+
+/** One symptom's confusion matrix: expected action per row, chosen action per column. */
+function renderMatrix(entry) {
+  const expected = [...new Set(entry.cells.map(c => c.expected))];
+  const chosen   = [...new Set([...expected, ...entry.cells.map(c => c.chosen)])]; // diagonal first
+  const count    = (e, c) => entry.cells.find(x => x.expected === e && x.chosen === c)?.count || 0;
+
+  const cell = (e, c) => {
+    const n     = count(e, c);
+    const share = n / chosen.reduce((sum, col) => sum + count(e, col), 0);
+    let cls = 'text-slate-600';
+    if (n > 0 && e === c)      cls = 'bg-emerald-700/70';
+    else if (share >= 0.25)    cls = 'bg-red-600 font-bold';
+    else if (n > 0)            cls = 'bg-red-900/60';
+    return `<td class="px-2 py-1 text-center font-mono ${cls}">${n || '·'}</td>`;
+  };
+
+  return `
+    <div class="rounded-xl bg-slate-800 p-3 overflow-x-auto">
+      <div class="flex items-center justify-between mb-2">
+        <span class="font-bold">${entry.icon} ${esc(entry.label)}</span>
+        <span class="text-xs text-slate-400">${entry.correct}/${entry.total} richtig · ${Math.round(entry.correct / entry.total * 100)} %</span>
+      </div>
+      <table class="text-xs">
+        <tr>
+          <th></th>
+          ${chosen.map(c => `<th class="px-2 pb-1 font-normal text-slate-400 whitespace-nowrap">${esc(entry.actions[c])}</th>`).join('')}
+        </tr>
+        ${expected.map(e => `
+          <tr>
+            <th class="pr-2 text-left font-normal text-slate-300 whitespace-nowrap">${esc(entry.actions[e])}</th>
+            ${chosen.map(c => cell(e, c)).join('')}
+          </tr>`).join('')}
+      </table>
+    </div>`;
+}
+
+/** Download the decision log for the current filter (the token goes in a header, not the URL). */
+async function exportCsv() {
+  const params = new URLSearchParams(analyticsFilter());
+  const res = await fetch(`/admin/decisions.csv?${params}`, {
+    headers: { Authorization: `Bearer ${sessionStorage.getItem('stationsSprintAdminToken')}` },
+  });
+  if (!res.ok) { showToast(`⚡ Export fehlgeschlagen (${res.status})`, 'bg-red-600'); return; }
+  const link = document.createElement('a');
+  link.href     = URL.createObjectURL(await res.blob());
+  link.download = res.headers.get('content-disposition')?.match(/filename="?([^";]+)/)?.[1] || 'entscheidungen.csv';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// ── Toast ─────────────────────────────────────────────────────
+function showToast(msg, colorCls = 'bg-orange-500') {
+  clearTimeout(toastTimer);
+  toastInner.textContent = msg;
+  toastInner.className   = `${colorCls} text-white font-bold px-5 py-3 rounded-xl shadow-xl text-sm text-center whitespace-nowrap`;
+  toastEl.classList.remove('hidden');
+  toastTimer = setTimeout(() => toastEl.classList.add('hidden'), 2800);
+}
+
+// ── Utility ───────────────────────────────────────────────────
+function esc(str) {
+  return String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ── Input ─────────────────────────────────────────────────────
+loginForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const token = tokenInput.value.trim();
+  if (token) connect(token);
+});
+
+wardSelect.addEventListener('change', () => watchWard(wardSelect.value));
+document.getElementById('btn-refresh-wards').addEventListener('click', () => socket.emit('listWards'));
+
+btnPause.addEventListener('click', () => socket.emit('setPaused', !info.settings.paused));
+modeSelect.addEventListener('change', () => {
+  socket.emit('setMode', modeSelect.value);
+  modeSelect.value = info.settings.mode; // until wardInfo confirms it
+});
+difficultySelect.addEventListener('change', () => socket.emit('setDifficulty', difficultySelect.value));
+adaptiveInput.addEventListener('change', () => socket.emit('setAdaptive', adaptiveInput.checked));
+
+document.querySelector('[data-apply="speed"]').addEventListener('click', () => {
+  socket.emit('setSpeed', parseFloat(speedInput.value));
+});
+document.querySelector('[data-reset="speed"]').addEventListener('click', () => socket.emit('setSpeed', null));
+document.querySelector('[data-apply="maxTasks"]').addEventListener('click', () => {
+  socket.emit('setMaxTasks', maxTasksInput.value === '' ? null : parseInt(maxTasksInput.value, 10));
+});
+document.querySelector('[data-reset="maxTasks"]').addEventListener('click', () => socket.emit('setMaxTasks', null));
+
+document.getElementById('btn-reset-all').addEventListener('click', () => socket.emit('resetVitals', null));
+
+document.getElementById('btn-inject').addEventListener('click', () => {
+  if (!injectRoom.value) { showToast('Kein belegtes Zimmer', 'bg-slate-600'); return; }
+  socket.emit('injectTask', {
+    room:    parseInt(injectRoom.value, 10),
+    symptom: injectSymptom.value,
+    urgency: injectUrgency.value,
+  });
+});
+
+btnAnalytics.addEventListener('click', () => {
+  showAnalytics = !showAnalytics;
+  renderView();
+  if (showAnalytics) requestAnalytics();
+});
+[analyticsPeriod, analyticsWard, analyticsPlayer].forEach(select => select.addEventListener('change', requestAnalytics));
+analyticsPlayers.addEventListener('click', (e) => {
+  const row = e.target.closest('[data-player]');
+  if (!row) return;
+  // Clicking the selected player again shows everyone
+  analyticsPlayer.value = row.dataset.player === analyticsPlayer.value ? '' : row.dataset.player;
+  requestAnalytics();
+});
+document.getElementById('btn-export-csv').addEventListener('click', exportCsv);
+
+roomGrid.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-reset-room]');
+  if (btn) socket.emit('resetVitals', parseInt(btn.dataset.resetRoom, 10));
+});
+
+playerList.addEventListener('click', (e) => {
+  const kick   = e.target.closest('[data-kick]');
+  const rename = e.target.closest('[data-rename]');
+  const player = worldState?.players.find(p => p.id === (kick || rename)?.dataset[kick ? 'kick' : 'rename']);
+  if (!player) return;
+  if (kick && confirm(`${player.name} aus der Station entfernen?`)) {
+    socket.emit('kickPlayer', player.id);
+  }
+  if (rename) {
+    const name = prompt('Neuer Name', player.name);
+    if (name && name.trim()) socket.emit('renamePlayer', { playerId: player.id, name });
+  }
+});
+
+// ── Init ─────────────────────────────────────────────────────
+const savedToken = sessionStorage.getItem('stationsSprintAdminToken');
+if (savedToken) connect(savedToken);
@@ -0,0 +1,132 @@
+/**
+ * alarms.js — Stations-Sprint alarm tones, vibration and notifications (game.js)
+ *
+ * Monitor-style tones synthesized with Web Audio — no sound files. Like a
+ * bedside monitor, more pulses, a faster rhythm and a higher pitch mean more
+ * urgency:
+ *   routine / urgent / critical → a new task of that urgency
+ *   ttlLow                      → the task I hold is about to expire
+ *   vitals                      → a room's vitals crossed a critical limit
+ * Phones vibrate along; while the tab is in the background a system
+ * notification says what happened. Mute (tones only) and volume are kept per
+ * device (localStorage).
+ *
+ * Browsers play audio only after a user gesture: the first tap or key press
+ * unlocks it. The notification permission is asked for when joining a ward.
+ */
+
+// ── Sounds ────────────────────────────────────────────────────
+//   freq, wave → the pulse's pitch and timbre
+//   pulse      → length of one pulse (ms); at → pulse start times (ms)
+//   level      → loudness relative to the volume setting
+//   priority   → a sound never cuts in on one of higher priority
+//   vibrate    → navigator.vibrate pattern (ms on, off, on, …)
+const ALARM_SOUNDS = {
+  routine:  { freq: 440,  wave: 'sine',     pulse: 160, at: [0, 260],                 level: 0.6,  priority: 1, vibrate: [80] },
+  urgent:   { freq: 523,  wave: 'triangle', pulse: 180, at: [0, 280, 560],            level: 0.8,  priority: 2, vibrate: [150, 100, 150] },
+  critical: { freq: 880,  wave: 'square',   pulse: 120, at: [0, 200, 400, 800, 1000], level: 0.35, priority: 3, vibrate: [300, 100, 300, 100, 300] },
+  ttlLow:   { freq: 1047, wave: 'sine',     pulse: 70,  at: [0, 140],                 level: 0.7,  priority: 2, vibrate: [100, 60, 100] },
+  vitals:   { freq: 740,  wave: 'triangle', pulse: 220, at: [0, 320, 640],            level: 0.8,  priority: 3, vibrate: [250, 100, 250] },
+};
+const ALARM_REPEAT_MS = 2000; // the same sound at most once per window
+
+// ── Settings ──────────────────────────────────────────────────
+const alarmSettings = { muted: false, volume: 0.7, ...readAlarmSettings() };
+
+function readAlarmSettings() {
+  try { return JSON.parse(localStorage.getItem('stationsSprintAlarms')) || {}; }
+  catch { return {}; }
+}
+
+function setAlarmMuted(muted) {
+  alarmSettings.muted = muted;
+  localStorage.setItem('stationsSprintAlarms', JSON.stringify(alarmSettings));
+}
+
+/** Volume 0–1. */
+function setAlarmVolume(volume) {
+  alarmSettings.volume = Math.min(1, Math.max(0, volume));
+  localStorage.setItem('stationsSprintAlarms', JSON.stringify(alarmSettings));
+}
+
+// ── Audio ─────────────────────────────────────────────────────
+let audioCtx = null;
+
+function unlockAudio() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!audioCtx && AudioCtx) audioCtx = new AudioCtx();
+  if (audioCtx && audioCtx.state === 'suspended') audioCtx.resume();
+}
+document.addEventListener('pointerdown', unlockAudio);
+document.addEventListener('keydown', unlockAudio);
+
+/** Schedule one sound's pulses, each with a short fade in and out so it does not click. */
+function playTone({ freq, wave, pulse, at, level }) {
+  if (!audioCtx || audioCtx.state !== 'running') return;
+  const out = audioCtx.createGain();
+  out.gain.value = alarmSettings.volume * level;
+  out.connect(audioCtx.destination);
+
+  const t0 = audioCtx.currentTime + 0.02;
+  for (const offset of at) {
+    const start = t0 + offset / 1000;
+    const end   = start + pulse / 1000;
+    const osc   = audioCtx.createOscillator();
+    const env   = audioCtx.createGain();
+    osc.type = wave;
+    osc.frequency.value = freq;
+    env.gain.setValueAtTime(0, start);
+    env.gain.linearRampToValueAtTime(1, start + 0.01);
+    env.gain.setValueAtTime(1, end - 0.02);
+    env.gain.linearRampToValueAtTime(0, end);
+    osc.connect(env).connect(out);
+    osc.start(start);
+    osc.stop(end + 0.01);
+  }
+}
+
+/** Play a sound at the current volume, even when muted (the volume slider's preview). */
+function previewAlarm(kind = 'urgent') {
+  unlockAudio();
+  playTone(ALARM_SOUNDS[kind]);
+}
+
+// ── Notifications ─────────────────────────────────────────────
+/** Ask once for permission to notify (call from a user gesture). */
+function requestAlarmNotifications() {
+  if ('Notification' in window && Notification.permission === 'default') Notification.requestPermission();
+}
+
+/** A system notification — through the service worker where there is one (mobile browsers need that). */
+function notify(title, options) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const show = reg => (reg ? reg.showNotification(title, options) : new Notification(title, options));
+  Promise.resolve(navigator.serviceWorker?.getRegistration()).then(show).catch(() => {});
+}
+
+// ── Raising an alarm ──────────────────────────────────────────
+const lastAlarmAt = {};  // kind → when it last sounded
+let alarmBusy = { until: 0, priority: 0 }; // the sound playing right now
+
+/**
+ * Sound and vibrate for `kind`; in the background also notify.
+ * notice: { title, body, tag } — one notification per tag (e.g. per room).
+ */
+function raiseAlarm(kind, notice) {
+  const sound = ALARM_SOUNDS[kind];
+  const now   = Date.now();
+  if (notice && document.hidden) notify(notice.title, { body: notice.body, tag: notice.tag, renotify: true });
+
+  if (now - (lastAlarmAt[kind] || 0) < ALARM_REPEAT_MS) return;
+  if (now < alarmBusy.until && sound.priority <= alarmBusy.priority) return;
+  lastAlarmAt[kind] = now;
+  alarmBusy = { until: now + sound.at[sound.at.length - 1] + sound.pulse, priority: sound.priority };
+
+  if (!alarmSettings.muted) playTone(sound);
+  if (navigator.vibrate) navigator.vibrate(sound.vibrate);
+}
+
+/** Vitals of one reading past their critical limit (VITAL_ALARMS, ward-view.js), e.g. ['o2']. */
+function criticalVitals(v) {
+  return Object.keys(VITAL_ALARMS).filter(key => outside(v[key], VITAL_ALARMS[key].crit));
+}
@@ -0,0 +1,264 @@
+/**
+ * display.js — Stations-Sprint projector view (/display?ward=CODE)
+ *
+ * Responsibilities:
+ *   - Watch one ward read-only (watchWard) — never registers, so the screen is
+ *     not a player and does not keep the ward or its spawner alive
+ *   - Widescreen layout for the back of the classroom: all eight rooms with
+ *     vitals, trends, every open task and its deadline; team score, shift clock,
+ *     players on duty, today's leaderboard and the team feed
+ *
+ * Receives the same broadcasts as the players (their view of the world: no
+ * diagnoses on Experte, no scores during an exam shift). Shown in the
+ * browser's locale (i18n.js); the scenario is requested in it.
+ */
+
+// ── Socket ───────────────────────────────────────────────────
+const socket = io();
+
+// ── DOM refs ─────────────────────────────────────────────────
+const wardCodeEl   = document.getElementById('ward-code');
+const wardMeta     = document.getElementById('ward-meta');
+const shiftPhaseEl = document.getElementById('shift-phase');
+const shiftClock   = document.getElementById('shift-clock');
+const teamScoreEl  = document.getElementById('team-score');
+const wardForm     = document.getElementById('ward-form');
+const wardInput    = document.getElementById('ward-input');
+const errorEl      = document.getElementById('display-error');
+const roomGrid     = document.getElementById('room-grid');
+const playerList   = document.getElementById('player-list');
+const leaderboard  = document.getElementById('leaderboard');
+const teamFeed     = document.getElementById('team-feed');
+
+// ── State ────────────────────────────────────────────────────
+const FEED_LINES = 8; // newest team messages on screen
+
+let wardCode   = (new URLSearchParams(location.search).get('ward') || '').toUpperCase();
+let scenario   = { actions: {}, symptoms: {}, urgency: {} };
+let worldState = null;
+let shiftPhase = null;
+let shiftEndsAt = 0;   // local clock, derived from the server's remainingMs
+let roomCalls  = {};   // { room: { kind, name, until } } — until on the local clock
+let trends     = {};   // { room: [[t, hr, o2, temp, bp], …] } for the trend charts
+let admissions = {};
+let messages   = [];
+
+// ── Rendering ────────────────────────────────────────────────
+const ROLE_ICONS   = { pflege: '🩺', arzt: '👨‍⚕️' };
+const PHASE_LABELS = { lobby: 'shift.handover', ended: 'shift.end' };
+const PHASE_ICONS  = { lobby: '📋', ended: '🏁' };
+
+function phaseLabel(phase) {
+  return PHASE_LABELS[phase] ? `${PHASE_ICONS[phase]} ${t(PHASE_LABELS[phase])}` : '';
+}
+
+function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function vitalCell(room, key, icon, value, unit) {
+  return `
+    <div class="${vitalClass(key, value, 'text-slate-300')}">
+      <span class="text-lg">${icon}</span> <span class="text-3xl font-mono font-bold">${value}${unit}</span>
+      ${trendChart(trends, room, key, 120, 22)}
+    </div>`;
+}
+
+function taskRow(task, now) {
+  const sym    = symptomMeta(scenario, task);
+  const umeta  = urgencyMeta(scenario, task.urgency);
+  const left   = Math.max(0, task.expiresAt - now);
+  const steps  = task.steps > 1 ? ` · ${task.stepsDone + 1}/${task.steps}` : '';
+  return `
+    <div class="rounded-xl ${umeta.bg} ${umeta.text} px-3 py-2">
+      <div class="flex items-center justify-between gap-2">
+        <span class="text-lg font-bold truncate">${sym.icon} ${esc(sym.label)}${steps}</span>
+        <span class="font-mono text-xl font-bold ${left < 15000 ? 'animate-pulse' : ''}">⏱ ${formatClock(left)}</span>
+      </div>
+      ${task.claimedByName ? `<p class="text-sm opacity-90">📋 ${esc(task.claimedByName)}</p>` : ''}
+      ${task.order ? `<p class="text-sm opacity-90 truncate">${t('room.order', { order: orderLabel(scenario, task.order) })}</p>` : ''}
+    </div>`;
+}
+
+function roomCard({ room, name, status, icuRisk }, now) {
+  if (status !== 'occupied') {
+    return `
+      <div class="rounded-2xl border-2 border-dashed border-slate-700 bg-slate-900/40 p-4 flex flex-col">
+        <span class="text-sm font-semibold uppercase tracking-wider text-slate-500">${t('room.short', { room })}</span>
+        <p class="text-2xl text-slate-500 italic m-auto">${status === 'cleaning' ? t('room.cleaning') : t('room.free')}</p>
+      </div>`;
+  }
+
+  const v       = worldState.vitals[room] || { hr: 72, o2: 98, temp: 36.8, bp: 125 };
+  const tasks   = worldState.tasks.filter(task => task.room === room);
+  const urgency = tasks[0]?.urgency;
+  const umeta   = urgency ? urgencyMeta(scenario, urgency) : null;
+  const border  = urgency === 'critical' ? 'border-red-500 pulse-critical'
+                : urgency === 'urgent'   ? 'border-orange-500 pulse-urgent'
+                :                          'border-slate-700';
+  const call    = roomCalls[room] && roomCalls[room].until > now && CALL_META[roomCalls[room].kind]
+    ? { ...roomCalls[room], ...CALL_META[roomCalls[room].kind] }
+    : null;
+
+  return `
+    <div class="rounded-2xl bg-slate-900 border-4 ${border} ${call ? `ring-4 ${call.ring}` : ''} p-4 flex flex-col gap-3 min-h-0 overflow-hidden">
+      <div class="flex items-center justify-between">
+        <span class="text-sm font-semibold uppercase tracking-wider text-slate-400">${t('room.short', { room })}</span>
+        ${umeta ? `<span class="text-sm font-bold px-2 py-0.5 rounded-full ${umeta.bg} ${umeta.text}">${umeta.label}</span>` : ''}
+      </div>
+      <p class="text-2xl font-bold leading-tight truncate">${esc(name)}</p>
+      ${call ? `<p class="text-lg font-bold ${call.kind === 'codeBlue' ? 'text-blue-300' : 'text-sky-300'} truncate">${call.icon} ${esc(call.name)} ${callMark(call.kind)}</p>` : ''}
+      ${icuRisk ? `<p class="vital-crit text-lg font-bold">${t('room.icuRisk')}</p>` : ''}
+      <div class="grid grid-cols-2 gap-x-4 gap-y-1">
+        ${vitalCell(room, 'hr', '❤️', v.hr, '')}
+        ${vitalCell(room, 'o2', '💨', v.o2, '%')}
+        ${vitalCell(room, 'temp', '🌡', v.temp, '°')}
+        ${vitalCell(room, 'bp', '🩸', v.bp, '')}
+      </div>
+      <div class="flex flex-col gap-2 min-h-0 overflow-hidden">
+        ${tasks.length ? tasks.map(task => taskRow(task, now)).join('') : `<p class="text-lg text-slate-500 italic">${t('room.allGood')}</p>`}
+      </div>
+    </div>`;
+}
+
+function renderShiftClock(now) {
+  const { shift, players } = worldState;
+  if (shift.phase === 'running') {
+    const left = Math.max(0, shiftEndsAt - now);
+    shiftPhaseEl.textContent = '';
+    shiftClock.textContent   = formatClock(left);
+    shiftClock.className     = `text-5xl font-mono font-bold tabular-nums ${left < 60000 ? 'text-red-400' : ''}`;
+    return;
+  }
+  const ready = players.filter(p => p.ready).length;
+  shiftPhaseEl.textContent = shift.phase === 'lobby'
+    ? `${phaseLabel('lobby')} · ${t('display.ready', { ready, total: players.length })}`
+    : phaseLabel(shift.phase);
+  shiftClock.textContent = '';
+}
+
+/** Everything that moves with the clock (deadlines, shift countdown, call marks). */
+function render() {
+  if (!worldState) return;
+  const now = Date.now();
+  renderShiftClock(now);
+  roomGrid.innerHTML = worldState.rooms.map(p => roomCard(p, now)).join('');
+}
+
+function renderPlayers() {
+  playerList.innerHTML = worldState.players.map(p => `
+    <div class="flex items-center gap-2 ${p.online ? '' : 'opacity-40'}">
+      <span>${ROLE_ICONS[p.role] || '👤'}</span>
+      <span class="flex-1 truncate">${esc(p.name)}</span>
+      ${p.score === null ? '' : `<span class="font-mono font-bold text-yellow-400">${p.score}</span>`}
+    </div>
+  `).join('') || `<p class="text-slate-500 italic">${t('display.nobody')}</p>`;
+}
+
+function renderLeaderboard(entries) {
+  leaderboard.innerHTML = entries.slice(0, 5).map((e, i) => `
+    <li class="flex items-center gap-2">
+      <span class="w-7 text-slate-500">${i + 1}.</span>
+      <span class="flex-1 truncate">${esc(e.name)}</span>
+      <span class="font-mono font-bold text-yellow-400">${e.score}</span>
+    </li>
+  `).join('') || `<li class="text-slate-500 italic">${t('board.empty')}</li>`;
+}
+
+function renderFeed() {
+  teamFeed.innerHTML = messages.slice(-FEED_LINES).map(m => {
+    const text = m.kind === 'chat' ? esc(m.text) : CALL_META[m.kind] ? callSay(m.kind, m.room) : '';
+    return `<li class="${m.kind === 'codeBlue' ? 'text-blue-300 font-bold' : m.kind === 'chat' ? 'text-slate-200' : 'text-sky-300'} truncate">
+      <span class="font-semibold text-slate-400">${esc(m.name)}:</span> ${text}
+    </li>`;
+  }).join('');
+}
+
+setInterval(render, 1000);
+
+// ── Socket events ────────────────────────────────────────────
+function watch(code) {
+  wardCode   = code;
+  worldState = null;
+  trends     = {};
+  admissions = {};
+  socket.emit('watchWard', code, locale);
+}
+
+socket.on('connect', () => watch(wardCode));
+
+socket.on('watching', ({ ward, scenario: sc }) => {
+  wardCode = ward;
+  scenario = sc;
+  wardCodeEl.textContent = ward;
+  wardMeta.textContent   = sc.name;
+  errorEl.classList.add('hidden');
+  rememberWard(ward);
+});
+
+socket.on('watchFailed', ({ ward, reason, params }) => {
+  errorEl.textContent = t('display.failed', { ward, reason: t(reason, params) });
+  errorEl.classList.remove('hidden');
+});
+
+socket.on('worldUpdate', (state) => {
+  if (shiftPhase && shiftPhase !== state.shift.phase && state.shift.phase === 'running') {
+    trends = {}; // the server starts each shift with a fresh history
+  }
+  shiftPhase  = state.shift.phase;
+  shiftEndsAt = state.shift.phase === 'running' ? Date.now() + state.shift.remainingMs : 0;
+  worldState  = state;
+
+  const now = Date.now();
+  roomCalls = Object.fromEntries(Object.entries(state.calls || {})
+    .map(([room, c]) => [room, { kind: c.kind, name: c.name, until: now + c.remainingMs }]));
+  resetTrendsOnAdmission(trends, admissions, state.rooms);
+  recordVitals(trends, Object.fromEntries(state.rooms
+    .filter(p => p.status === 'occupied' && state.vitals[p.room])
+    .map(p => [p.room, state.vitals[p.room]])));
+
+  teamScoreEl.textContent = state.teamScore ?? '—'; // null while an exam shift runs
+  renderPlayers();
+  render();
+});
+
+// Simulation tick: only the rooms whose vitals changed
+socket.on('vitalsUpdate', (changed) => {
+  if (!worldState) return;
+  Object.assign(worldState.vitals, changed);
+  recordVitals(trends, changed);
+  render();
+});
+
+socket.on('vitalsHistory', (byRoom) => {
+  trends = {};
+  for (const [room, samples] of Object.entries(byRoom)) if (samples.length) trends[room] = samples;
+  render();
+});
+
+socket.on('leaderboardUpdate', (boards) => renderLeaderboard(boards.today || []));
+
+socket.on('teamMessages', (list) => {
+  messages = list;
+  renderFeed();
+});
+
+socket.on('teamMessage', (m) => {
+  messages.push(m);
+  if (messages.length > FEED_LINES) messages.shift();
+  renderFeed();
+});
+
+// ── UI interactions ──────────────────────────────────────────
+applyI18n();
+wardInput.value = wardCode;
+wardForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  watch(wardInput.value.trim().toUpperCase());
+});
+
+/** Keep the watched ward in the address bar, so a reload shows it again. */
+function rememberWard(code) {
+  history.replaceState(null, '', `/display?ward=${encodeURIComponent(code)}`);
+}
@@ -2,8 +2,21 @@
  * game.js — Stations-Sprint client (Shared World Edition)
  *
  * Responsibilities:
- *   - Render worldUpdate: floor plan, vitals, tasks, players, scores
- *   - Send: registerPlayer, claimTask, resolveTask, releaseClaim
+ *   - Render worldUpdate: floor plan (ward-view.js), vitals, tasks, players, scores, shift phase
+ *   - Send: registerPlayer (join or open a ward), claimTask, resolveTask, releaseClaim,
+ *           requestOrder (nurse hands a doctor's-order step to a doctor),
+ *           teamMessage (quick calls about a room, chat),
+ *           setReady / nextShift (shift lobby and summary),
+ *           getProfile / setPin / forgetDevice (profile screen)
+ *   - Keep the device keys of profiles played on this device (localStorage)
+ *   - Training mode: feedback card after a wrong step or a finished task
+ *     (decisionFeedback); exam mode: the report at the end of the shift (examReport)
+ *   - Texts from i18n.js (t); the lobby switches the locale, which is sent
+ *     with registerPlayer so the server localizes the scenario and feedback
+ *   - Alarms (alarms.js): a new task, my claimed task running out, vitals
+ *     crossing a critical limit; mute and volume in the HUD
+ *   - Installable app: registers the service worker (sw.js) that caches the
+ *     shell; covers the game while Socket.io reconnects
  *
  * The client NEVER calculates scores or generates tasks.
  * All authoritative state comes from the server.
@@ -15,70 +28,246 @@ const socket = io();
 // ── DOM refs ─────────────────────────────────────────────────
 const screenLobby  = document.getElementById('screen-lobby');
 const screenGame   = document.getElementById('screen-game');
+const screenProfile = document.getElementById('screen-profile');
 const nameInput    = document.getElementById('name-input');
+const pinInput     = document.getElementById('pin-input');
+const wardInput    = document.getElementById('ward-input');
 const btnRegister  = document.getElementById('btn-register');
+const btnCreateWard = document.getElementById('btn-create-ward');
+const scenarioSelect = document.getElementById('scenario-select');
+const modeSelect   = document.getElementById('mode-select');
+const difficultySelect = document.getElementById('difficulty-select');
+const adaptiveInput = document.getElementById('adaptive-input');
+const roleSelect   = document.getElementById('role-select');
+const localeSwitch = document.getElementById('locale-switch');
+const btnProfile   = document.getElementById('btn-profile');
+const profileName  = document.getElementById('profile-name');
+const profileSince = document.getElementById('profile-since');
+const profileStats = document.getElementById('profile-stats');
+const pinForm      = document.getElementById('pin-form');
+const pinStatus    = document.getElementById('pin-status');
+const newPinInput  = document.getElementById('new-pin-input');
+const btnSetPin    = document.getElementById('btn-set-pin');
+const hudWard      = document.getElementById('hud-ward');
 const hudTeamScore = document.getElementById('hud-team-score');
 const hudPlayers   = document.getElementById('hud-players');
 const hudMyScore   = document.getElementById('hud-my-score');
 const hudStreak    = document.getElementById('hud-streak');
+const hudShiftTimer = document.getElementById('hud-shift-timer');
+const alarmToggle  = document.getElementById('alarm-toggle');
+const alarmVolume  = document.getElementById('alarm-volume');
+const shiftOverlay = document.getElementById('shift-overlay');
+const shiftPanel   = document.getElementById('shift-panel');
 const playersStrip = document.getElementById('players-strip');
 const wardGrid     = document.getElementById('ward-grid');
 const lobbyBoard   = document.getElementById('lobby-leaderboard');
 const gameBoard    = document.getElementById('game-leaderboard');
+const boardTabs    = document.getElementById('board-tabs');
+const gameBoardPeriod = document.getElementById('game-board-period');
+const personalEl   = document.getElementById('personal-results');
 const taskModal    = document.getElementById('task-modal');
 const modalPatient = document.getElementById('modal-patient');
 const modalLabel   = document.getElementById('modal-task-label');
 const modalUrgency = document.getElementById('modal-urgency-badge');
 const modalTtlBar  = document.getElementById('modal-ttl-bar');
 const modalActions = document.getElementById('modal-actions');
+const modalOrder   = document.getElementById('modal-order');
 const modalCloseBtn = document.getElementById('modal-close-btn');
+const feedbackCard = document.getElementById('feedback-card');
+const feedbackBody = document.getElementById('feedback-body');
+const teamFeed     = document.getElementById('team-feed');
+const callRoom     = document.getElementById('call-room');
+const chatForm     = document.getElementById('chat-form');
+const chatInput    = document.getElementById('chat-input');
+const connectionOverlay = document.getElementById('connection-overlay');
+const connectionStatus  = document.getElementById('connection-status');
 const toastEl      = document.getElementById('toast');
 const toastInner   = document.getElementById('toast-inner');
 
 // ── Client state (rendering only — no game logic) ────────────
-let mySocketId  = null;
-let activeModal = null;   // { taskId, ttlInterval, openedAt }
+let myPlayerId  = null;   // server-issued, survives reconnects (unlike socket.id)
+let activeModal = null;   // { taskId, room, ttlInterval, completed, steps, pending, ttlWarned }
 let toastTimer  = null;
+let shiftEndsAt = 0;      // local clock, derived from the server's remainingMs
+let worldState  = null;   // last worldUpdate, patched in place by vitalsUpdate
+let shiftPhase  = null;   // to notice phase changes (new shift → fresh history)
+let vitalsHistory = {};   // { room: [[t, hr, o2, temp, bp], …] } for the trend charts
+let roomAdmissions = {};  // { room: admittedAt } — a new patient starts a fresh trend
+let leaderboards = { today: [], week: [], all: [] }; // top 10 per period (leaderboardUpdate)
+let boardPeriod  = localStorage.getItem('stationsSprintBoard') || 'today';
+let profile      = null;  // last profile sent by the server (career totals)
+let profileWanted = false; // the profile screen waits for a getProfile answer
+let examReport   = null;  // { total, correct, items } after an exam shift (examReport)
+let teamMessages = [];    // the ward's recent calls and chat lines, oldest first
+let roomCalls    = {};    // { room: { kind, name, until } } — until on the local clock
+let seenTasks    = null;  // ids of the tasks already announced (null until the first worldUpdate)
+let criticalRooms = null; // { room: ['o2', …] } vitals past their critical limit
 
 // ── Metadata ──────────────────────────────────────────────────
-// 6 treatment actions a player can choose
-const ACTION_META = {
-  betablocker:   { icon: '💊', label: 'Betablocker',       color: 'bg-blue-600   hover:bg-blue-500'   },
-  sauerstoff:    { icon: '🫁', label: 'Sauerstoffmaske',   color: 'bg-cyan-600   hover:bg-cyan-500'   },
-  fiebermittel:  { icon: '🌡️', label: 'Fiebermittel',      color: 'bg-orange-600 hover:bg-orange-500' },
-  infusion:      { icon: '💧', label: 'Infusion',           color: 'bg-purple-600 hover:bg-purple-500' },
-  schmerzmittel: { icon: '💊', label: 'Schmerzmittel',     color: 'bg-rose-600   hover:bg-rose-500'   },
-  verband:       { icon: '🩹', label: 'Verband wechseln',  color: 'bg-amber-600  hover:bg-amber-500'  },
-};
+// Actions, symptoms and urgency labels come from the ward's scenario
+// (sent with wardJoined) — only presentation lives here.
+let scenario = { actions: {}, symptoms: {}, urgency: {} };
 
-// Symptom display metadata (matches server-side SYMPTOMS keys)
-const SYMPTOM_META = {
-  tachycardia:  { icon: '❤️‍🔥', label: 'Herzrasen'           },
-  bradycardia:  { icon: '💔',     label: 'Bradykardie'         },
-  hypoxia:      { icon: '🫁',     label: 'Atemnot'             },
-  fever:        { icon: '🤒',     label: 'Fieber'              },
-  hypotension:  { icon: '🫨',     label: 'Kreislaufschwäche'  },
-  hypertension: { icon: '💢',     label: 'Bluthochdruck-Krise' },
-  pain:         { icon: '😖',     label: 'Starke Schmerzen'    },
-  bleeding:     { icon: '🩸',     label: 'Nachblutung'         },
+// Button colours a scenario action may use (`color` field)
+const ACTION_COLORS = {
+  blue:    'bg-blue-600    hover:bg-blue-500',
+  cyan:    'bg-cyan-600    hover:bg-cyan-500',
+  orange:  'bg-orange-600  hover:bg-orange-500',
+  purple:  'bg-purple-600  hover:bg-purple-500',
+  rose:    'bg-rose-600    hover:bg-rose-500',
+  amber:   'bg-amber-600   hover:bg-amber-500',
+  emerald: 'bg-emerald-600 hover:bg-emerald-500',
+  lime:    'bg-lime-600    hover:bg-lime-500',
+  teal:    'bg-teal-600    hover:bg-teal-500',
+  indigo:  'bg-indigo-600  hover:bg-indigo-500',
+  pink:    'bg-pink-600    hover:bg-pink-500',
+  slate:   'bg-slate-600   hover:bg-slate-500',
 };
 
-const URGENCY_META = {
-  routine:  { label: 'Routine',  bg: 'bg-slate-600',  text: 'text-slate-200', border: 'border-slate-500'  },
-  urgent:   { label: 'Dringend', bg: 'bg-orange-500', text: 'text-white',     border: 'border-orange-400' },
-  critical: { label: 'Kritisch', bg: 'bg-red-600',    text: 'text-white',     border: 'border-red-400'    },
-};
+// Player roles (chosen in the lobby); the server refuses doctorOrder actions to nurses
+const ROLE_ICONS = { pflege: '🩺', arzt: '👨‍⚕️' };
+
+/** My role on the ward, as the server has it. */
+function myRole() {
+  return worldState?.players.find(p => p.id === myPlayerId)?.role || 'pflege';
+}
 
 // ── Screens ───────────────────────────────────────────────────
 function showScreen(screen) {
-  [screenLobby, screenGame].forEach(s => s.classList.remove('active'));
+  [screenLobby, screenGame, screenProfile].forEach(s => s.classList.remove('active'));
   screen.classList.add('active');
 }
 
+// ── Locale ────────────────────────────────────────────────────
+let scenarioList = []; // [{ id, name, names }] from requestName, for the lobby picker
+
+function renderScenarioOptions() {
+  const selected = scenarioSelect.value;
+  scenarioSelect.innerHTML = scenarioList
+    .map(sc => `<option value="${esc(sc.id)}">${esc(sc.names?.[locale] || sc.name)}</option>`)
+    .join('');
+  if (selected) scenarioSelect.value = selected;
+}
+
+/** Re-render everything the lobby shows in the current locale. */
+function renderLocale() {
+  applyI18n();
+  for (const btn of localeSwitch.querySelectorAll('[data-locale-option]')) {
+    const active = btn.dataset.localeOption === locale;
+    btn.classList.toggle('bg-emerald-500', active);
+    btn.classList.toggle('text-white', active);
+    btn.classList.toggle('font-semibold', active);
+    btn.classList.toggle('text-slate-400', !active);
+  }
+  renderScenarioOptions();
+  renderBoards();
+  renderAlarmControls();
+  if (profile && screenProfile.classList.contains('active')) renderProfile();
+  requestPersonalResults();
+}
+
 // ── Leaderboard ───────────────────────────────────────────────
+const BOARD_PERIODS = { today: 'board.today', week: 'board.weekLong', all: 'board.all' };
+
+/** Both boards and the lobby tabs for the selected period. */
+function renderBoards() {
+  if (!BOARD_PERIODS[boardPeriod]) boardPeriod = 'today';
+  for (const tab of boardTabs.querySelectorAll('[data-period]')) {
+    const active = tab.dataset.period === boardPeriod;
+    tab.classList.toggle('bg-emerald-500', active);
+    tab.classList.toggle('text-white', active);
+    tab.classList.toggle('font-semibold', active);
+    tab.classList.toggle('text-slate-400', !active);
+  }
+  gameBoardPeriod.textContent = t(BOARD_PERIODS[boardPeriod]);
+  renderLeaderboard(lobbyBoard, leaderboards[boardPeriod]);
+  renderLeaderboard(gameBoard, leaderboards[boardPeriod]);
+}
+
+/** Short date of an ISO timestamp in the current locale, e.g. "12.10." or "12/10". */
+function shortDate(iso) {
+  return new Date(iso).toLocaleDateString(localeTag(), { day: '2-digit', month: '2-digit' });
+}
+
+/** Ask for the personal results of the name in the lobby field (panel hidden without a name). */
+function requestPersonalResults() {
+  const name = nameInput.value.trim();
+  if (!name) { personalEl.classList.add('hidden'); return; }
+  socket.emit('getPersonalResults', name);
+}
+
+function renderPersonalResults({ best, recent }) {
+  personalEl.classList.remove('hidden');
+  if (!best) {
+    personalEl.innerHTML = `<p class="text-center text-slate-500 text-xs">${t('personal.none')}</p>`;
+    return;
+  }
+  personalEl.innerHTML = `
+    <div class="flex items-center justify-between">
+      <span class="text-slate-400">${t('personal.best')}</span>
+      <span><span class="font-mono font-bold text-yellow-400">${best.score}</span>
+        <span class="text-xs text-slate-500 ml-1">${shortDate(best.achievedAt)}</span></span>
+    </div>
+    <p class="text-[10px] uppercase tracking-widest text-slate-500 mt-2 mb-1">${t('personal.recent')}</p>
+    <div class="flex gap-2 flex-wrap">
+      ${recent.map(r => `
+        <span class="rounded-lg bg-slate-700/60 px-2 py-1 text-xs">
+          <span class="font-mono font-bold">${r.score}</span>
+          <span class="text-slate-400">${shortDate(r.achievedAt)}</span>
+        </span>`).join('')}
+    </div>
+  `;
+}
+
+// ── Profile ───────────────────────────────────────────────────
+// Device keys per profile name (lower case) — a shared ward tablet may know several
+function deviceKeys() {
+  try { return JSON.parse(localStorage.getItem('stationsSprintDevices')) || {}; }
+  catch { return {}; }
+}
+
+function deviceKeyFor(name) {
+  return deviceKeys()[name.toLowerCase()] || null;
+}
+
+function storeDeviceKey(name, key) {
+  const keys = deviceKeys();
+  if (key) keys[name.toLowerCase()] = key;
+  else     delete keys[name.toLowerCase()];
+  localStorage.setItem('stationsSprintDevices', JSON.stringify(keys));
+}
+
+/** Show the PIN field in the lobby (the name's profile is protected). */
+function askForPin() {
+  pinInput.classList.remove('hidden');
+  pinInput.focus();
+}
+
+function renderProfile() {
+  const stat = (label, value) => `
+    <div class="rounded-xl bg-slate-800 px-3 py-3 text-center">
+      <div class="text-2xl font-mono font-bold">${value}</div>
+      <div class="text-[10px] uppercase tracking-widest text-slate-400 mt-1">${label}</div>
+    </div>`;
+  profileName.textContent  = profile.name;
+  profileSince.textContent = profile.createdAt
+    ? t('profile.since', { date: new Date(profile.createdAt).toLocaleDateString(localeTag()) }) : '';
+  profileStats.innerHTML = [
+    stat(t('profile.shifts'), profile.shifts),
+    stat(t('profile.resolved'), profile.resolved),
+    stat(t('profile.accuracy'), profile.accuracy === null ? '–' : `${Math.round(profile.accuracy * 100)} %`),
+    stat(t('profile.bestStreak'), profile.bestStreak),
+    `<div class="col-span-2">${stat(t('profile.reaction'), profile.avgReactionMs === null
+      ? '–' : `${(profile.avgReactionMs / 1000).toFixed(1)} s`)}</div>`,
+  ].join('');
+  pinStatus.textContent = profile.hasPin ? t('profile.hasPin') : t('profile.noPin');
+  btnSetPin.textContent = profile.hasPin ? t('profile.changePin') : t('profile.setPin');
+  newPinInput.value = '';
+}
+
 function renderLeaderboard(container, entries) {
   if (!entries || entries.length === 0) {
-    container.innerHTML = '<p class="text-center text-slate-500 py-3 text-xs">Noch keine Einträge</p>';
+    container.innerHTML = `<p class="text-center text-slate-500 py-3 text-xs">${t('board.empty')}</p>`;
     return;
   }
   if (container === gameBoard) {
@@ -100,106 +289,285 @@ function renderLeaderboard(container, entries) {
   }
 }
 
-// ── Ward floor plan ───────────────────────────────────────────
-function renderWard({ tasks = [], vitals = {}, rooms = [] }) {
-  rooms.forEach(({ room, name }) => {
-    let card = document.getElementById(`room-${room}`);
-    if (!card) {
-      card = document.createElement('div');
-      card.id = `room-${room}`;
-      wardGrid.appendChild(card);
-    }
+// ── Ward floor plan (see ward-view.js) ────────────────────────
+function drawWard(state) {
+  const now   = Date.now();
+  const calls = Object.fromEntries(Object.entries(roomCalls).filter(([, c]) => c.until > now));
+  renderWard(wardGrid, { ...state, calls }, { scenario, history: vitalsHistory, myPlayerId, onClaim: handleClaim });
+}
 
-    const v        = vitals[room] || { hr: 72, o2: 98, temp: 36.8, bp: 125 };
-    const hrWarn   = v.hr > 100 || v.hr < 55;
-    const o2Warn   = v.o2 < 94;
-    const hrCrit   = v.hr > 115 || v.hr < 45;
-    const o2Crit   = v.o2 < 90;
-    const tempWarn = v.temp > 38.0;
-    const tempCrit = v.temp > 39.5;
-    const bpWarn   = v.bp < 100 || v.bp > 150;
-    const bpCrit   = v.bp < 85  || v.bp > 170;
-
-    const roomTasks = tasks.filter(t => t.room === room);
-    const topTask   = roomTasks[0] || null;
-    const urgency   = topTask ? topTask.urgency : null;
-    const umeta     = urgency ? URGENCY_META[urgency] : null;
-
-    const borderCls = urgency === 'critical' ? 'border-red-500'
-                    : urgency === 'urgent'   ? 'border-orange-500'
-                    :                          'border-slate-700';
-    const pulseCls  = urgency === 'critical' ? 'pulse-critical'
-                    : urgency === 'urgent'   ? 'pulse-urgent'
-                    :                          '';
-
-    card.className = `relative rounded-2xl bg-slate-800 border-2 ${borderCls} ${pulseCls} p-3 flex flex-col gap-2 transition-all duration-300`;
-
-    const claimed     = topTask && topTask.claimedBy;
-    const claimedByMe = topTask && topTask.claimedBy === mySocketId;
-
-    card.style.cursor = (topTask && !claimed) ? 'pointer' : 'default';
-    card.onclick = (topTask && !claimed)
-      ? (e) => { e.stopPropagation(); handleClaim(topTask); }
-      : null;
-
-    const symMeta = topTask ? (SYMPTOM_META[topTask.symptom] || { icon: '❓', label: topTask.label }) : null;
-
-    card.innerHTML = `
-      <div class="flex items-center justify-between">
-        <span class="text-[10px] text-slate-500 font-semibold uppercase tracking-wider">Zi. ${room}</span>
-        ${umeta ? `<span class="text-[10px] font-bold px-1.5 py-0.5 rounded-full ${umeta.bg} ${umeta.text}">${umeta.label}</span>` : ''}
-      </div>
+// ── Teaching feedback ─────────────────────────────────────────
+// Ward settings and vitals as the overlay and the feedback name them (i18n.js keys)
+const MODES        = ['training', 'exam'];
+const DIFFICULTIES = ['einsteiger', 'standard', 'experte'];
+const VITAL_UNITS  = { hr: '', o2: ' %', temp: ' °C', bp: ' mmHg' };
+const OP_SIGNS     = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+function actionChip(key, cls = 'bg-slate-700') {
+  const a = scenario.actions[key] || { icon: '❓', label: key };
+  return `<span class="inline-block rounded-full ${cls} px-2 py-0.5 text-xs whitespace-nowrap">${a.icon} ${esc(a.label)}</span>`;
+}
+
+/** One decision explained: verdict, the protocol, the vitals that call for it, why the choice was wrong. */
+function feedbackHtml(f) {
+  const sym = symptomMeta(scenario, f);
+  const findings = f.findings.map(x => {
+    const unit = VITAL_UNITS[x.vital] ?? '';
+    return `<li class="${x.holds ? 'text-slate-200' : 'text-slate-500'}">
+      ${esc(t(`vital.${x.vital}`))} <span class="font-mono font-bold">${x.value}${unit}</span>
+      <span class="text-slate-400">(${OP_SIGNS[x.op] || x.op} ${x.threshold}${unit})</span>
+    </li>`;
+  }).join('');
+  return `
+    <p class="text-sm font-bold ${f.correct ? 'text-emerald-400' : 'text-red-400'}">
+      ${f.correct ? t('feedback.correct') : t('feedback.wrong')} · ${t('room.short', { room: f.room })}
+    </p>
+    <p class="text-base font-bold text-white mt-0.5">${sym.icon} ${esc(f.label)}</p>
+    ${f.correct ? '' : `
+      <p class="text-sm mt-2">${t('feedback.chosen')} ${actionChip(f.chosen, 'bg-red-700')}
+        · ${t('feedback.right')}${f.steps > 1 ? ` ${t('feedback.step', { step: f.step + 1, steps: f.steps })}` : ''}: ${actionChip(f.expected, 'bg-emerald-700')}</p>
+    `}
+    ${f.protocol.length > 1 ? `
+      <p class="text-[11px] uppercase tracking-wider text-slate-400 mt-3 mb-1">${t('feedback.protocol')}</p>
+      <div class="flex flex-wrap items-center gap-1">${f.protocol.map(a => actionChip(a)).join('<span class="text-slate-500">→</span>')}</div>
+    ` : ''}
+    ${findings ? `
+      <p class="text-[11px] uppercase tracking-wider text-slate-400 mt-3 mb-1">${t('feedback.vitals')}</p>
+      <ul class="text-sm">${findings}</ul>
+    ` : ''}
+    ${f.explanation ? `<p class="text-sm text-slate-300 mt-3">💡 ${esc(f.explanation)}</p>` : ''}
+    ${f.pitfall ? `<p class="text-sm text-orange-300 mt-2">⚠️ ${esc(f.pitfall)}</p>` : ''}
+  `;
+}
+
+function showFeedback(f) {
+  feedbackBody.innerHTML = feedbackHtml(f);
+  feedbackCard.classList.remove('hidden');
+}
+
+function hideFeedback() {
+  feedbackCard.classList.add('hidden');
+}
+
+/** The exam report block of the summary: score line, then every mistake explained. */
+function examReportHtml(report) {
+  const mistakes = report.items.filter(i => !i.correct);
+  return `
+    <div>
+      <p class="text-xs font-semibold uppercase tracking-wider text-slate-400 mb-1.5">${t('exam.report')}</p>
+      <p class="text-sm text-slate-300 mb-2">
+        ${t('exam.score', { count: report.total, score: `<span class="font-mono font-bold text-white">${report.correct}/${report.total}</span>` })}
+      </p>
+      ${mistakes.length === 0
+        ? `<p class="text-sm text-emerald-400">${t('exam.noMistakes')}</p>`
+        : mistakes.map(f => `<div class="rounded-xl bg-slate-900/60 p-3 mb-2">${feedbackHtml(f)}</div>`).join('')}
+    </div>
+  `;
+}
+
+// ── Shift (ready check, countdown, summary) ──────────────────
+function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function updateShiftTimer() {
+  if (!shiftEndsAt) { hudShiftTimer.classList.add('hidden'); return; }
+  const remaining = Math.max(0, shiftEndsAt - Date.now());
+  hudShiftTimer.textContent = `⏱ ${formatClock(remaining)}`;
+  hudShiftTimer.className = `text-xs font-mono font-bold ${remaining < 60000 ? 'text-red-400' : 'text-slate-200'}`;
+}
+setInterval(updateShiftTimer, 1000);
+
+function showShiftOverlay(html) {
+  shiftPanel.innerHTML = html;
+  shiftOverlay.classList.remove('hidden');
+  shiftOverlay.classList.add('flex');
+}
+
+function hideShiftOverlay() {
+  shiftOverlay.classList.add('hidden');
+  shiftOverlay.classList.remove('flex');
+}
+
+function renderShift(shift, players = []) {
+  if (shiftPhase && shiftPhase !== shift.phase && shift.phase === 'running') {
+    // The server wiped the history for the new shift
+    vitalsHistory = {};
+    socket.emit('getVitalsHistory');
+  }
+  shiftPhase = shift.phase;
+  shiftEndsAt = shift.phase === 'running' ? Date.now() + shift.remainingMs : 0;
+  updateShiftTimer();
 
-      <p class="font-bold text-sm text-white leading-tight truncate">${esc(name)}</p>
-
-      <div class="grid grid-cols-4 gap-1 text-[10px]">
-        <span class="${hrCrit ? 'vital-crit' : hrWarn ? 'vital-warn' : 'text-slate-400'}">
-          ❤️ <span class="font-mono font-bold">${v.hr}</span>
-        </span>
-        <span class="${o2Crit ? 'vital-crit' : o2Warn ? 'vital-warn' : 'text-slate-400'}">
-          💨 <span class="font-mono font-bold">${v.o2}%</span>
-        </span>
-        <span class="${tempCrit ? 'vital-crit' : tempWarn ? 'vital-warn' : 'text-slate-400'}">
-          🌡 <span class="font-mono font-bold">${v.temp}°</span>
-        </span>
-        <span class="${bpCrit ? 'vital-crit' : bpWarn ? 'vital-warn' : 'text-slate-400'}">
-          🩸 <span class="font-mono font-bold">${v.bp}</span>
-        </span>
+  if (shift.phase === 'lobby') examReport = null; // the report arrives just before 'ended'
+  if (shift.phase === 'running') { hideShiftOverlay(); return; }
+
+  if (shift.phase === 'lobby') {
+    const me = players.find(p => p.id === myPlayerId);
+    const needsDoctor = Object.values(scenario.actions).some(a => a.doctorOrder);
+    const modeLine = [
+      MODES.includes(worldState?.mode) && t(`mode.${worldState.mode}`),
+      worldState?.mode === 'exam' && t('shift.examNote'),
+    ].filter(Boolean).join(' · ');
+    const difficultyLine = [
+      DIFFICULTIES.includes(worldState?.difficulty) && t(`difficulty.${worldState.difficulty}`),
+      worldState?.adaptive && t('shift.adaptiveNote'),
+      worldState?.difficulty === 'experte' && t('shift.experteNote'),
+    ].filter(Boolean).join(' · ');
+    showShiftOverlay(`
+      <div class="text-center">
+        <div class="text-4xl mb-1">📋</div>
+        <h2 class="text-2xl font-extrabold text-emerald-400">${t('shift.handover')}</h2>
+        <p class="text-slate-400 text-sm mt-1">${t('shift.length', { minutes: Math.round(shift.durationMs / 60000) })}</p>
+        <p class="text-slate-300 text-sm mt-1">${modeLine}</p>
+        <p class="text-slate-300 text-sm">${difficultyLine}</p>
+      </div>
+      <div class="rounded-xl bg-slate-900/60 divide-y divide-slate-700">
+        ${players.map(p => `
+          <div class="flex items-center justify-between px-4 py-2 text-sm ${p.online ? '' : 'opacity-50'}">
+            <span class="${p.id === myPlayerId ? 'text-emerald-400 font-bold' : 'text-slate-200'}">${ROLE_ICONS[p.role] || ''} ${esc(p.name)}</span>
+            <span>${p.ready ? t('shift.ready') : t('shift.waiting')}</span>
+          </div>
+        `).join('')}
       </div>
+      ${needsDoctor && !players.some(p => p.role === 'arzt') ? `
+        <p class="rounded-xl bg-amber-500/15 border border-amber-500/60 text-amber-200 text-sm px-3 py-2">
+          ${t('shift.noDoctor', { actions: Object.values(scenario.actions).filter(a => a.doctorOrder).map(a => `${a.icon} ${esc(a.label)}`).join(', ') })}
+        </p>
+      ` : ''}
+      <button data-shift="ready"
+        class="w-full rounded-xl ${me && me.ready ? 'bg-slate-600 hover:bg-slate-500' : 'bg-emerald-500 hover:bg-emerald-400'} active:scale-95 transition text-white font-bold text-lg py-4">
+        ${me && me.ready ? t('shift.notYet') : t('shift.readyButton')}
+      </button>
+    `);
+    shiftPanel.querySelector('[data-shift="ready"]')
+      .addEventListener('click', () => socket.emit('setReady', !(me && me.ready)));
+    return;
+  }
 
-      ${topTask ? `
-        <div class="mt-1">
-          ${claimed ? `
-            <p class="text-[11px] text-slate-400 italic">
-              ${claimedByMe ? '📋 Du hast übernommen …' : `📋 ${esc(topTask.claimedByName || '?')} übernimmt …`}
-            </p>
-          ` : `
-            <div class="rounded-xl ${umeta ? umeta.bg : 'bg-slate-700'} ${umeta ? umeta.text : 'text-white'} px-3 py-2.5 text-sm font-semibold" style="min-height:52px">
-              ${symMeta.icon} ${esc(topTask.label)}
-              <span class="block text-[10px] font-normal opacity-70 mt-0.5">Antippen zum Übernehmen</span>
+  // phase === 'ended'
+  const sum = shift.summary;
+  if (!sum) return;
+  showShiftOverlay(`
+    <div class="text-center">
+      <div class="text-4xl mb-1">🏁</div>
+      <h2 class="text-2xl font-extrabold text-emerald-400">${t('shift.end')}</h2>
+      <p class="text-slate-400 text-sm mt-1">${t('shift.duration', { time: formatClock(sum.endedAt - sum.startedAt) })}</p>
+    </div>
+    <div class="grid grid-cols-2 gap-2 text-center">
+      <div class="rounded-xl bg-slate-900/60 py-3">
+        <p class="text-[10px] uppercase tracking-widest text-slate-400">${t('summary.teamScore')}</p>
+        <p class="text-2xl font-mono font-bold text-emerald-400">${sum.teamScore}</p>
+      </div>
+      <div class="rounded-xl bg-slate-900/60 py-3">
+        <p class="text-[10px] uppercase tracking-widest text-slate-400">${t('summary.stabilized')}</p>
+        <p class="text-2xl font-mono font-bold text-white">${sum.stabilized}</p>
+      </div>
+    </div>
+    <div class="grid grid-cols-3 gap-2 text-center text-sm">
+      <div class="rounded-lg bg-slate-900/60 py-1.5">
+        <span class="block text-[10px] text-slate-400">${t('summary.admitted')}</span>
+        <span class="font-mono font-bold">${sum.admitted ?? 0}</span>
+      </div>
+      <div class="rounded-lg bg-slate-900/60 py-1.5">
+        <span class="block text-[10px] text-slate-400">${t('summary.discharged')}</span>
+        <span class="font-mono font-bold text-emerald-400">${sum.discharged ?? 0}</span>
+      </div>
+      <div class="rounded-lg bg-slate-900/60 py-1.5">
+        <span class="block text-[10px] text-slate-400">${t('summary.transferred')}</span>
+        <span class="font-mono font-bold text-red-400">${sum.transferred ?? 0}</span>
+      </div>
+    </div>
+    <div>
+      <p class="text-xs font-semibold uppercase tracking-wider text-slate-400 mb-1.5">${t('summary.missed')}</p>
+      <div class="grid grid-cols-3 gap-2 text-center text-sm">
+        ${Object.keys(URGENCY_STYLE).map(key => {
+          const m = urgencyMeta(scenario, key);
+          return `
+            <div class="rounded-lg ${m.bg} ${m.text} py-1.5">
+              <span class="block text-[10px]">${esc(m.label)}</span>
+              <span class="font-mono font-bold">${sum.missed[key] ?? 0}</span>
             </div>
-          `}
-          ${roomTasks.length > 1 ? `<p class="text-[10px] text-slate-500 mt-1">+${roomTasks.length - 1} weitere</p>` : ''}
-        </div>
-      ` : `<p class="text-[11px] text-slate-500 mt-1 italic">Alles in Ordnung ✓</p>`}
-    `;
-  });
+          `;
+        }).join('')}
+      </div>
+    </div>
+    <div>
+      <p class="text-xs font-semibold uppercase tracking-wider text-slate-400 mb-1.5">${t('summary.contributions')}</p>
+      <div class="rounded-xl bg-slate-900/60 divide-y divide-slate-700 text-sm">
+        ${sum.players.map((p, i) => `
+          <div class="flex items-center gap-2 px-3 py-2">
+            <span class="text-slate-400 w-5">${i + 1}.</span>
+            <span class="flex-1 truncate">${esc(p.name)}</span>
+            <span class="text-emerald-400 text-xs">✓ ${p.resolved}</span>
+            <span class="text-red-400 text-xs">✗ ${p.wrong}</span>
+            <span class="font-mono font-bold text-yellow-400 w-10 text-right">${p.score}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+    ${examReport ? examReportHtml(examReport) : ''}
+    ${sum.id ? `
+      <a href="/replay?shift=${sum.id}" target="_blank" rel="noopener"
+        class="block text-center text-sm text-slate-400 hover:text-white underline">${t('summary.replay')}</a>
+    ` : ''}
+    <button data-shift="next"
+      class="w-full rounded-xl bg-emerald-500 hover:bg-emerald-400 active:scale-95 transition text-white font-bold text-lg py-4">
+      ${t('summary.next')}
+    </button>
+  `);
+  shiftPanel.querySelector('[data-shift="next"]')
+    .addEventListener('click', () => socket.emit('nextShift'));
 }
 
 // ── Players strip ─────────────────────────────────────────────
 function renderPlayersStrip(players) {
   if (!players || players.length === 0) {
-    playersStrip.innerHTML = '<span class="text-slate-500 italic">Keine weiteren Spieler online</span>';
+    playersStrip.innerHTML = `<span class="text-slate-500 italic">${t('players.none')}</span>`;
     return;
   }
   playersStrip.innerHTML = players.map(p => {
-    const isMe = p.id === mySocketId;
-    return `<span class="${isMe ? 'text-emerald-400 font-bold' : 'text-slate-300'} whitespace-nowrap">
-      ${isMe ? '🧑‍⚕️' : '👤'} ${esc(p.name)} <span class="font-mono text-yellow-400">${p.score}</span>
+    const isMe = p.id === myPlayerId;
+    return `<span class="${isMe ? 'text-emerald-400 font-bold' : 'text-slate-300'} ${p.online ? '' : 'opacity-50'} whitespace-nowrap">
+      <span title="${t(p.role === 'arzt' ? 'role.arzt' : 'role.pflege')}">${ROLE_ICONS[p.role] || '👤'}</span> ${esc(p.name)} ${p.score === null ? '' : `<span class="font-mono text-yellow-400">${p.score}</span>`}
+      ${p.online ? '' : `<span title="${t('players.offline')}">📶✗</span>`}
     </span>`;
   }).join('<span class="text-slate-600 mx-1">·</span>');
 }
 
+// ── Team messages ─────────────────────────────────────────────
+const TEAM_FEED_LENGTH = 40; // same cap as the server
+
+function messageText(m) {
+  if (m.kind === 'chat') return esc(m.text);
+  return CALL_META[m.kind] ? callSay(m.kind, m.room) : '';
+}
+
+function renderTeamFeed() {
+  teamFeed.innerHTML = teamMessages.map(m => `
+    <li class="${m.kind === 'codeBlue' ? 'text-blue-300 font-bold' : m.kind === 'chat' ? 'text-slate-300' : 'text-sky-300'}">
+      <span class="font-mono text-slate-500">${new Date(m.at).toLocaleTimeString(localeTag(), { hour: '2-digit', minute: '2-digit' })}</span>
+      <span class="${m.playerId === myPlayerId ? 'text-emerald-400' : 'text-slate-200'} font-semibold">${esc(m.name)}:</span>
+      ${messageText(m)}
+    </li>
+  `).join('') || `<li class="text-slate-500 italic">${t('team.empty')}</li>`;
+  teamFeed.scrollTop = teamFeed.scrollHeight;
+}
+
+/** Room picker for the quick calls — keeps the choice across updates. */
+function renderCallRooms(rooms) {
+  const selected = callRoom.value;
+  callRoom.innerHTML = rooms.map(p => `
+    <option value="${p.room}">${t('room.short', { room: p.room })}${p.status === 'occupied' ? ` · ${esc(p.name)}` : ''}</option>
+  `).join('');
+  if (selected) callRoom.value = selected;
+}
+
+function sendCall(kind, room) {
+  socket.emit('teamMessage', { kind, room: Number(room) });
+}
+
 // ── Claiming ──────────────────────────────────────────────────
 function handleClaim(task) {
   if (activeModal) return; // already in a claim — ignore ghost clicks / double-taps
@@ -212,52 +580,60 @@ function openModal(task) {
     clearInterval(activeModal.ttlInterval);
     activeModal = null;
   }
+  // During an exam shift the protocol progress is not sent: one question per answer
+  const completed = [...(task.completed || [])];
+  const steps     = task.steps || 1;
 
-  const symMeta = SYMPTOM_META[task.symptom] || { icon: '❓', label: task.label };
-  const umeta   = URGENCY_META[task.urgency] || URGENCY_META.routine;
+  const symMeta = symptomMeta(scenario, task);
+  const umeta   = urgencyMeta(scenario, task.urgency);
 
-  modalPatient.textContent = `Zimmer ${task.room} · ${esc(task.patient)}`;
+  modalPatient.textContent = t('modal.patient', { room: task.room, patient: task.patient });
   modalLabel.textContent   = `${symMeta.icon} ${symMeta.label}`;
   modalUrgency.textContent = umeta.label;
   modalUrgency.className   = `inline-block mt-1 text-xs font-semibold px-2 py-0.5 rounded-full ${umeta.bg} ${umeta.text}`;
 
-  // Hint text
+  // Hint text (from the localized scenario; none on Experte)
   const hintEl = document.getElementById('modal-hint');
-  if (hintEl) hintEl.textContent = task.hint || '';
+  if (hintEl) hintEl.textContent = task.symptom ? scenario.symptoms[task.symptom]?.hint || task.hint || '' : t('modal.noHint');
 
   // Vitals display in modal
-  const vitalsEl = document.getElementById('modal-vitals');
-  if (vitalsEl && task.vitals) {
-    const v = task.vitals;
-    const hrW = v.hr > 100 || v.hr < 55; const hrC = v.hr > 115 || v.hr < 45;
-    const o2W = v.o2 < 94;               const o2C = v.o2 < 90;
-    const tW  = v.temp > 38.0;           const tC  = v.temp > 39.5;
-    const bpW = v.bp < 100 || v.bp > 150; const bpC = v.bp < 85 || v.bp > 170;
-    vitalsEl.innerHTML = `
-      <span class="${hrC ? 'vital-crit' : hrW ? 'vital-warn' : 'text-slate-300'}">❤️ <strong class="font-mono">${v.hr}</strong> bpm</span>
-      <span class="${o2C ? 'vital-crit' : o2W ? 'vital-warn' : 'text-slate-300'}">💨 <strong class="font-mono">${v.o2}%</strong> SpO₂</span>
-      <span class="${tC ? 'vital-crit' : tW ? 'vital-warn' : 'text-slate-300'}">🌡 <strong class="font-mono">${v.temp}°</strong> Temp</span>
-      <span class="${bpC ? 'vital-crit' : bpW ? 'vital-warn' : 'text-slate-300'}">🩸 <strong class="font-mono">${v.bp}</strong> mmHg</span>
-    `;
+  if (task.vitals) renderModalVitals(task.room, task.vitals);
+
+  // A nurse asked for a doctor's order on this task
+  const isDoctor = myRole() === 'arzt';
+  const ordered  = task.order && scenario.actions[task.order.action];
+  modalOrder.classList.toggle('hidden', !ordered);
+  if (ordered) {
+    modalOrder.textContent = t('modal.orderAsked', { name: task.order.by || t('role.pflege'), action: `${ordered.icon} ${ordered.label}` });
   }
 
-  // 6 action buttons (3×2 grid)
-  modalActions.innerHTML = Object.entries(ACTION_META).map(([actionKey, m]) => `
-    <button
-      data-resolve="${task.id}" data-type="${actionKey}"
-      class="rounded-xl ${m.color} text-white font-bold px-2 py-3 active:scale-95 transition flex flex-col items-center gap-1"
-      style="min-height:72px"
-    >
-      <span class="text-2xl">${m.icon}</span>
-      <span class="text-[11px] leading-tight text-center">${m.label}</span>
-    </button>
-  `).join('');
+  // Action buttons from the scenario (3 per row); nurses see the doctor's actions locked
+  modalActions.innerHTML = Object.entries(scenario.actions).map(([actionKey, m]) => {
+    const locked = m.doctorOrder && !isDoctor;
+    const asked  = isDoctor && task.order?.action === actionKey;
+    return `
+      <button
+        ${locked ? 'data-order' : 'data-resolve'}="${task.id}" data-type="${actionKey}"
+        class="relative rounded-xl ${locked ? 'bg-slate-700 hover:bg-slate-600 text-slate-300 border border-dashed border-slate-500' : `${ACTION_COLORS[m.color] || ACTION_COLORS.slate} text-white`} ${asked ? 'ring-4 ring-amber-400' : ''} font-bold px-2 py-3 active:scale-95 transition flex flex-col items-center gap-1"
+        style="min-height:72px"
+        ${locked ? `title="${t('modal.locked')}"` : ''}
+      >
+        ${locked ? '<span class="absolute top-1 right-1.5 text-xs">🔒</span>' : ''}
+        <span class="text-2xl">${m.icon}</span>
+        <span class="text-[11px] leading-tight text-center">${esc(m.label)}</span>
+        ${locked ? `<span class="text-[10px] font-normal text-amber-300 leading-tight">${t('modal.requestOrder')}</span>` : ''}
+      </button>
+    `;
+  }).join('');
 
   modalActions.querySelectorAll('[data-resolve]').forEach(btn => {
     btn.addEventListener('click', () => {
       resolveTask(btn.dataset.resolve, btn.dataset.type);
     });
   });
+  modalActions.querySelectorAll('[data-order]').forEach(btn => {
+    btn.addEventListener('click', () => requestOrder(btn.dataset.order, btn.dataset.type));
+  });
 
   // TTL bar
   const totalTtl = task.expiresAt - Date.now();
@@ -267,10 +643,15 @@ function openModal(task) {
     const pct = totalTtl > 0 ? (remaining / totalTtl) * 100 : 0;
     modalTtlBar.style.width = `${pct}%`;
     modalTtlBar.className = `ttl-bar h-1.5 rounded-full ${pct > 50 ? 'bg-emerald-400' : pct > 20 ? 'bg-orange-400' : 'bg-red-500'}`;
-    if (remaining === 0) closeModal(); // TTL expired
+    if (remaining === 0) { closeModal(); return; } // TTL expired
+    if (!activeModal.ttlWarned && pct <= ALARM_TTL_SHARE * 100) {
+      activeModal.ttlWarned = true;
+      raiseAlarm('ttlLow', { title: t('alarm.ttlLow', { room: task.room }), body: `${symMeta.icon} ${symMeta.label}`, tag: `room-${task.room}` });
+    }
   }, 300);
 
-  activeModal = { taskId: task.id, ttlInterval };
+  activeModal = { taskId: task.id, room: task.room, ttlInterval, completed, steps, pending: false, ttlWarned: false };
+  renderModalSteps();
 
   taskModal.style.pointerEvents = 'none';
   setTimeout(() => { taskModal.style.pointerEvents = ''; }, 600);
@@ -279,14 +660,64 @@ function openModal(task) {
   taskModal.classList.add('flex');
 }
 
+/** Protocol progress: performed actions, the open step and what is still to come. */
+function renderModalSteps() {
+  const stepsEl    = document.getElementById('modal-steps');
+  const questionEl = document.getElementById('modal-question');
+  const { completed, steps, pending } = activeModal;
+
+  modalActions.querySelectorAll('button').forEach(btn => { btn.disabled = pending; });
+  modalActions.classList.toggle('opacity-50', pending);
+
+  if (steps <= 1) {
+    stepsEl.classList.add('hidden');
+    stepsEl.classList.remove('flex');
+    questionEl.textContent = t('modal.question');
+    return;
+  }
+  stepsEl.innerHTML = Array.from({ length: steps }, (_, i) => {
+    if (i < completed.length) {
+      const m = scenario.actions[completed[i]];
+      return `<span class="rounded-full bg-emerald-700 text-white text-xs px-2 py-1" title="${esc(m ? m.label : completed[i])}">✓ ${m ? m.icon : ''}</span>`;
+    }
+    return i === completed.length
+      ? `<span class="rounded-full bg-white text-slate-900 text-xs font-bold px-2 py-1">${i + 1}</span>`
+      : `<span class="rounded-full bg-slate-700 text-slate-400 text-xs px-2 py-1">${i + 1}</span>`;
+  }).join('<span class="text-slate-600">›</span>');
+  stepsEl.classList.remove('hidden');
+  stepsEl.classList.add('flex');
+  questionEl.textContent = t('modal.protocolStep', { step: completed.length + 1, steps });
+}
+
+/** Live vitals readout with trend charts inside the task modal. */
+function renderModalVitals(room, v) {
+  const vitalsEl = document.getElementById('modal-vitals');
+  if (!vitalsEl) return;
+  const hrW = v.hr > 100 || v.hr < 55; const hrC = v.hr > 115 || v.hr < 45;
+  const o2W = v.o2 < 94;               const o2C = v.o2 < 90;
+  const tW  = v.temp > 38.0;           const tC  = v.temp > 39.5;
+  const bpW = v.bp < 100 || v.bp > 150; const bpC = v.bp < 85 || v.bp > 170;
+  vitalsEl.innerHTML = `
+    <span class="${hrC ? 'vital-crit' : hrW ? 'vital-warn' : 'text-slate-300'}">❤️ <strong class="font-mono">${v.hr}</strong> bpm${trendChart(vitalsHistory, room, 'hr', 120, 28)}</span>
+    <span class="${o2C ? 'vital-crit' : o2W ? 'vital-warn' : 'text-slate-300'}">💨 <strong class="font-mono">${v.o2}%</strong> SpO₂${trendChart(vitalsHistory, room, 'o2', 120, 28)}</span>
+    <span class="${tC ? 'vital-crit' : tW ? 'vital-warn' : 'text-slate-300'}">🌡 <strong class="font-mono">${v.temp}°</strong> Temp${trendChart(vitalsHistory, room, 'temp', 120, 28)}</span>
+    <span class="${bpC ? 'vital-crit' : bpW ? 'vital-warn' : 'text-slate-300'}">🩸 <strong class="font-mono">${v.bp}</strong> mmHg${trendChart(vitalsHistory, room, 'bp', 120, 28)}</span>
+  `;
+}
+
 /**
  * Close the modal.
  * @param {boolean} force — bypass the ghost-click guard (TTL expiry, worldUpdate, etc.)
  */
 function closeModal() {
   if (!activeModal) return;
-  clearInterval(activeModal.ttlInterval);
   socket.emit('releaseClaim', activeModal.taskId);
+  dismissModal();
+}
+
+/** Hide the modal without touching the claim (the server already settled it). */
+function dismissModal() {
+  if (activeModal) clearInterval(activeModal.ttlInterval);
   activeModal = null;
   taskModal.style.pointerEvents = '';
   taskModal.classList.add('hidden');
@@ -294,14 +725,69 @@ function closeModal() {
 }
 
 function resolveTask(taskId, chosenType) {
-  if (activeModal && activeModal.taskId === taskId) {
-    clearInterval(activeModal.ttlInterval);
-    activeModal = null;
-  }
+  if (activeModal && activeModal.pending) return;
   socket.emit('resolveTask', { taskId, chosenType });
-  taskModal.style.pointerEvents = '';
-  taskModal.classList.add('hidden');
-  taskModal.classList.remove('flex');
+  // Open protocol steps remain: wait for the verdict with the modal still up
+  if (activeModal && activeModal.taskId === taskId && activeModal.steps - activeModal.completed.length > 1) {
+    activeModal.pending  = true;
+    activeModal.expected = chosenType;
+    renderModalSteps();
+    return;
+  }
+  dismissModal();
+}
+
+/** Hand the task over to a doctor for a doctorOrder action (the server releases my claim). */
+function requestOrder(taskId, action) {
+  if (activeModal && activeModal.pending) return;
+  socket.emit('requestOrder', { taskId, action });
+  dismissModal();
+  const a = scenario.actions[action];
+  showToast(t('toast.orderRequested', { action: a ? a.label : action }), 'bg-amber-600');
+}
+
+// ── Alarms (see alarms.js) ────────────────────────────────────
+const ALARM_TTL_SHARE = 0.25; // warn when a quarter of my task's time is left
+
+/** Sound the alarm for tasks that appeared since the last update — the most urgent one decides. */
+function announceNewTasks(tasks) {
+  const fresh = seenTasks ? tasks.filter(task => !seenTasks.has(task.id)) : [];
+  seenTasks = new Set(tasks.map(task => task.id));
+  if (shiftPhase !== 'running' || fresh.length === 0) return;
+
+  const rank = Object.keys(URGENCY_STYLE);
+  const task = fresh.reduce((top, next) => rank.indexOf(next.urgency) > rank.indexOf(top.urgency) ? next : top);
+  const sym  = symptomMeta(scenario, task);
+  raiseAlarm(task.urgency, {
+    title: `${urgencyMeta(scenario, task.urgency).label} · ${t('room.short', { room: task.room })}`,
+    body:  `${sym.icon} ${sym.label} — ${task.patient}`,
+    tag:   `room-${task.room}`,
+  });
+}
+
+/** Alarm when a room's vitals cross a critical limit — once, not while they stay there. */
+function checkVitals(byRoom) {
+  const first = criticalRooms === null;
+  criticalRooms = criticalRooms || {};
+  for (const [room, v] of Object.entries(byRoom)) {
+    const now     = criticalVitals(v);
+    const crossed = now.filter(key => !(criticalRooms[room] || []).includes(key));
+    criticalRooms[room] = now;
+    if (first || crossed.length === 0 || shiftPhase !== 'running') continue;
+    raiseAlarm('vitals', {
+      title: t('alarm.vitals', { room }),
+      body:  crossed.map(key => `${t(`vital.${key}`)} ${v[key]}`).join(' · '),
+      tag:   `room-${room}`,
+    });
+  }
+}
+
+function renderAlarmControls() {
+  alarmToggle.textContent = alarmSettings.muted ? '🔕' : '🔔';
+  alarmToggle.title       = t(alarmSettings.muted ? 'alarm.unmute' : 'alarm.mute');
+  alarmVolume.value       = alarmSettings.volume;
+  alarmVolume.disabled    = alarmSettings.muted;
+  alarmVolume.classList.toggle('opacity-40', alarmSettings.muted);
 }
 
 // ── Toast ─────────────────────────────────────────────────────
@@ -313,32 +799,130 @@ function showToast(msg, colorCls = 'bg-orange-500') {
   toastTimer = setTimeout(() => toastEl.classList.add('hidden'), 2800);
 }
 
-// ── Utility ───────────────────────────────────────────────────
-function esc(str) {
-  return String(str)
-    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
-
 // ── Socket events ─────────────────────────────────────────────
 
-socket.on('connect', () => { mySocketId = socket.id; });
-
-socket.on('requestName', () => {
+function showLobby() {
   nameInput.value = localStorage.getItem('stationsSprintName') || '';
+  wardInput.value = localStorage.getItem('stationsSprintWard') || '';
+  roleSelect.value = localStorage.getItem('stationsSprintRole') || 'pflege';
+  hideShiftOverlay();
+  shiftEndsAt = 0;
   showScreen(screenLobby);
   socket.emit('getLeaderboard');
+}
+
+// Connection lost: Socket.io retries by itself, requestName follows on success
+socket.on('disconnect', (reason) => {
+  if (reason === 'io client disconnect') return;
+  connectionStatus.textContent = t('connection.retrying');
+  connectionOverlay.classList.remove('hidden');
+  connectionOverlay.classList.add('flex');
+});
+
+socket.io.on('reconnect_attempt', (attempt) => {
+  connectionStatus.textContent = t('connection.attempt', { attempt });
+});
+
+socket.on('connect', () => {
+  connectionOverlay.classList.add('hidden');
+  connectionOverlay.classList.remove('flex');
+});
+
+// Sent on every (re)connect — resume a running session if we have one
+socket.on('requestName', ({ scenarios = [], defaultScenario } = {}) => {
+  scenarioList = scenarios;
+  renderScenarioOptions();
+  if (defaultScenario) scenarioSelect.value = defaultScenario;
+  const session = localStorage.getItem('stationsSprintSession');
+  if (session) socket.emit('resumeSession', session);
+  else         showLobby();
+});
+
+socket.on('sessionExpired', () => {
+  localStorage.removeItem('stationsSprintSession');
+  showLobby();
+});
+
+// Removed by the instructor: the session is gone, back to the lobby
+socket.on('kicked', ({ reason }) => {
+  localStorage.removeItem('stationsSprintSession');
+  dismissModal();
+  showToast(`⛔ ${t(reason)}`, 'bg-red-600');
+  // The server closes this socket; a fresh connection lands in the lobby
+  socket.once('disconnect', () => socket.connect());
+});
+
+socket.on('renamed', ({ name }) => {
+  localStorage.setItem('stationsSprintName', name);
+  showToast(t('toast.renamed', { name }), 'bg-slate-600');
+});
+
+socket.on('spawnerPaused', ({ paused }) => {
+  showToast(paused ? t('toast.paused') : t('toast.resumed'), 'bg-slate-600');
+});
+
+// Sent after registerPlayer and after a successful resumeSession
+socket.on('wardJoined', ({ ward, playerId, session, scenario: sc }) => {
+  myPlayerId = playerId;
+  scenario   = sc;
+  hudWard.textContent = `· ${ward}`;
+  wardInput.value = ward;
+  localStorage.setItem('stationsSprintWard', ward);
+  localStorage.setItem('stationsSprintSession', session);
+  showScreen(screenGame);
+  seenTasks     = null; // what is already open on joining is not news
+  criticalRooms = null;
+  socket.emit('getVitalsHistory');
+});
+
+socket.on('vitalsHistory', (history) => {
+  vitalsHistory = history;
+  if (worldState) drawWard(worldState);
+});
+
+socket.on('joinFailed', ({ ward, reason, params, needPin }) => {
+  showScreen(screenLobby);
+  if (!ward) { // the name's profile refused us
+    showToast(`🔒 ${t(reason, params)}`, 'bg-slate-600');
+    if (needPin) askForPin(); else nameInput.focus();
+    return;
+  }
+  localStorage.removeItem('stationsSprintWard');
+  wardInput.focus();
+  showToast(`⚡ ${t(reason, params)}: ${ward}`, 'bg-slate-600');
+});
+
+// After registerPlayer and getProfile / setPin — a deviceKey is new or confirmed
+socket.on('profile', (data) => {
+  const { deviceKey, ...view } = data;
+  if (deviceKey) storeDeviceKey(view.name, deviceKey);
+  pinInput.value = '';
+  pinInput.classList.add('hidden');
+  const wasShown = screenProfile.classList.contains('active');
+  profile = view;
+  if (!profileWanted && !wasShown) return;
+  if (wasShown && profileWanted) showToast(t('profile.pinSaved'), 'bg-emerald-600');
+  profileWanted = false;
+  renderProfile();
+  showScreen(screenProfile);
+});
+
+socket.on('profileFailed', ({ reason, params, needPin }) => {
+  profileWanted = false;
+  showToast(`🔒 ${t(reason, params)}`, 'bg-slate-600');
+  if (needPin && screenLobby.classList.contains('active')) askForPin();
 });
 
 socket.on('worldUpdate', (state) => {
-  hudTeamScore.textContent = state.teamScore ?? 0;
+  worldState = state;
+  hudTeamScore.textContent = state.teamScore ?? '—'; // null while an exam shift runs
 
   const count = state.players?.length ?? 0;
-  hudPlayers.textContent = `${count} Pflegekraft${count !== 1 ? 'kraft' : ''}`;
+  hudPlayers.textContent = t('hud.players', { count });
 
-  const me = state.players?.find(p => p.id === mySocketId);
+  const me = state.players?.find(p => p.id === myPlayerId);
   if (me) {
-    hudMyScore.textContent = me.score;
+    hudMyScore.textContent = me.score ?? '—';
     if (me.streak >= 3) {
       hudStreak.textContent = `×${me.streak}`;
       hudStreak.classList.remove('hidden');
@@ -348,22 +932,50 @@ socket.on('worldUpdate', (state) => {
   }
 
   renderPlayersStrip(state.players);
-  renderWard(state);
+  renderCallRooms(state.rooms || []);
+  const now = Date.now();
+  roomCalls = Object.fromEntries(Object.entries(state.calls || {})
+    .map(([room, c]) => [room, { kind: c.kind, name: c.name, until: now + c.remainingMs }]));
+  resetTrendsOnAdmission(vitalsHistory, roomAdmissions, state.rooms || []);
+  // Empty and cleaning rooms keep their last numbers in Redis — not part of any trend
+  const occupied = Object.fromEntries((state.rooms || [])
+    .filter(p => p.status === 'occupied' && state.vitals?.[p.room])
+    .map(p => [p.room, state.vitals[p.room]]));
+  recordVitals(vitalsHistory, occupied);
+  drawWard(state);
+  if (state.shift) renderShift(state.shift, state.players);
+  announceNewTasks(state.tasks || []);
+  for (const room of Object.keys(criticalRooms || {})) {
+    if (!occupied[room]) delete criticalRooms[room]; // discharged — the next patient starts clean
+  }
+  checkVitals(occupied);
 
   // Force-close modal if the claimed task no longer exists (resolved or expired by server)
   if (activeModal) {
     const stillExists = state.tasks?.some(t => t.id === activeModal.taskId);
-    if (!stillExists) {
-      clearInterval(activeModal.ttlInterval);
-      activeModal = null;
-      taskModal.style.pointerEvents = '';
-      taskModal.classList.add('hidden');
-      taskModal.classList.remove('flex');
-    }
+    if (!stillExists) dismissModal();
   }
 });
 
-socket.on('playerUpdate', ({ score, streak, bonus, correct }) => {
+// Simulation tick: only the rooms whose vitals changed
+socket.on('vitalsUpdate', (changed) => {
+  if (!worldState) return;
+  Object.assign(worldState.vitals, changed);
+  worldState.tasks.forEach(t => { if (changed[t.room]) t.vitals = changed[t.room]; });
+  recordVitals(vitalsHistory, changed);
+  checkVitals(changed);
+  drawWard(worldState);
+  if (activeModal && changed[activeModal.room]) renderModalVitals(activeModal.room, changed[activeModal.room]);
+});
+
+// Exam mode: only { taskId } — the modal closed with the answer, right or wrong
+socket.on('playerUpdate', ({ score, streak, bonus, correct, done, taskId, step, steps }) => {
+  const exam = correct === undefined;
+  if (exam) {
+    showToast(t('toast.documented'), 'bg-slate-600');
+    return;
+  }
+
   hudMyScore.textContent = score;
 
   if (streak >= 3) {
@@ -375,38 +987,205 @@ socket.on('playerUpdate', ({ score, streak, bonus, correct }) => {
     hudStreak.classList.add('hidden');
   }
 
-  if (bonus > 0)      showToast(`🔥 Streak-Bonus! +${bonus} Punkte`, 'bg-orange-500');
-  else if (correct)   showToast('✓ Richtig!',           'bg-emerald-600');
-  else                showToast('✗ Falsche Maßnahme',   'bg-red-600');
+  // Protocol verdict for the open modal: advance to the next step, or close on a wrong step
+  if (activeModal && activeModal.taskId === taskId && activeModal.pending) {
+    if (correct && !done) {
+      activeModal.completed.push(activeModal.expected);
+      activeModal.pending = false;
+      renderModalSteps();
+    } else {
+      dismissModal();
+    }
+  }
+
+  if (bonus > 0)             showToast(t('toast.streakBonus', { bonus }), 'bg-orange-500');
+  else if (correct && !done) showToast(t('toast.step', { step, steps }), 'bg-emerald-600');
+  else if (correct)          showToast(t('toast.correct'),               'bg-emerald-600');
+  else                       showToast(t('toast.wrong'),                 'bg-red-600');
+});
+
+// Training mode: after a wrong step or a finished task
+socket.on('decisionFeedback', showFeedback);
+
+socket.on('examReport', (report) => {
+  examReport = report;
+  if (worldState?.shift) renderShift(worldState.shift, worldState.players);
+});
+
+socket.on('patientFlow', ({ type, room, name, penalty }) => {
+  if (type === 'admitted')         showToast(t('toast.admitted', { room, name }), 'bg-sky-600');
+  else if (type === 'discharged')  showToast(t('toast.discharged', { room, name }), 'bg-emerald-600');
+  else if (type === 'transferred') showToast(t('toast.transferred', { room, name, penalty }), 'bg-red-600');
+});
+
+socket.on('shiftEnded', () => {
+  showToast(t('toast.shiftEnded'), 'bg-emerald-600');
+});
+
+// Claim lapsed before the step arrived
+socket.on('resolveError', ({ reason }) => {
+  dismissModal();
+  showToast(`⚡ ${t(reason)}`, 'bg-slate-600');
+});
+
+socket.on('teamMessages', (messages) => {
+  teamMessages = messages;
+  renderTeamFeed();
+});
+
+socket.on('teamMessage', (m) => {
+  teamMessages.push(m);
+  if (teamMessages.length > TEAM_FEED_LENGTH) teamMessages.shift();
+  renderTeamFeed();
+  if (m.playerId !== myPlayerId && (m.kind === 'help' || m.kind === 'codeBlue')) {
+    showToast(`${m.name}: ${callSay(m.kind, m.room)}`, m.kind === 'codeBlue' ? 'bg-blue-700' : 'bg-sky-700');
+  }
+});
+
+socket.on('messageRejected', ({ reason }) => {
+  showToast(`⚡ ${t(reason)}`, 'bg-slate-600');
 });
 
 socket.on('claimFailed', ({ reason }) => {
-  if (activeModal) { clearInterval(activeModal.ttlInterval); activeModal = null; }
-  taskModal.style.pointerEvents = '';
-  taskModal.classList.add('hidden');
-  taskModal.classList.remove('flex');
-  showToast(`⚡ ${reason}`, 'bg-slate-600');
+  dismissModal();
+  showToast(`⚡ ${t(reason)}`, 'bg-slate-600');
 });
 
-socket.on('leaderboardUpdate', (entries) => {
-  renderLeaderboard(lobbyBoard, entries);
-  renderLeaderboard(gameBoard, entries);
+socket.on('leaderboardUpdate', (boards) => {
+  leaderboards = boards;
+  renderBoards();
+  if (screenLobby.classList.contains('active')) requestPersonalResults();
+});
+
+socket.on('personalResults', (results) => {
+  if (results.name !== nameInput.value.trim()) return; // answer to an older keystroke
+  renderPersonalResults(results);
 });
 
 // ── UI interactions ───────────────────────────────────────────
 
-btnRegister.addEventListener('click', () => {
+/** Register with the server — join the ward in the code field, or open a new one. */
+function register(create) {
   const name = nameInput.value.trim();
   if (!name) { nameInput.focus(); return; }
   localStorage.setItem('stationsSprintName', name);
-  socket.emit('registerPlayer', name);
+  localStorage.setItem('stationsSprintRole', roleSelect.value);
+  socket.emit('registerPlayer', {
+    name,
+    ward:      wardInput.value.trim(),
+    scenario:  scenarioSelect.value,
+    mode:      modeSelect.value,
+    difficulty: difficultySelect.value,
+    adaptive:  adaptiveInput.checked,
+    role:      roleSelect.value,
+    locale,
+    create,
+    deviceKey: deviceKeyFor(name),
+    pin:       pinInput.value.trim(),
+  });
+  requestAlarmNotifications();
   showScreen(screenGame);
+}
+
+btnRegister.addEventListener('click', () => register(false));
+btnCreateWard.addEventListener('click', () => register(true));
+
+document.getElementById('btn-feedback-ok').addEventListener('click', hideFeedback);
+
+document.querySelectorAll('[data-call]').forEach(btn => {
+  btn.addEventListener('click', () => sendCall(btn.dataset.call, callRoom.value));
+});
+document.getElementById('modal-help-btn').addEventListener('click', () => {
+  if (activeModal) sendCall('help', activeModal.room);
+});
+chatForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text) return;
+  socket.emit('teamMessage', { kind: 'chat', text });
+  chatInput.value = '';
 });
 
+btnProfile.addEventListener('click', () => {
+  const name = nameInput.value.trim();
+  if (!name) { nameInput.focus(); return; }
+  profileWanted = true;
+  socket.emit('getProfile', { name, deviceKey: deviceKeyFor(name), pin: pinInput.value.trim() });
+});
+
+pinForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const newPin = newPinInput.value.trim();
+  if (!/^\d{4,8}$/.test(newPin)) {
+    showToast(`⚡ ${t('error.pinFormat')}`, 'bg-slate-600');
+    return;
+  }
+  profileWanted = true;
+  socket.emit('setPin', { name: profile.name, deviceKey: deviceKeyFor(profile.name), newPin });
+});
+
+document.getElementById('btn-forget-device').addEventListener('click', () => {
+  // Without a PIN this device is the only way back into the profile
+  if (!profile.hasPin) {
+    showToast(t('profile.pinFirst'), 'bg-slate-600');
+    newPinInput.focus();
+    return;
+  }
+  socket.emit('forgetDevice', { name: profile.name, deviceKey: deviceKeyFor(profile.name) });
+  storeDeviceKey(profile.name, null);
+  showToast(t('profile.signedOut'), 'bg-slate-600');
+  profile = null;
+  showScreen(screenLobby);
+});
+
+document.getElementById('btn-profile-back').addEventListener('click', () => showScreen(screenLobby));
+
 nameInput.addEventListener('keydown', e => {
   if (e.key === 'Enter') btnRegister.click();
 });
+let personalTimer = null;
+nameInput.addEventListener('input', () => {
+  pinInput.value = '';
+  pinInput.classList.add('hidden');
+  clearTimeout(personalTimer);
+  personalTimer = setTimeout(requestPersonalResults, 300);
+});
+
+localeSwitch.addEventListener('click', e => {
+  const btn = e.target.closest('[data-locale-option]');
+  if (!btn) return;
+  setLocale(btn.dataset.localeOption);
+  renderLocale();
+});
+
+boardTabs.addEventListener('click', e => {
+  const tab = e.target.closest('[data-period]');
+  if (!tab) return;
+  boardPeriod = tab.dataset.period;
+  localStorage.setItem('stationsSprintBoard', boardPeriod);
+  renderBoards();
+});
+pinInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter') btnRegister.click();
+});
+wardInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter') btnRegister.click();
+});
+
+alarmToggle.addEventListener('click', () => {
+  setAlarmMuted(!alarmSettings.muted);
+  renderAlarmControls();
+});
+alarmVolume.addEventListener('change', () => {
+  setAlarmVolume(Number(alarmVolume.value));
+  previewAlarm();
+});
 
 // Modal close button and backdrop
 modalCloseBtn.addEventListener('click', closeModal);
 document.getElementById('modal-backdrop').addEventListener('click', closeModal);
+
+renderLocale();
+
+// Offline shell and home-screen install (sw.js)
+if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js');
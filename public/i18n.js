@@ -0,0 +1,506 @@
+/**
+ * i18n.js — Stations-Sprint message catalogs (German + English)
+ *
+ * Loaded before ward-view.js on every player-facing page. The locale comes
+ * from <html data-locale> (pages pinned to one language), the lobby switch
+ * (localStorage), or the browser — German when none of them matches.
+ *
+ *   t(key, params)  → the message in the current locale ({name} placeholders
+ *                     filled from params); plural messages { one, other } are
+ *                     chosen by params.count (Intl.PluralRules)
+ *   applyI18n(root) → static markup: data-i18n (text), data-i18n-placeholder,
+ *                     data-i18n-title
+ *
+ * Server errors arrive as keys ('error.…') with params and are looked up here;
+ * scenario texts (actions, symptoms, urgency) come localized from the server.
+ */
+
+// ── Catalogs ──────────────────────────────────────────────────
+const MESSAGES = {
+  de: {
+    // Lobby
+    'lobby.tagline':         'Eine Station. Ein Team. Alle zusammen.',
+    'lobby.name':            'Dein Name …',
+    'lobby.pin':             'PIN deines Profils',
+    'lobby.ward':            'Stations-Code (leer = Hauptstation)',
+    'lobby.role':            'Deine Rolle auf Station',
+    'lobby.role.pflege':     '🩺 Pflegekraft',
+    'lobby.role.arzt':       '👨‍⚕️ Ärztin / Arzt — darf anordnen',
+    'lobby.join':            'Dienst antreten →',
+    'lobby.scenario':        'Szenario für eine neue Station',
+    'lobby.mode':            'Modus für eine neue Station',
+    'lobby.mode.training':   '🎓 Training — Feedback nach jeder Entscheidung',
+    'lobby.mode.exam':       '📝 Prüfung — Auswertung erst am Schichtende',
+    'lobby.difficulty':      'Schwierigkeitsgrad für eine neue Station',
+    'lobby.difficulty.experte': '🔥 Experte — ohne Diagnose',
+    'lobby.adaptive':        'Adaptiv',
+    'lobby.adaptiveTitle':   'Tempo und Dringlichkeit passen sich der Trefferquote des Teams an',
+    'lobby.createWard':      '＋ Neue Station eröffnen',
+    'lobby.profile':         '👤 Mein Profil',
+    'lobby.locale':          'Sprache',
+
+    // Leaderboard
+    'board.title':           '🏆 Bestenliste',
+    'board.today':           'Heute',
+    'board.week':            'Woche',
+    'board.weekLong':        'Diese Woche',
+    'board.all':             'Gesamt',
+    'board.loading':         'Wird geladen …',
+    'board.empty':           'Noch keine Einträge',
+    'personal.none':         'Noch kein Ergebnis — deine erste Schicht zählt!',
+    'personal.best':         'Deine Bestleistung',
+    'personal.recent':       'Letzte Ergebnisse',
+
+    // Profile
+    'profile.since':         'Dabei seit {date}',
+    'profile.shifts':        'Schichten',
+    'profile.resolved':      'Gelöste Aufträge',
+    'profile.accuracy':      'Trefferquote',
+    'profile.bestStreak':    'Beste Serie',
+    'profile.reaction':      'Ø Reaktionszeit',
+    'profile.hasPin':        '🔒 Dein Name ist mit einer PIN geschützt.',
+    'profile.noPin':         '🔓 Ohne PIN kannst du nur auf diesem Gerät unter deinem Namen spielen.',
+    'profile.changePin':     'PIN ändern',
+    'profile.setPin':        'PIN setzen',
+    'profile.newPin':        '4–8 Ziffern',
+    'profile.forgetDevice':  '🚪 Auf diesem Gerät abmelden',
+    'profile.back':          '← Zurück',
+    'profile.pinSaved':      '🔒 PIN gespeichert',
+    'profile.pinFirst':      '🔓 Setze zuerst eine PIN',
+    'profile.signedOut':     '🚪 Abgemeldet — mit deiner PIN kommst du wieder rein',
+
+    // Roles, modes, difficulty
+    'role.pflege':           'Pflegekraft',
+    'role.arzt':             'Ärztin / Arzt',
+    'mode.training':         '🎓 Training',
+    'mode.exam':             '📝 Prüfung',
+    'difficulty.einsteiger': '🌱 Einsteiger',
+    'difficulty.standard':   '⚖️ Standard',
+    'difficulty.experte':    '🔥 Experte',
+
+    // HUD, players, team bar
+    'hud.team':              'Team',
+    'hud.me':                'Ich',
+    'hud.ward':              '🏥 Station Katharinen',
+    'hud.players':           { one: '{count} Pflegekraft', other: '{count} Pflegekräfte' },
+    'alarm.mute':            'Alarmtöne stummschalten',
+    'alarm.unmute':          'Alarmtöne einschalten',
+    'alarm.volume':          'Lautstärke der Alarmtöne',
+    'alarm.ttlLow':          '⏱ Zi. {room}: Die Zeit läuft ab',
+    'alarm.vitals':          '⚠️ Zi. {room}: Vitalwerte kritisch',
+    'connection.lost':       'Verbindung verloren',
+    'connection.retrying':   'Verbinde neu …',
+    'connection.attempt':    'Verbinde neu … (Versuch {attempt})',
+    'players.none':          'Keine weiteren Spieler online',
+    'players.offline':       'Verbindung unterbrochen',
+    'team.empty':            'Noch keine Nachrichten — Hilferufe und Absprachen erscheinen hier.',
+    'team.room':             'Zimmer',
+    'team.help':             '🙋 Hilfe',
+    'team.taking':           '🏃 Übernehme',
+    'team.codeBlue':         '🚨 Code Blau',
+    'team.chat':             'Nachricht ans Team …',
+    'team.send':             'Senden',
+    'call.help.say':         'Brauche Hilfe',
+    'call.help.mark':        'braucht Hilfe',
+    'call.taking.say':       'Übernehme',
+    'call.taking.mark':      'übernimmt',
+    'call.codeBlue.say':     'Code Blau',
+    'call.codeBlue.mark':    'ruft Code Blau',
+
+    // Room cards (ward-view.js)
+    'room.short':            'Zi. {room}',
+    'room.cleaning':         '🧽 Wird gereinigt …',
+    'room.free':             '🛏️ Frei',
+    'room.icuRisk':          '🚑 Verlegung auf ITS droht',
+    'room.step':             'Schritt {step}/{steps}',
+    'room.claimedByMe':      '📋 Du hast übernommen …',
+    'room.claimedBy':        '📋 {name} übernimmt …',
+    'room.tapToClaim':       'Antippen zum Übernehmen',
+    'room.more':             '+{count} weitere',
+    'room.allGood':          'Alles in Ordnung ✓',
+    'room.order':            '📝 Anordnung angefragt: {order}',
+    'symptom.unknown':       'Unklarer Befund',
+
+    // Task modal
+    'modal.patient':         'Zimmer {room} · {patient}',
+    'modal.noHint':          'Keine Angaben — stelle die Diagnose anhand der Vitalwerte.',
+    'modal.help':            '🙋 Hilfe holen',
+    'modal.orderAsked':      '📝 {name} bittet um Anordnung: {action}',
+    'modal.locked':          'Ärztliche Anordnung nötig',
+    'modal.requestOrder':    'Anordnung anfragen',
+    'modal.question':        'Was ist die richtige Maßnahme?',
+    'modal.protocolStep':    'Protokoll · Schritt {step} von {steps}',
+
+    // Toasts
+    'toast.orderRequested':  '📝 Anordnung angefragt: {action}',
+    'toast.renamed':         '✏️ Du heißt jetzt {name}',
+    'toast.paused':          '⏸ Kursleitung: keine neuen Aufträge',
+    'toast.resumed':         '▶️ Kursleitung: es geht weiter',
+    'toast.documented':      '📝 Maßnahme dokumentiert',
+    'toast.streakBonus':     '🔥 Streak-Bonus! +{bonus} Punkte',
+    'toast.step':            '✓ Schritt {step}/{steps}',
+    'toast.correct':         '✓ Richtig!',
+    'toast.wrong':           '✗ Falsche Maßnahme',
+    'toast.admitted':        '🛏️ Zi. {room}: Neuaufnahme {name}',
+    'toast.discharged':      '🏠 Zi. {room}: {name} entlassen',
+    'toast.transferred':     '🚑 Zi. {room}: {name} auf ITS verlegt ({penalty})',
+    'toast.shiftEnded':      '🏁 Schichtende!',
+
+    // Shift overlay
+    'shift.handover':        'Schichtübergabe',
+    'shift.length':          'Schichtdauer: {minutes} Min. · Start, sobald alle bereit sind',
+    'shift.examNote':        'Punkte und Feedback erst am Schichtende',
+    'shift.adaptiveNote':    'passt sich dem Team an',
+    'shift.experteNote':     'Diagnose nur aus den Vitalwerten',
+    'shift.ready':           '✅ Bereit',
+    'shift.waiting':         '⏳ Wartet',
+    'shift.noDoctor':        '⚠️ Kein Arzt im Team — ärztliche Anordnungen ({actions}) bleiben liegen.',
+    'shift.notYet':          'Doch noch nicht',
+    'shift.readyButton':     'Bereit ✓',
+    'shift.end':             'Schichtende',
+    'shift.duration':        'Dauer {time}',
+    'summary.teamScore':     'Teampunkte',
+    'summary.stabilized':    'Stabilisiert',
+    'summary.admitted':      'Aufgenommen',
+    'summary.discharged':    'Entlassen',
+    'summary.transferred':   'Auf ITS verlegt',
+    'summary.missed':        'Verpasste Aufträge',
+    'summary.contributions': 'Beiträge',
+    'summary.replay':        '🎬 Schicht im Replay ansehen',
+    'summary.next':          'Nächste Schicht →',
+
+    // Teaching feedback
+    'feedback.correct':      '✓ Richtig versorgt',
+    'feedback.wrong':        '✗ Falsche Maßnahme',
+    'feedback.chosen':       'Gewählt:',
+    'feedback.right':        'Richtig',
+    'feedback.step':         '(Schritt {step}/{steps})',
+    'feedback.protocol':     'Ablauf',
+    'feedback.vitals':       'Vitalwerte bei Übernahme',
+    'feedback.ok':           'Verstanden',
+    'vital.hr':              'Puls',
+    'vital.o2':              'SpO₂',
+    'vital.temp':            'Temperatur',
+    'vital.bp':              'RR sys.',
+    'exam.report':           '📝 Dein Prüfungsbericht',
+    'exam.score':            { one: '{score} Entscheidung richtig', other: '{score} Entscheidungen richtig' },
+    'exam.noMistakes':       'Keine Fehler — sehr gut! ✓',
+
+    // Projector view
+    'display.ward':          '🏥 Station',
+    'display.onDuty':        'Im Dienst',
+    'display.board':         '🏆 Bestenliste · Heute',
+    'display.nobody':        'Noch niemand im Dienst',
+    'display.ready':         '{ready}/{total} bereit',
+    'display.code':          'Code',
+    'display.failed':        'Station {ward}: {reason}',
+
+    // Shift replay (replay.js)
+    'replay.title':          '🎬 Schicht-Replay',
+    'replay.none':           'Noch keine abgeschlossene Schicht gespeichert.',
+    'replay.noLog':          'Für diese Schicht wurde kein Verlauf aufgezeichnet.',
+    'replay.play':           '▶ Start',
+    'replay.pause':          '⏸ Pause',
+    'replay.speed':          'Wiedergabetempo',
+    'replay.players':        'Pflegekräfte',
+    'replay.log':            'Verlauf',
+    'replay.option':         '{when} · Station {ward} · Team {score}',
+    'replay.meta':           '{scenario} · {players} · {stabilized} versorgt',
+    'replay.start':          '▶ Schichtbeginn',
+    'replay.end':            '🏁 Schichtende',
+    'replay.claim':          '📋 {name} übernimmt {room}',
+    'replay.release':        '↩️ {room} wieder offen',
+    'replay.order':          '📝 {name} · {room}: Anordnung angefragt — {action}',
+    'replay.stabilized':     '✅ {name} · {room}: {action} — versorgt',
+    'replay.missed':         '⏰ {room}: {task} verpasst',
+    'replay.task':           'Auftrag',
+    'replay.discharged':     '🏠 {room}: {name} entlassen',
+    'replay.transferred':    '🚑 {room}: {name} auf ITS verlegt ({penalty})',
+    'replay.admitted':       '🛏️ {room}: Neuaufnahme {name}',
+
+    // Server errors (message keys sent by server.js)
+    'error.unknownWard':     'Unbekannter Stations-Code',
+    'error.noProfile':       'Zu diesem Namen gibt es noch kein Profil',
+    'error.nameTaken':       '„{name}“ ist bereits vergeben',
+    'error.pinRequired':     'Dieser Name ist geschützt — bitte PIN eingeben',
+    'error.pinLocked':       'Zu viele falsche PINs — bitte in ein paar Minuten erneut',
+    'error.pinWrong':        'Falsche PIN',
+    'error.pinFormat':       'Die PIN muss aus 4 bis 8 Ziffern bestehen',
+    'error.notHolder':       'Du hältst diesen Auftrag nicht',
+    'error.doctorOrder':     'Dafür ist eine ärztliche Anordnung nötig',
+    'error.claimTaken':      'Bereits beansprucht',
+    'error.taskGone':        'Auftrag ist nicht mehr offen',
+    'error.tooManyMessages': 'Zu viele Nachrichten — bitte kurz warten',
+    'error.kicked':          'Von der Kursleitung entfernt',
+  },
+
+  en: {
+    // Lobby
+    'lobby.tagline':         'One ward. One team. All together.',
+    'lobby.name':            'Your name …',
+    'lobby.pin':             'Your profile PIN',
+    'lobby.ward':            'Ward code (empty = main ward)',
+    'lobby.role':            'Your role on the ward',
+    'lobby.role.pflege':     '🩺 Nurse',
+    'lobby.role.arzt':       '👨‍⚕️ Doctor — may give orders',
+    'lobby.join':            'Start your shift →',
+    'lobby.scenario':        'Scenario for a new ward',
+    'lobby.mode':            'Mode for a new ward',
+    'lobby.mode.training':   '🎓 Training — feedback after every decision',
+    'lobby.mode.exam':       '📝 Exam — results only at the end of the shift',
+    'lobby.difficulty':      'Difficulty for a new ward',
+    'lobby.difficulty.experte': '🔥 Expert — no diagnosis',
+    'lobby.adaptive':        'Adaptive',
+    'lobby.adaptiveTitle':   'Pace and urgency follow the team’s accuracy',
+    'lobby.createWard':      '＋ Open a new ward',
+    'lobby.profile':         '👤 My profile',
+    'lobby.locale':          'Language',
+
+    // Leaderboard
+    'board.title':           '🏆 Leaderboard',
+    'board.today':           'Today',
+    'board.week':            'Week',
+    'board.weekLong':        'This week',
+    'board.all':             'All time',
+    'board.loading':         'Loading …',
+    'board.empty':           'No entries yet',
+    'personal.none':         'No result yet — your first shift counts!',
+    'personal.best':         'Your best',
+    'personal.recent':       'Recent results',
+
+    // Profile
+    'profile.since':         'Playing since {date}',
+    'profile.shifts':        'Shifts',
+    'profile.resolved':      'Tasks resolved',
+    'profile.accuracy':      'Accuracy',
+    'profile.bestStreak':    'Best streak',
+    'profile.reaction':      'Avg. reaction time',
+    'profile.hasPin':        '🔒 Your name is protected by a PIN.',
+    'profile.noPin':         '🔓 Without a PIN you can only play under your name on this device.',
+    'profile.changePin':     'Change PIN',
+    'profile.setPin':        'Set PIN',
+    'profile.newPin':        '4–8 digits',
+    'profile.forgetDevice':  '🚪 Sign out on this device',
+    'profile.back':          '← Back',
+    'profile.pinSaved':      '🔒 PIN saved',
+    'profile.pinFirst':      '🔓 Set a PIN first',
+    'profile.signedOut':     '🚪 Signed out — your PIN gets you back in',
+
+    // Roles, modes, difficulty
+    'role.pflege':           'Nurse',
+    'role.arzt':             'Doctor',
+    'mode.training':         '🎓 Training',
+    'mode.exam':             '📝 Exam',
+    'difficulty.einsteiger': '🌱 Beginner',
+    'difficulty.standard':   '⚖️ Standard',
+    'difficulty.experte':    '🔥 Expert',
+
+    // HUD, players, team bar
+    'hud.team':              'Team',
+    'hud.me':                'Me',
+    'hud.ward':              '🏥 St. Katharinen',
+    'hud.players':           { one: '{count} nurse', other: '{count} nurses' },
+    'alarm.mute':            'Mute alarm tones',
+    'alarm.unmute':          'Unmute alarm tones',
+    'alarm.volume':          'Alarm volume',
+    'alarm.ttlLow':          '⏱ Rm {room}: time is running out',
+    'alarm.vitals':          '⚠️ Rm {room}: critical vital signs',
+    'connection.lost':       'Connection lost',
+    'connection.retrying':   'Reconnecting …',
+    'connection.attempt':    'Reconnecting … (attempt {attempt})',
+    'players.none':          'No other players online',
+    'players.offline':       'Connection lost',
+    'team.empty':            'No messages yet — calls for help and team talk show up here.',
+    'team.room':             'Room',
+    'team.help':             '🙋 Help',
+    'team.taking':           '🏃 On it',
+    'team.codeBlue':         '🚨 Code Blue',
+    'team.chat':             'Message to the team …',
+    'team.send':             'Send',
+    'call.help.say':         'Need help',
+    'call.help.mark':        'needs help',
+    'call.taking.say':       'On it',
+    'call.taking.mark':      'is on it',
+    'call.codeBlue.say':     'Code Blue',
+    'call.codeBlue.mark':    'called Code Blue',
+
+    // Room cards (ward-view.js)
+    'room.short':            'Rm {room}',
+    'room.cleaning':         '🧽 Being cleaned …',
+    'room.free':             '🛏️ Free',
+    'room.icuRisk':          '🚑 ICU transfer imminent',
+    'room.step':             'Step {step}/{steps}',
+    'room.claimedByMe':      '📋 You took over …',
+    'room.claimedBy':        '📋 {name} is on it …',
+    'room.tapToClaim':       'Tap to take over',
+    'room.more':             '+{count} more',
+    'room.allGood':          'All good ✓',
+    'room.order':            '📝 Order requested: {order}',
+    'symptom.unknown':       'Unclear finding',
+
+    // Task modal
+    'modal.patient':         'Room {room} · {patient}',
+    'modal.noHint':          'No details — make the diagnosis from the vital signs.',
+    'modal.help':            '🙋 Call for help',
+    'modal.orderAsked':      '📝 {name} asks for an order: {action}',
+    'modal.locked':          'Doctor’s order required',
+    'modal.requestOrder':    'Request order',
+    'modal.question':        'What is the right intervention?',
+    'modal.protocolStep':    'Protocol · step {step} of {steps}',
+
+    // Toasts
+    'toast.orderRequested':  '📝 Order requested: {action}',
+    'toast.renamed':         '✏️ You are now {name}',
+    'toast.paused':          '⏸ Instructor: no new tasks',
+    'toast.resumed':         '▶️ Instructor: back to work',
+    'toast.documented':      '📝 Intervention recorded',
+    'toast.streakBonus':     '🔥 Streak bonus! +{bonus} points',
+    'toast.step':            '✓ Step {step}/{steps}',
+    'toast.correct':         '✓ Correct!',
+    'toast.wrong':           '✗ Wrong intervention',
+    'toast.admitted':        '🛏️ Rm {room}: new admission {name}',
+    'toast.discharged':      '🏠 Rm {room}: {name} discharged',
+    'toast.transferred':     '🚑 Rm {room}: {name} transferred to ICU ({penalty})',
+    'toast.shiftEnded':      '🏁 End of shift!',
+
+    // Shift overlay
+    'shift.handover':        'Shift handover',
+    'shift.length':          'Shift length: {minutes} min · starts once everyone is ready',
+    'shift.examNote':        'points and feedback only at the end of the shift',
+    'shift.adaptiveNote':    'adapts to the team',
+    'shift.experteNote':     'diagnosis from the vital signs only',
+    'shift.ready':           '✅ Ready',
+    'shift.waiting':         '⏳ Waiting',
+    'shift.noDoctor':        '⚠️ No doctor on the team — doctor’s orders ({actions}) will be left undone.',
+    'shift.notYet':          'Not yet',
+    'shift.readyButton':     'Ready ✓',
+    'shift.end':             'End of shift',
+    'shift.duration':        'Duration {time}',
+    'summary.teamScore':     'Team points',
+    'summary.stabilized':    'Stabilised',
+    'summary.admitted':      'Admitted',
+    'summary.discharged':    'Discharged',
+    'summary.transferred':   'Sent to ICU',
+    'summary.missed':        'Missed tasks',
+    'summary.contributions': 'Contributions',
+    'summary.replay':        '🎬 Watch the shift replay',
+    'summary.next':          'Next shift →',
+
+    // Teaching feedback
+    'feedback.correct':      '✓ Treated correctly',
+    'feedback.wrong':        '✗ Wrong intervention',
+    'feedback.chosen':       'Chosen:',
+    'feedback.right':        'Correct',
+    'feedback.step':         '(step {step}/{steps})',
+    'feedback.protocol':     'Sequence',
+    'feedback.vitals':       'Vital signs when taken over',
+    'feedback.ok':           'Got it',
+    'vital.hr':              'Pulse',
+    'vital.o2':              'SpO₂',
+    'vital.temp':            'Temperature',
+    'vital.bp':              'Systolic BP',
+    'exam.report':           '📝 Your exam report',
+    'exam.score':            { one: '{score} decision correct', other: '{score} decisions correct' },
+    'exam.noMistakes':       'No mistakes — well done! ✓',
+
+    // Projector view
+    'display.ward':          '🏥 Ward',
+    'display.onDuty':        'On duty',
+    'display.board':         '🏆 Leaderboard · Today',
+    'display.nobody':        'Nobody on duty yet',
+    'display.ready':         '{ready}/{total} ready',
+    'display.code':          'Code',
+    'display.failed':        'Ward {ward}: {reason}',
+
+    // Shift replay (replay.js)
+    'replay.title':          '🎬 Shift replay',
+    'replay.none':           'No finished shift saved yet.',
+    'replay.noLog':          'No log was recorded for this shift.',
+    'replay.play':           '▶ Play',
+    'replay.pause':          '⏸ Pause',
+    'replay.speed':          'Playback speed',
+    'replay.players':        'Nurses',
+    'replay.log':            'Log',
+    'replay.option':         '{when} · Ward {ward} · Team {score}',
+    'replay.meta':           '{scenario} · {players} · {stabilized} stabilized',
+    'replay.start':          '▶ Shift start',
+    'replay.end':            '🏁 End of shift',
+    'replay.claim':          '📋 {name} takes over {room}',
+    'replay.release':        '↩️ {room} open again',
+    'replay.order':          '📝 {name} · {room}: order requested — {action}',
+    'replay.stabilized':     '✅ {name} · {room}: {action} — stabilized',
+    'replay.missed':         '⏰ {room}: {task} missed',
+    'replay.task':           'Task',
+    'replay.discharged':     '🏠 {room}: {name} discharged',
+    'replay.transferred':    '🚑 {room}: {name} transferred to ICU ({penalty})',
+    'replay.admitted':       '🛏️ {room}: new admission {name}',
+
+    // Server errors (message keys sent by server.js)
+    'error.unknownWard':     'Unknown ward code',
+    'error.noProfile':       'There is no profile for this name yet',
+    'error.nameTaken':       '“{name}” is already taken',
+    'error.pinRequired':     'This name is protected — please enter the PIN',
+    'error.pinLocked':       'Too many wrong PINs — please try again in a few minutes',
+    'error.pinWrong':        'Wrong PIN',
+    'error.pinFormat':       'The PIN must be 4 to 8 digits',
+    'error.notHolder':       'You are not holding this task',
+    'error.doctorOrder':     'This needs a doctor’s order',
+    'error.claimTaken':      'Already taken',
+    'error.taskGone':        'The task is no longer open',
+    'error.tooManyMessages': 'Too many messages — please wait a moment',
+    'error.kicked':          'Removed by the instructor',
+  },
+};
+
+const LOCALES        = Object.keys(MESSAGES);
+const DEFAULT_LOCALE = 'de';
+// BCP 47 tags for dates and times
+const LOCALE_TAGS    = { de: 'de-DE', en: 'en-GB' };
+
+// ── Locale ────────────────────────────────────────────────────
+/** Pinned page locale, else the lobby choice, else the first browser language we know. */
+function pickLocale() {
+  const pinned = document.documentElement.dataset.locale;
+  if (LOCALES.includes(pinned)) return pinned;
+  const stored = localStorage.getItem('stationsSprintLocale');
+  if (LOCALES.includes(stored)) return stored;
+  const browser = (navigator.languages || [navigator.language || ''])
+    .map(tag => String(tag).slice(0, 2).toLowerCase())
+    .find(lang => LOCALES.includes(lang));
+  return browser || DEFAULT_LOCALE;
+}
+
+let locale = pickLocale();
+document.documentElement.lang = locale;
+
+/** Switch the locale (the lobby switch) and remember it on this device. */
+function setLocale(next) {
+  if (!LOCALES.includes(next)) return;
+  locale = next;
+  localStorage.setItem('stationsSprintLocale', next);
+  document.documentElement.lang = next;
+}
+
+function localeTag() {
+  return LOCALE_TAGS[locale];
+}
+
+// ── Lookup ────────────────────────────────────────────────────
+const pluralRules = {};
+
+/** The message for `key` in the current locale (German, then the key itself, as fallback). */
+function t(key, params = {}) {
+  let msg = MESSAGES[locale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof msg === 'object') {
+    const rules = pluralRules[locale] || (pluralRules[locale] = new Intl.PluralRules(LOCALE_TAGS[locale]));
+    msg = msg[rules.select(params.count ?? 0)] ?? msg.other;
+  }
+  return msg.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/** Fill the static texts of `root` (data-i18n, data-i18n-placeholder, data-i18n-title). */
+function applyI18n(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
@@ -0,0 +1,345 @@
+/**
+ * replay.js — Stations-Sprint shift replay (/replay?shift=ID)
+ *
+ * Responsibilities:
+ *   - Pick a finished shift (GET /api/shifts) and load its event log (GET /api/shifts/:id)
+ *   - Rebuild the ward at any point of the shift from the log: forward by applying
+ *     the next events, backward by replaying from the 'start' event
+ *   - Play / pause, playback speed, scrubbing; the ward is drawn with ward-view.js,
+ *     display-only
+ *   - Texts from i18n.js in the browser's locale; the log holds the scenario as
+ *     recorded (German), its labels are taken from /api/scenario in that locale
+ *
+ * Event types (written by server.js / redis.js): start, spawn, claim, release,
+ * order, resolve, expire, remove, vitals, flow, rooms, message, end.
+ */
+
+// ── DOM refs ─────────────────────────────────────────────────
+const shiftSelect = document.getElementById('shift-select');
+const shiftMeta   = document.getElementById('shift-meta');
+const teamScoreEl = document.getElementById('team-score');
+const noShift     = document.getElementById('no-shift');
+const replayView  = document.getElementById('replay-view');
+const btnPlay     = document.getElementById('btn-play');
+const speedSelect = document.getElementById('speed-select');
+const timeline    = document.getElementById('timeline');
+const clockEl     = document.getElementById('clock');
+const wardGrid    = document.getElementById('ward-grid');
+const playerList  = document.getElementById('player-list');
+const eventFeed   = document.getElementById('event-feed');
+
+// ── State ────────────────────────────────────────────────────
+const TICK_MS       = 100; // playback frame interval
+const FEED_LENGTH   = 60;  // newest feed lines kept on screen
+const CALL_MARK_MS  = 60 * 1000; // a quick call marks its room this long (as on the server)
+
+let events   = [];   // the loaded shift's log, oldest first
+let scenario = null; // public scenario from the 'start' event
+let t0       = 0;    // time of the first event (timeline zero)
+let duration = 0;    // ms from the first to the last event
+let cursor   = 0;    // playback position, ms since t0
+let applied  = 0;    // events[0 … applied-1] are reflected in `world`
+let world    = null;
+let playTimer = null;
+
+/** Empty world as of the 'start' event. */
+function initialWorld(start) {
+  const players = {};
+  for (const p of start.data.players) players[p.id] = { name: p.name, score: 0 };
+  return {
+    tasks:      [],
+    vitals:     { ...start.data.vitals },
+    rooms:      start.data.rooms.map(r => ({ ...r })),
+    teamScore:  0,
+    players,
+    history:    {},
+    calls:      {},   // { room: { kind, name, at } }
+    admissions: Object.fromEntries(start.data.rooms.map(r => [r.room, r.admittedAt])),
+    feed:       [],
+  };
+}
+
+// ── Applying events ──────────────────────────────────────────
+function roomLabel(room) {
+  return t('room.short', { room });
+}
+
+function actionLabel(key) {
+  const a = scenario.actions[key];
+  return a ? `${a.icon} ${a.label}` : key;
+}
+
+/** The player entry for an id, created for players who joined mid-shift. */
+function playerEntry(id, name) {
+  return world.players[id] || (world.players[id] = { name, score: 0 });
+}
+
+function feed(at, text, cls = 'text-slate-300') {
+  world.feed.push({ at, text, cls });
+  if (world.feed.length > FEED_LENGTH) world.feed.shift();
+}
+
+function dropClaim(task) {
+  task.claimedBy = null;
+  task.claimedByName = null;
+  task.claimedUntil = null;
+}
+
+/** Advance `world` by one logged event. */
+function applyEvent({ at, type, data }) {
+  const task = data.taskId ? world.tasks.find(t => t.id === data.taskId) : null;
+
+  switch (type) {
+    case 'start':
+      feed(at, t('replay.start'), 'text-emerald-400');
+      break;
+
+    case 'vitals':
+      Object.assign(world.vitals, data);
+      recordVitals(world.history, data, at);
+      break;
+
+    case 'spawn': {
+      const t = data.task;
+      world.tasks.push({ ...t, completed: [], stepsDone: 0, claimedBy: null, claimedByName: null, claimedUntil: null, ttlMs: 0, order: null });
+      const sym = symptomMeta(scenario, t);
+      feed(at, `🆕 ${roomLabel(t.room)}: ${sym.icon} ${esc(sym.label)} · ${esc(urgencyMeta(scenario, t.urgency).label)}`);
+      break;
+    }
+
+    case 'claim':
+      if (!task) break;
+      task.claimedBy     = data.playerId;
+      task.claimedByName = data.name;
+      task.ttlMs         = data.ttlMs || 0;
+      task.claimedUntil  = task.ttlMs ? at + task.ttlMs : null;
+      playerEntry(data.playerId, data.name);
+      feed(at, t('replay.claim', { name: esc(data.name), room: roomLabel(task.room) }), 'text-slate-400');
+      break;
+
+    case 'release':
+      if (!task) break;
+      dropClaim(task);
+      feed(at, t('replay.release', { room: roomLabel(task.room) }), 'text-slate-500');
+      break;
+
+    case 'order':
+      if (!task) break;
+      dropClaim(task);
+      task.order = { action: data.action, by: data.name };
+      feed(at, t('replay.order', { name: esc(data.name), room: roomLabel(task.room), action: actionLabel(data.action) }), 'text-amber-300');
+      break;
+
+    case 'resolve': {
+      playerEntry(data.playerId, data.name).score = data.score;
+      world.teamScore = data.teamScore;
+      const room = task ? roomLabel(task.room) : '';
+      if (task && data.role === 'arzt') task.order = null; // the doctor answered the order
+      if (!data.correct) {
+        if (task) dropClaim(task);
+        feed(at, `❌ ${esc(data.name)} · ${room}: ${actionLabel(data.chosen)}`, 'text-red-400');
+      } else if (data.done) {
+        world.tasks = world.tasks.filter(t => t.id !== data.taskId);
+        feed(at, t('replay.stabilized', { name: esc(data.name), room, action: actionLabel(data.chosen) }), 'text-emerald-400');
+      } else {
+        if (task) {
+          task.completed.push(data.chosen);
+          task.stepsDone = task.completed.length;
+          task.claimedUntil = task.ttlMs ? at + task.ttlMs : null; // the claim restarts
+        }
+        feed(at, `✔️ ${esc(data.name)} · ${room}: ${actionLabel(data.chosen)}`, 'text-emerald-300');
+      }
+      break;
+    }
+
+    case 'expire':
+      world.tasks = world.tasks.filter(t => t.id !== data.taskId);
+      world.teamScore = data.teamScore;
+      feed(at, t('replay.missed', { room: roomLabel(data.room), task: task ? esc(symptomMeta(scenario, task).label) : t('replay.task') }), 'text-orange-400');
+      break;
+
+    case 'remove':
+      world.tasks = world.tasks.filter(t => t.id !== data.taskId);
+      break;
+
+    case 'flow':
+      if (data.teamScore !== undefined) world.teamScore = data.teamScore;
+      if (data.type === 'discharged')       feed(at, t('replay.discharged', { room: roomLabel(data.room), name: esc(data.name) }), 'text-emerald-400');
+      else if (data.type === 'transferred') feed(at, t('replay.transferred', { room: roomLabel(data.room), name: esc(data.name), penalty: data.penalty }), 'text-red-400');
+      break;
+
+    case 'rooms':
+      for (const changed of data.rooms) {
+        const i = world.rooms.findIndex(r => r.room === changed.room);
+        if (i >= 0) world.rooms[i] = changed;
+        if (changed.status === 'occupied' && world.admissions[changed.room] !== changed.admittedAt) {
+          feed(at, t('replay.admitted', { room: roomLabel(changed.room), name: esc(changed.name) }), 'text-sky-400');
+        }
+      }
+      resetTrendsOnAdmission(world.history, world.admissions, world.rooms);
+      break;
+
+    case 'message':
+      if (data.kind === 'chat') {
+        feed(at, `💬 ${esc(data.name)}: ${esc(data.text)}`, 'text-slate-300');
+      } else if (CALL_META[data.kind]) {
+        world.calls[data.room] = { kind: data.kind, name: data.name, at };
+        feed(at, `${esc(data.name)}: ${callSay(data.kind, data.room)}`, 'text-sky-300');
+      }
+      break;
+
+    case 'end':
+      world.teamScore = data.teamScore;
+      feed(at, t('replay.end'), 'text-emerald-400');
+      break;
+  }
+}
+
+/** Bring `world` to the playback position — incrementally forward, from scratch backward. */
+function seek(ms) {
+  cursor = Math.max(0, Math.min(duration, ms));
+  const until = t0 + cursor;
+  if (applied > 0 && events[applied - 1].at > until) {
+    world   = initialWorld(events[0]);
+    applied = 0;
+  }
+  while (applied < events.length && events[applied].at <= until) {
+    applyEvent(events[applied]);
+    applied++;
+  }
+  render();
+}
+
+// ── Rendering ────────────────────────────────────────────────
+function formatClock(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function render() {
+  const now = t0 + cursor;
+  // Claims that lapsed without an event show as open again
+  const tasks = world.tasks.map(t => (t.claimedUntil && t.claimedUntil < now
+    ? { ...t, claimedBy: null, claimedByName: null }
+    : t));
+  const calls = Object.fromEntries(Object.entries(world.calls).filter(([, c]) => now - c.at < CALL_MARK_MS));
+  renderWard(wardGrid, { tasks, vitals: world.vitals, rooms: world.rooms, calls }, { scenario, history: world.history });
+
+  teamScoreEl.textContent = world.teamScore;
+  timeline.value = cursor;
+  clockEl.textContent = `${formatClock(cursor)} / ${formatClock(duration)}`;
+
+  playerList.innerHTML = Object.values(world.players)
+    .sort((a, b) => b.score - a.score)
+    .map(p => `
+      <div class="flex items-center justify-between py-1.5">
+        <span class="truncate">${esc(p.name)}</span>
+        <span class="font-mono text-emerald-400">${p.score}</span>
+      </div>
+    `).join('') || '<p class="text-slate-500 italic py-1">—</p>';
+
+  eventFeed.innerHTML = world.feed.slice().reverse().map(e => `
+    <li class="${e.cls}"><span class="font-mono text-slate-500">${formatClock(e.at - t0)}</span> ${e.text}</li>
+  `).join('');
+}
+
+// ── Playback ─────────────────────────────────────────────────
+function setPlaying(on) {
+  clearInterval(playTimer);
+  playTimer = null;
+  if (on) {
+    if (cursor >= duration) seek(0);
+    playTimer = setInterval(() => {
+      seek(cursor + TICK_MS * Number(speedSelect.value));
+      if (cursor >= duration) setPlaying(false);
+    }, TICK_MS);
+  }
+  btnPlay.textContent = t(on ? 'replay.pause' : 'replay.play');
+}
+
+btnPlay.addEventListener('click', () => setPlaying(!playTimer));
+timeline.addEventListener('input', () => seek(Number(timeline.value)));
+
+// ── Loading ──────────────────────────────────────────────────
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: ${res.status}`);
+  return res.json();
+}
+
+function shiftOption(s) {
+  const when = new Date(s.endedAt).toLocaleString(localeTag(), { dateStyle: 'short', timeStyle: 'short' });
+  return `<option value="${s.id}">${t('replay.option', { when, ward: esc(s.ward), score: s.teamScore })}</option>`;
+}
+
+/**
+ * The recorded scenario with its labels in the current locale. Only keys the
+ * recording knows are taken over — the scenario file may have changed since.
+ */
+async function localizedScenario(recorded) {
+  if (locale === DEFAULT_LOCALE) return recorded;
+  const current = await fetchJson(`/api/scenario?id=${encodeURIComponent(recorded.id)}&locale=${locale}`).catch(() => null);
+  if (!current) return recorded;
+  const relabel = (own, theirs) => Object.fromEntries(Object.entries(own)
+    .map(([k, v]) => [k, theirs[k] ? { ...v, label: theirs[k].label } : v]));
+  return {
+    ...recorded,
+    name:     current.name,
+    actions:  relabel(recorded.actions, current.actions),
+    symptoms: relabel(recorded.symptoms, current.symptoms),
+    urgency:  relabel(recorded.urgency, current.urgency),
+  };
+}
+
+async function loadShift(id) {
+  setPlaying(false);
+  const shift = await fetchJson(`/api/shifts/${encodeURIComponent(id)}`);
+  history.replaceState(null, '', `/replay?shift=${shift.id}`);
+
+  const start = shift.events.find(e => e.type === 'start');
+  if (!start) {
+    replayView.classList.add('hidden');
+    noShift.textContent = t('replay.noLog');
+    noShift.classList.remove('hidden');
+    return;
+  }
+
+  events   = shift.events.slice(shift.events.indexOf(start));
+  scenario = await localizedScenario(start.data.scenario);
+  t0       = start.at;
+  duration = events[events.length - 1].at - t0;
+  timeline.max = duration;
+
+  shiftMeta.textContent = t('replay.meta', {
+    scenario:   scenario.name,
+    players:    t('hud.players', { count: shift.players.length }),
+    stabilized: shift.stabilized,
+  });
+  noShift.classList.add('hidden');
+  replayView.classList.remove('hidden');
+
+  wardGrid.innerHTML = '';
+  world   = initialWorld(start);
+  applied = 0;
+  seek(0);
+}
+
+applyI18n();
+shiftSelect.addEventListener('change', () => {
+  loadShift(shiftSelect.value).catch(err => console.error('[Replay]', err));
+});
+
+(async () => {
+  const { shifts } = await fetchJson('/api/shifts?limit=100');
+  const wanted = new URLSearchParams(location.search).get('shift');
+  let options = shifts.map(shiftOption).join('');
+  if (wanted && !shifts.some(s => String(s.id) === wanted)) {
+    // An older shift linked directly — list it too
+    const linked = await fetchJson(`/api/shifts/${encodeURIComponent(wanted)}`).catch(() => null);
+    if (linked) options = shiftOption(linked) + options;
+  }
+  shiftSelect.innerHTML = options;
+  if (!shiftSelect.options.length) return;
+  if (wanted && [...shiftSelect.options].some(o => o.value === wanted)) shiftSelect.value = wanted;
+  await loadShift(shiftSelect.value);
+})().catch(err => console.error('[Replay]', err));
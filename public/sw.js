@@ -0,0 +1,51 @@
+/**
+ * sw.js — Stations-Sprint service worker (registered by game.js)
+ *
+ * Caches the player shell so the game opens without the network and can be
+ * installed to the home screen. Network first: while the server is reachable
+ * every shell request goes to it and refreshes the copy (no stale build after
+ * an update); when it is not, the cached copy answers and the page shows its
+ * reconnecting overlay. Only the shell is cached — never the API, the admin
+ * pages or Socket.io traffic.
+ */
+
+const CACHE = 'stations-sprint-v1';
+const SHELL = [
+  '/', '/app.css', '/i18n.js', '/ward-view.js', '/alarms.js', '/game.js',
+  '/socket.io/socket.io.js', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE)
+    .then(cache => cache.addAll(SHELL))
+    .then(() => self.skipWaiting()));
+});
+
+// Drop the caches of older service worker versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Cached by path: game.js?v=24 replaces game.js?v=23 instead of piling up
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== location.origin || !SHELL.includes(url.pathname)) return;
+  event.respondWith(fetch(event.request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE).then(cache => cache.put(url.pathname, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(url.pathname).then(cached => cached || Response.error())));
+});
+
+// An alarm notification (alarms.js) brings the game back to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window' })
+    .then(windows => (windows.length ? windows[0].focus() : self.clients.openWindow('/'))));
+});
@@ -0,0 +1,235 @@
+/**
+ * ward-view.js — Stations-Sprint ward floor plan, shared by the game (game.js),
+ * the shift replay (replay.js) and the projector view (display.js)
+ *
+ * Pure rendering: callers own the world state ({ tasks, vitals, rooms, calls }), the
+ * scenario (labels, icons) and the vitals history behind the trend charts,
+ * and decide what tapping a room does. Texts come from i18n.js (t).
+ */
+
+// ── Metadata ──────────────────────────────────────────────────
+const URGENCY_STYLE = {
+  routine:  { bg: 'bg-slate-600',  text: 'text-slate-200', border: 'border-slate-500'  },
+  urgent:   { bg: 'bg-orange-500', text: 'text-white',     border: 'border-orange-400' },
+  critical: { bg: 'bg-red-600',    text: 'text-white',     border: 'border-red-400'    },
+};
+
+/** Style + scenario label of an urgency tier. */
+function urgencyMeta(scenario, key) {
+  const style = URGENCY_STYLE[key] || URGENCY_STYLE.routine;
+  return { ...style, label: scenario.urgency[key]?.label || key };
+}
+
+// Quick calls about a room (server.js CALL_KINDS). Their texts are
+// 'call.{kind}.say' in the team feed (followed by the room) and
+// 'call.{kind}.mark' on the marked room card (see callSay / callMark)
+const CALL_META = {
+  help:     { icon: '🙋', ring: 'ring-sky-400'   },
+  taking:   { icon: '🏃', ring: 'ring-slate-400' },
+  codeBlue: { icon: '🚨', ring: 'ring-blue-500'  },
+};
+
+/** "🙋 Brauche Hilfe · Zi. 3" — a call as the team feed reads it. */
+function callSay(kind, room) {
+  return `${CALL_META[kind].icon} ${t(`call.${kind}.say`)} · ${t('room.short', { room })}`;
+}
+
+function callMark(kind) {
+  return t(`call.${kind}.mark`);
+}
+
+/** Icon + label of a symptom, falling back to the task's own label (none on Experte — diagnosis withheld). */
+function symptomMeta(scenario, task) {
+  return scenario.symptoms[task.symptom] || { icon: '❓', label: task.label || t('symptom.unknown') };
+}
+
+/** "💊 Betablocker (Anna)" — the action a nurse asked a doctor to order, and who asked. */
+function orderLabel(scenario, order) {
+  const a = scenario.actions[order.action];
+  return `${a ? `${a.icon} ${esc(a.label)}` : esc(order.action)}${order.by ? ` (${esc(order.by)})` : ''}`;
+}
+
+// ── Vitals ────────────────────────────────────────────────────
+// Bedside alarm limits: warn / critical (lo = below, hi = above)
+const VITAL_ALARMS = {
+  hr:   { warn: { lo: 55, hi: 100 }, crit: { lo: 45, hi: 115 } },
+  o2:   { warn: { lo: 94 },          crit: { lo: 90 } },
+  temp: { warn: { hi: 38.0 },        crit: { hi: 39.5 } },
+  bp:   { warn: { lo: 100, hi: 150 }, crit: { lo: 85, hi: 170 } },
+};
+
+function outside(value, { lo = -Infinity, hi = Infinity }) {
+  return value < lo || value > hi;
+}
+
+/** Text class of a vital reading: red when critical, orange when abnormal, else `normal`. */
+function vitalClass(key, value, normal = 'text-slate-400') {
+  const alarm = VITAL_ALARMS[key];
+  return outside(value, alarm.crit) ? 'vital-crit' : outside(value, alarm.warn) ? 'vital-warn' : normal;
+}
+
+// ── Vitals trends ─────────────────────────────────────────────
+// history: { room: [[t, hr, o2, temp, bp], …] }, oldest sample first
+const VITALS_HISTORY_LENGTH = 90; // same cap as the server
+const TREND_INDEX = { hr: 1, o2: 2, temp: 3, bp: 4 };  // column in a history sample
+const TREND_SPAN  = { hr: 10, o2: 4, temp: 1, bp: 15 }; // minimum y-range, so noise stays flat
+
+/** Append a sample (taken at `now`) for every room whose vitals differ from its last recorded one. */
+function recordVitals(history, byRoom, now = Date.now()) {
+  for (const [room, v] of Object.entries(byRoom)) {
+    const samples = history[room] || (history[room] = []);
+    const last    = samples[samples.length - 1];
+    if (last && last[1] === v.hr && last[2] === v.o2 && last[3] === v.temp && last[4] === v.bp) continue;
+    samples.push([now, v.hr, v.o2, v.temp, v.bp]);
+    if (samples.length > VITALS_HISTORY_LENGTH) samples.shift();
+  }
+}
+
+/** Forget the trend of every room whose patient changed; `admissions` remembers { room: admittedAt }. */
+function resetTrendsOnAdmission(history, admissions, rooms) {
+  for (const { room, admittedAt } of rooms) {
+    if (room in admissions && admissions[room] !== admittedAt) delete history[room];
+    admissions[room] = admittedAt;
+  }
+}
+
+/** Inline SVG sparkline of one vital of one room ('' until there are two samples). */
+function trendChart(history, room, key, width, height) {
+  const samples = history[room] || [];
+  if (samples.length < 2) return '';
+  const col    = TREND_INDEX[key];
+  const values = samples.map(s => s[col]);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (max - min < TREND_SPAN[key]) {
+    const mid = (min + max) / 2;
+    min = mid - TREND_SPAN[key] / 2;
+    max = mid + TREND_SPAN[key] / 2;
+  }
+  const t0 = samples[0][0];
+  const t1 = samples[samples.length - 1][0];
+  const points = samples.map(s => {
+    const x = t1 > t0 ? ((s[0] - t0) / (t1 - t0)) * width : 0;
+    const y = 1 + (1 - (s[col] - min) / (max - min)) * (height - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  return `<svg class="trend" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="height:${height}px" aria-hidden="true">
+    <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke" stroke-linejoin="round" />
+  </svg>`;
+}
+
+// ── Ward floor plan ───────────────────────────────────────────
+/**
+ * Render (or update in place) one card per room into `grid`. calls: { room: { kind, name } }
+ * marks rooms a player called about.
+ * view: { scenario, history, myPlayerId, onClaim } — without onClaim the
+ * cards are display-only (replay).
+ */
+function renderWard(grid, { tasks = [], vitals = {}, rooms = [], calls = {} }, { scenario, history = {}, myPlayerId = null, onClaim = null }) {
+  rooms.forEach(({ room, name, status, icuRisk }) => {
+    let card = grid.querySelector(`[data-room="${room}"]`);
+    if (!card) {
+      card = document.createElement('div');
+      card.dataset.room = room;
+      grid.appendChild(card);
+    }
+
+    if (status !== 'occupied') {
+      card.className = 'relative rounded-2xl bg-slate-800/40 border-2 border-dashed border-slate-700 p-3 flex flex-col gap-2 transition-all duration-300';
+      card.style.cursor = 'default';
+      card.onclick = null;
+      card.innerHTML = `
+        <span class="text-[10px] text-slate-500 font-semibold uppercase tracking-wider">${t('room.short', { room })}</span>
+        <p class="text-sm text-slate-500 italic mt-2">
+          ${status === 'cleaning' ? t('room.cleaning') : t('room.free')}
+        </p>
+      `;
+      return;
+    }
+
+    const v = vitals[room] || { hr: 72, o2: 98, temp: 36.8, bp: 125 };
+
+    const roomTasks = tasks.filter(t => t.room === room);
+    const topTask   = roomTasks[0] || null;
+    const urgency   = topTask ? topTask.urgency : null;
+    const umeta     = urgency ? urgencyMeta(scenario, urgency) : null;
+
+    const borderCls = urgency === 'critical' ? 'border-red-500'
+                    : urgency === 'urgent'   ? 'border-orange-500'
+                    :                          'border-slate-700';
+    const pulseCls  = urgency === 'critical' ? 'pulse-critical'
+                    : urgency === 'urgent'   ? 'pulse-urgent'
+                    :                          '';
+
+    const call = calls[room] && CALL_META[calls[room].kind] ? { ...calls[room], ...CALL_META[calls[room].kind] } : null;
+    card.className = `relative rounded-2xl bg-slate-800 border-2 ${borderCls} ${pulseCls} ${call ? `ring-4 ${call.ring}` : ''} p-3 flex flex-col gap-2 transition-all duration-300`;
+
+    const claimed     = topTask && topTask.claimedBy;
+    const claimedByMe = topTask && topTask.claimedBy === myPlayerId;
+    const claimable   = topTask && !claimed && onClaim;
+
+    card.style.cursor = claimable ? 'pointer' : 'default';
+    card.onclick = claimable
+      ? (e) => { e.stopPropagation(); onClaim(topTask); }
+      : null;
+
+    const symMeta = topTask ? symptomMeta(scenario, topTask) : null;
+    const progress = topTask && topTask.steps > 1
+      ? `<span class="text-[10px] font-normal opacity-70">· ${t('room.step', { step: topTask.stepsDone + 1, steps: topTask.steps })}</span>`
+      : '';
+
+    card.innerHTML = `
+      <div class="flex items-center justify-between">
+        <span class="text-[10px] text-slate-500 font-semibold uppercase tracking-wider">${t('room.short', { room })}</span>
+        ${umeta ? `<span class="text-[10px] font-bold px-1.5 py-0.5 rounded-full ${umeta.bg} ${umeta.text}">${umeta.label}</span>` : ''}
+      </div>
+
+      <p class="font-bold text-sm text-white leading-tight truncate">${esc(name)}</p>
+      ${call ? `<p class="text-[10px] font-bold ${call.kind === 'codeBlue' ? 'text-blue-300' : 'text-sky-300'} truncate">${call.icon} ${esc(call.name)} ${callMark(call.kind)}</p>` : ''}
+      ${icuRisk ? `<p class="vital-crit text-[10px] font-bold">${t('room.icuRisk')}</p>` : ''}
+
+      <div class="grid grid-cols-4 gap-1 text-[10px]">
+        <span class="${vitalClass('hr', v.hr)}">
+          ❤️ <span class="font-mono font-bold">${v.hr}</span>
+          ${trendChart(history, room, 'hr', 40, 12)}
+        </span>
+        <span class="${vitalClass('o2', v.o2)}">
+          💨 <span class="font-mono font-bold">${v.o2}%</span>
+          ${trendChart(history, room, 'o2', 40, 12)}
+        </span>
+        <span class="${vitalClass('temp', v.temp)}">
+          🌡 <span class="font-mono font-bold">${v.temp}°</span>
+          ${trendChart(history, room, 'temp', 40, 12)}
+        </span>
+        <span class="${vitalClass('bp', v.bp)}">
+          🩸 <span class="font-mono font-bold">${v.bp}</span>
+          ${trendChart(history, room, 'bp', 40, 12)}
+        </span>
+      </div>
+
+      ${topTask ? `
+        <div class="mt-1">
+          ${claimed ? `
+            <p class="text-[11px] text-slate-400 italic">
+              ${claimedByMe ? t('room.claimedByMe') : t('room.claimedBy', { name: esc(topTask.claimedByName || '?') })} ${progress}
+            </p>
+          ` : `
+            <div class="rounded-xl ${umeta ? umeta.bg : 'bg-slate-700'} ${umeta ? umeta.text : 'text-white'} px-3 py-2.5 text-sm font-semibold" style="min-height:52px">
+              ${symMeta.icon} ${esc(symMeta.label)} ${progress}
+              ${onClaim ? `<span class="block text-[10px] font-normal opacity-70 mt-0.5">${t('room.tapToClaim')}</span>` : ''}
+            </div>
+          `}
+          ${topTask.order ? `<p class="text-[10px] text-amber-300 mt-1 truncate">${t('room.order', { order: orderLabel(scenario, topTask.order) })}</p>` : ''}
+          ${roomTasks.length > 1 ? `<p class="text-[10px] text-slate-500 mt-1">${t('room.more', { count: roomTasks.length - 1 })}</p>` : ''}
+        </div>
+      ` : `<p class="text-[11px] text-slate-500 mt-1 italic">${t('room.allGood')}</p>`}
+    `;
+  });
+}
+
+// ── Utility ───────────────────────────────────────────────────
+function esc(str) {
+  return String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
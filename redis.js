@@ -1,17 +1,42 @@
 /**
  * redis.js — Redis helper layer for Stations-Sprint
  *
- * All live game state lives in Redis:
- *   world:tasks          → Redis List, each item is a JSON-serialised task
- *   world:teamScore      → Redis String (integer counter)
- *   vitals:{roomNum}     → Redis Hash  { hr, o2 }
- *   player:{socketId}    → Redis Hash  { name, score, streak }
- *   active:players       → Redis Set   of socketIds
- *   claim:{taskId}       → Redis String (socketId, TTL 20 s via EXPIRE)
+ * All live game state lives in Redis. Every ward (isolated game room,
+ * joined via a short code) has its own namespace:
+ *   wards                         → Redis Set   of open ward codes
+ *   ward:{code}:scenario          → Redis String (scenario id, see scenario.js)
+ *   ward:{code}:settings          → Redis Hash  { paused, speed, maxTasks, mode, difficulty, adaptive }
+ *   ward:{code}:tasks             → Redis Sorted Set of taskIds, scored by creation time
+ *   ward:{code}:task:{taskId}     → Redis Hash  { id, symptom, protocol (JSON), steps, step, label,
+ *                                                 hint, urgency, room, patient, createdAt, expiresAt,
+ *                                                 claimedBy, claimedByName, claimedAt, claimVitals (JSON),
+ *                                                 firstClaimAt, orderAction, orderBy }
+ *   ward:{code}:teamScore         → Redis String (integer counter)
+ *   ward:{code}:vitals:{roomNum}  → Redis Hash  { hr, o2, temp, bp }
+ *   ward:{code}:history:{roomNum} → Redis List  of JSON [t, hr, o2, temp, bp], capped
+ *   ward:{code}:rooms             → Redis Hash  roomNum → JSON room record (occupancy)
+ *   ward:{code}:players           → Redis Set   of playerIds
+ *   ward:{code}:shift             → Redis Hash  { phase, startedAt, endsAt, summary }
+ *   ward:{code}:stats             → Redis Hash  { stabilized, missed:{urgency}, admitted,
+ *                                                 discharged, transferred } counters
+ *   ward:{code}:events            → Redis List  of JSON [t, type, data] — the running shift's event log
+ *   ward:{code}:messages          → Redis List  of JSON { at, playerId, name, kind, room, text }, capped
+ *   player:{playerId}             → Redis Hash  { name, profile, role, locale, score, streak, ward, session, online,
+ *                                                 instance, socket, offlineSince, ready,
+ *                                                 resolved, correct, wrong, bestStreak,
+ *                                                 reactionMs, reactions }
+ *   session:{token}               → Redis String (playerId) — resumable session token
+ *   claim:{taskId}                → Redis String (playerId, TTL via EXPIRE)
+ *   deadlines                     → Redis Sorted Set "{ward}:{taskId}" scored by expiresAt
+ *   lock:{name}                   → Redis String (owner, TTL via PX) — leader election & critical sections
+ *   instance:{id}                 → Redis String (heartbeat of a running server instance, TTL via PX)
+ *   admin-token                   → Redis String (generated instructor token shared by all instances)
  *
- * SQLite (better-sqlite3) stays for durable persistence:
- *   leaderboard          → top-10 all-time scores
- *   players_sessions     → connect/disconnect audit trail
+ * Players are keyed by a server-issued playerId (not the socket id) so a
+ * dropped connection can be resumed with the secret session token — on any
+ * server instance, since they all share this Redis.
+ *
+ * SQLite (better-sqlite3) stays for durable persistence — see db.js.
  */
 
 const Redis = require('ioredis');
@@ -22,75 +47,520 @@ const redis     = new Redis(REDIS_URL, { lazyConnect: false });
 redis.on('connect', () => console.log('[Redis] Connected'));
 redis.on('error',   (err) => console.error('[Redis] Error:', err.message));
 
-// ── Task queue ──────────────────────────────────────────────
+/** Build a ward-scoped key, e.g. wardKey('AB12', 'tasks') → 'ward:AB12:tasks'. */
+function wardKey(ward, key) {
+  return `ward:${ward}:${key}`;
+}
 
-/** Push a new task onto the world task list. */
-async function addTask(task) {
-  await redis.rpush('world:tasks', JSON.stringify(task));
+// ── Locks & instances ───────────────────────────────────────
+// Several server instances may share this Redis. Locks are owned by a random
+// token so only the holder can renew or release them.
+
+// KEYS: lock · ARGV: owner, ttl (ms)
+redis.defineCommand('acquireLockAtomic', {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+      redis.call('PEXPIRE', KEYS[1], ARGV[2])
+      return 1
+    end
+    if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then return 1 end
+    return 0
+  `,
+});
+
+// KEYS: lock · ARGV: owner
+redis.defineCommand('releaseLockAtomic', {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+    return 0
+  `,
+});
+
+/** Take the lock `name` for `owner`, or renew it if `owner` already holds it. */
+async function acquireLock(name, owner, ttlMs) {
+  return (await redis.acquireLockAtomic(`lock:${name}`, owner, ttlMs)) === 1;
 }
 
-/** Get all current tasks as parsed objects. */
-async function getTasks() {
-  const raw = await redis.lrange('world:tasks', 0, -1);
-  return raw.map(r => JSON.parse(r));
+/** Release the lock — a no-op unless `owner` still holds it. */
+async function releaseLock(name, owner) {
+  await redis.releaseLockAtomic(`lock:${name}`, owner);
 }
 
-/** Remove a specific task by id from the list. */
-async function removeTask(taskId) {
-  const raw = await redis.lrange('world:tasks', 0, -1);
-  for (const item of raw) {
-    const t = JSON.parse(item);
-    if (t.id === taskId) {
-      // LREM count=0 removes all occurrences of this exact serialised value
-      await redis.lrem('world:tasks', 0, item);
-      return t; // return the removed task
-    }
+/** Announce that an instance is alive for the next `ttlMs`. */
+async function heartbeat(instanceId, ttlMs) {
+  await redis.set(`instance:${instanceId}`, '1', 'PX', ttlMs);
+}
+
+async function instanceAlive(instanceId) {
+  return Boolean(instanceId) && (await redis.exists(`instance:${instanceId}`)) === 1;
+}
+
+/** The generated admin token: the first instance's `candidate` wins, later ones adopt it. */
+async function sharedAdminToken(candidate) {
+  await redis.set('admin-token', candidate, 'NX');
+  return redis.get('admin-token');
+}
+
+// ── Wards ───────────────────────────────────────────────────
+
+/** Register a ward code. Returns false if the code is already taken. */
+async function createWard(ward) {
+  return (await redis.sadd('wards', ward)) === 1;
+}
+
+async function wardExists(ward) {
+  return (await redis.sismember('wards', ward)) === 1;
+}
+
+async function removeWard(ward) {
+  await redis.srem('wards', ward);
+  await redis.del(wardKey(ward, 'scenario'), wardKey(ward, 'settings'));
+}
+
+/** Remember which scenario (scenarios/*.json id) a ward plays. */
+async function setWardScenario(ward, scenarioId) {
+  await redis.set(wardKey(ward, 'scenario'), scenarioId);
+}
+
+async function getWardScenario(ward) {
+  return redis.get(wardKey(ward, 'scenario'));
+}
+
+/** Instructor overrides; speed / maxTasks / mode / difficulty are null while the server default applies. */
+async function getWardSettings(ward) {
+  const data = await redis.hgetall(wardKey(ward, 'settings'));
+  return {
+    paused:     data?.paused === '1',
+    adaptive:   data?.adaptive === '1',
+    speed:      data?.speed    ? parseFloat(data.speed)      : null,
+    maxTasks:   data?.maxTasks ? parseInt(data.maxTasks, 10) : null,
+    mode:       data?.mode       || null,
+    difficulty: data?.difficulty || null,
+  };
+}
+
+/** Patch settings; a null speed / maxTasks / mode / difficulty returns to the default. */
+async function setWardSettings(ward, patch) {
+  const key = wardKey(ward, 'settings');
+  const pipeline = redis.pipeline();
+  for (const [field, value] of Object.entries(patch)) {
+    if (value === null) pipeline.hdel(key, field);
+    else pipeline.hset(key, field, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
   }
-  return null;
-}
-
-/** Update a task in place (e.g. set claimedBy). */
-async function updateTask(taskId, patch) {
-  const raw = await redis.lrange('world:tasks', 0, -1);
-  for (let i = 0; i < raw.length; i++) {
-    const t = JSON.parse(raw[i]);
-    if (t.id === taskId) {
-      const updated = { ...t, ...patch };
-      // Replace via index: LSET key index value
-      await redis.lset('world:tasks', i, JSON.stringify(updated));
-      return updated;
-    }
+  await pipeline.exec();
+}
+
+async function getWards() {
+  return redis.smembers('wards');
+}
+
+// ── Task deadlines ──────────────────────────────────────────
+// Expiry is driven by a sweeper in server.js polling this sorted set, so a
+// restart does not lose deadlines the way in-process timers would.
+const DEADLINES_KEY = 'deadlines';
+
+function deadlineMember(ward, taskId) {
+  return `${ward}:${taskId}`;
+}
+
+/** (Re-)register a task deadline; NX keeps an existing entry untouched. */
+async function ensureDeadline(ward, taskId, expiresAt) {
+  await redis.zadd(DEADLINES_KEY, 'NX', expiresAt, deadlineMember(ward, taskId));
+}
+
+/**
+ * Take every deadline due by `now` as [{ ward, taskId }]. Each entry is
+ * removed before it is returned, so two sweepers never handle the same task.
+ */
+async function takeDueDeadlines(now) {
+  const due   = await redis.zrangebyscore(DEADLINES_KEY, '-inf', now);
+  const taken = [];
+  for (const member of due) {
+    if ((await redis.zrem(DEADLINES_KEY, member)) !== 1) continue;
+    const sep = member.indexOf(':');
+    taken.push({ ward: member.substring(0, sep), taskId: member.substring(sep + 1) });
   }
-  return null;
+  return taken;
+}
+
+// ── Tasks ───────────────────────────────────────────────────
+// One hash per task plus a per-ward index. Every operation that must not
+// interleave with another (claim, protocol step, expiry, removal) is a Lua
+// script, so Redis runs it as a single atomic step. The scripts build the
+// task and claim keys of a ward themselves — fine on a single Redis node.
+// The task's progress is `step` (protocol steps done); `completed` is derived.
+
+function taskKey(ward, taskId) {
+  return wardKey(ward, `task:${taskId}`);
+}
+
+/** Parse an HGETALL reply (object or flat [field, value, …] from Lua) into a task. */
+function parseTask(data) {
+  if (Array.isArray(data)) {
+    const obj = {};
+    for (let i = 0; i < data.length; i += 2) obj[data[i]] = data[i + 1];
+    data = obj;
+  }
+  if (!data || !data.id) return null;
+  const protocol = JSON.parse(data.protocol);
+  return {
+    id:            data.id,
+    symptom:       data.symptom,
+    protocol,
+    completed:     protocol.slice(0, parseInt(data.step, 10)),
+    label:         data.label,
+    hint:          data.hint,
+    urgency:       data.urgency,
+    room:          parseInt(data.room, 10),
+    patient:       data.patient,
+    expiresAt:     parseInt(data.expiresAt, 10),
+    claimedBy:     data.claimedBy     || null,
+    claimedByName: data.claimedByName || null,
+    claimedAt:     parseInt(data.claimedAt || '0', 10) || null,
+    claimVitals:   data.claimVitals ? JSON.parse(data.claimVitals) : null,
+    order:         data.orderAction ? { action: data.orderAction, by: data.orderBy || null } : null,
+  };
+}
+
+// KEYS: task, index, deadlines, claim · ARGV: taskId, deadline member → the removed task's fields
+redis.defineCommand('removeTaskAtomic', {
+  numberOfKeys: 4,
+  lua: `
+    local fields = redis.call('HGETALL', KEYS[1])
+    if #fields == 0 then return nil end
+    redis.call('DEL', KEYS[1], KEYS[4])
+    redis.call('ZREM', KEYS[2], ARGV[1])
+    redis.call('ZREM', KEYS[3], ARGV[2])
+    return fields
+  `,
+});
+
+// KEYS: task, index, deadlines, claim, teamScore, stats
+// ARGV: taskId, deadline member, team penalty for routine, urgent, critical → { urgency, room, teamScore }
+redis.defineCommand('expireTaskAtomic', {
+  numberOfKeys: 6,
+  lua: `
+    local urgency = redis.call('HGET', KEYS[1], 'urgency')
+    if not urgency then return nil end
+    local room = redis.call('HGET', KEYS[1], 'room')
+    local penalty = ({ urgent = ARGV[4], critical = ARGV[5] })[urgency]
+    if not penalty then urgency = 'routine'; penalty = ARGV[3] end
+    redis.call('DEL', KEYS[1], KEYS[4])
+    redis.call('ZREM', KEYS[2], ARGV[1])
+    redis.call('ZREM', KEYS[3], ARGV[2])
+    local teamScore = redis.call('INCRBY', KEYS[5], penalty)
+    redis.call('HINCRBY', KEYS[6], 'missed:' .. urgency, 1)
+    return { urgency, room, teamScore }
+  `,
+});
+
+// KEYS: task, claim, player, teamScore, stats, index, deadlines
+// ARGV: playerId, expected step, correct (1/0), score delta, claim ttl (s),
+//       bonus every / points / max, taskId, deadline member, now (ms),
+//       release (1/0: give the claim up after a correct step as well — exam mode)
+// → { 'ok', score, streak, bonus, teamScore } | { 'not_holder' } | { 'stale' }
+redis.defineCommand('resolveStepAtomic', {
+  numberOfKeys: 7,
+  lua: `
+    if redis.call('GET', KEYS[2]) ~= ARGV[1] then return { 'not_holder' } end
+    local step = tonumber(redis.call('HGET', KEYS[1], 'step'))
+    if step ~= tonumber(ARGV[2]) then return { 'stale' } end
+
+    local delta = tonumber(ARGV[4])
+    local score = redis.call('HINCRBY', KEYS[3], 'score', delta)
+    local teamScore = redis.call('INCRBY', KEYS[4], delta)
+    local streak, bonus = 0, 0
+
+    if ARGV[3] == '1' then
+      redis.call('HINCRBY', KEYS[3], 'correct', 1)
+      if step + 1 == tonumber(redis.call('HGET', KEYS[1], 'steps')) then
+        streak = redis.call('HINCRBY', KEYS[3], 'streak', 1)
+        if streak > tonumber(redis.call('HGET', KEYS[3], 'bestStreak') or '0') then
+          redis.call('HSET', KEYS[3], 'bestStreak', streak)
+        end
+        local every = tonumber(ARGV[6])
+        if streak % every == 0 then
+          bonus = math.min(tonumber(ARGV[8]), math.floor(tonumber(ARGV[7]) * streak / every))
+          score = redis.call('HINCRBY', KEYS[3], 'score', bonus)
+          teamScore = redis.call('INCRBY', KEYS[4], bonus)
+        end
+        redis.call('HINCRBY', KEYS[5], 'stabilized', 1)
+        redis.call('HINCRBY', KEYS[3], 'resolved', 1)
+        redis.call('DEL', KEYS[1], KEYS[2])
+        redis.call('ZREM', KEYS[6], ARGV[9])
+        redis.call('ZREM', KEYS[7], ARGV[10])
+      elseif ARGV[12] == '1' then
+        redis.call('HSET', KEYS[1], 'step', step + 1, 'claimedBy', '', 'claimedByName', '')
+        redis.call('DEL', KEYS[2])
+        streak = tonumber(redis.call('HGET', KEYS[3], 'streak'))
+      else
+        redis.call('HSET', KEYS[1], 'step', step + 1, 'claimedAt', ARGV[11])
+        redis.call('EXPIRE', KEYS[2], ARGV[5])
+        streak = tonumber(redis.call('HGET', KEYS[3], 'streak'))
+      end
+    else
+      redis.call('HSET', KEYS[3], 'streak', 0)
+      redis.call('HINCRBY', KEYS[3], 'wrong', 1)
+      redis.call('DEL', KEYS[2])
+      redis.call('HSET', KEYS[1], 'claimedBy', '', 'claimedByName', '')
+    end
+    return { 'ok', score, streak, bonus, teamScore }
+  `,
+});
+
+// KEYS: task · ARGV: field, value, … → HSET only while the task exists
+redis.defineCommand('updateTaskAtomic', {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+    for i = 1, #ARGV, 2 do redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1]) end
+    return 1
+  `,
+});
+
+// KEYS: index, deadlines · ARGV: ward → drops every task of the ward with its claim and deadline
+redis.defineCommand('clearTasksAtomic', {
+  numberOfKeys: 2,
+  lua: `
+    for _, id in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+      redis.call('DEL', 'ward:' .. ARGV[1] .. ':task:' .. id, 'claim:' .. id)
+      redis.call('ZREM', KEYS[2], ARGV[1] .. ':' .. id)
+    end
+    redis.call('DEL', KEYS[1])
+  `,
+});
+
+/** Store a new task, index it and register its deadline. */
+async function addTask(ward, task) {
+  const createdAt = task.createdAt ?? Date.now();
+  await redis.multi()
+    .hset(taskKey(ward, task.id),
+      'id',            task.id,
+      'symptom',       task.symptom,
+      'protocol',      JSON.stringify(task.protocol),
+      'steps',         String(task.protocol.length),
+      'step',          String(task.completed.length),
+      'label',         task.label,
+      'hint',          task.hint,
+      'urgency',       task.urgency,
+      'room',          String(task.room),
+      'patient',       task.patient,
+      'createdAt',     String(createdAt),
+      'expiresAt',     String(task.expiresAt),
+      'claimedBy',     task.claimedBy     || '',
+      'claimedByName', task.claimedByName || ''
+    )
+    .zadd(wardKey(ward, 'tasks'), createdAt, task.id)
+    .zadd(DEADLINES_KEY, task.expiresAt, deadlineMember(ward, task.id))
+    .exec();
+}
+
+/** Get all current tasks of a ward as parsed objects, oldest first. */
+async function getTasks(ward) {
+  const ids = await redis.zrange(wardKey(ward, 'tasks'), 0, -1);
+  if (ids.length === 0) return [];
+  const pipeline = redis.pipeline();
+  for (const id of ids) pipeline.hgetall(taskKey(ward, id));
+  const responses = await pipeline.exec();
+  return responses.map(([err, data]) => (err ? null : parseTask(data))).filter(Boolean);
 }
 
 /** Get a single task by id. */
-async function getTask(taskId) {
-  const tasks = await getTasks();
-  return tasks.find(t => t.id === taskId) || null;
+async function getTask(ward, taskId) {
+  return parseTask(await redis.hgetall(taskKey(ward, taskId)));
+}
+
+/** Remove a task with its claim and deadline. Returns the removed task, or null if it was already gone. */
+async function removeTask(ward, taskId) {
+  const fields = await redis.removeTaskAtomic(
+    taskKey(ward, taskId), wardKey(ward, 'tasks'), DEADLINES_KEY, `claim:${taskId}`,
+    taskId, deadlineMember(ward, taskId)
+  );
+  return fields ? parseTask(fields) : null;
+}
+
+/**
+ * Remove an unresolved task and book its team penalty and missed-stat in one step.
+ * penalties: { routine, urgent, critical }. Returns { urgency, room, teamScore }, or null if it was already gone.
+ */
+async function expireTask(ward, taskId, penalties) {
+  const result = await redis.expireTaskAtomic(
+    taskKey(ward, taskId), wardKey(ward, 'tasks'), DEADLINES_KEY, `claim:${taskId}`,
+    wardKey(ward, 'teamScore'), wardKey(ward, 'stats'),
+    taskId, deadlineMember(ward, taskId), penalties.routine, penalties.urgent, penalties.critical
+  );
+  return result ? { urgency: result[0], room: parseInt(result[1], 10), teamScore: result[2] } : null;
+}
+
+/** Patch plain task fields (e.g. claimedByName) — a no-op once the task is gone. */
+async function updateTask(ward, taskId, patch) {
+  const fields = [];
+  for (const [field, value] of Object.entries(patch)) fields.push(field, value ?? '');
+  await redis.updateTaskAtomic(taskKey(ward, taskId), ...fields);
+}
+
+/**
+ * Apply one protocol step chosen by the claim holder — scores, streak, stats,
+ * progress and, on the last step, removal — as a single atomic operation.
+ * step: what the caller read as the task's progress; a concurrent submit moved
+ * it on → { status: 'stale' }. Otherwise { status: 'ok', score, streak, bonus, teamScore }.
+ * release: give the claim up after a correct step too (a wrong one always does).
+ */
+async function resolveStep(ward, taskId, playerId, { step, correct, delta, claimTtl, bonus, release = false }) {
+  const [status, score, streak, gained, teamScore] = await redis.resolveStepAtomic(
+    taskKey(ward, taskId), `claim:${taskId}`, `player:${playerId}`,
+    wardKey(ward, 'teamScore'), wardKey(ward, 'stats'), wardKey(ward, 'tasks'), DEADLINES_KEY,
+    playerId, step, correct ? 1 : 0, delta, claimTtl, bonus.every, bonus.points, bonus.max,
+    taskId, deadlineMember(ward, taskId), Date.now(), release ? 1 : 0
+  );
+  return { status, score, streak, bonus: gained, teamScore };
+}
+
+/** Drop every task of a ward (with claims and deadlines). */
+async function clearTasks(ward) {
+  await redis.clearTasksAtomic(wardKey(ward, 'tasks'), DEADLINES_KEY, ward);
+}
+
+/** Convert a ward's task list from before the hash-per-task layout (persisted Redis). */
+async function migrateTaskList(ward) {
+  const key = wardKey(ward, 'tasks');
+  if ((await redis.type(key)) !== 'list') return 0;
+  const tasks = (await redis.lrange(key, 0, -1)).map(item => JSON.parse(item));
+  await redis.del(key);
+  for (const t of tasks) await addTask(ward, { completed: [], ...t });
+  return tasks.length;
 }
 
 // ── Team score ──────────────────────────────────────────────
 
-async function getTeamScore() {
-  const val = await redis.get('world:teamScore');
+async function getTeamScore(ward) {
+  const val = await redis.get(wardKey(ward, 'teamScore'));
   return parseInt(val || '0', 10);
 }
 
-async function incrTeamScore(delta) {
-  if (delta >= 0) return redis.incrby('world:teamScore', delta);
-  return redis.decrby('world:teamScore', Math.abs(delta));
+async function incrTeamScore(ward, delta) {
+  if (delta >= 0) return redis.incrby(wardKey(ward, 'teamScore'), delta);
+  return redis.decrby(wardKey(ward, 'teamScore'), Math.abs(delta));
+}
+
+// ── Shift ───────────────────────────────────────────────────
+
+/** Current shift of a ward: { phase, startedAt, endsAt, summary } ('lobby' if none yet). */
+async function getShift(ward) {
+  const data = await redis.hgetall(wardKey(ward, 'shift'));
+  return {
+    phase:     data.phase || 'lobby',
+    startedAt: parseInt(data.startedAt || '0', 10),
+    endsAt:    parseInt(data.endsAt    || '0', 10),
+    summary:   data.summary ? JSON.parse(data.summary) : null,
+  };
+}
+
+/** Replace the ward's shift record. */
+async function setShift(ward, { phase, startedAt = 0, endsAt = 0, summary = null }) {
+  await redis.multi()
+    .del(wardKey(ward, 'shift'))
+    .hset(wardKey(ward, 'shift'),
+      'phase',     phase,
+      'startedAt', String(startedAt),
+      'endsAt',    String(endsAt),
+      'summary',   summary ? JSON.stringify(summary) : ''
+    )
+    .exec();
+}
+
+async function incrStat(ward, field, by = 1) {
+  return redis.hincrby(wardKey(ward, 'stats'), field, by);
+}
+
+async function getStats(ward) {
+  const data = await redis.hgetall(wardKey(ward, 'stats'));
+  const stats = {};
+  for (const [k, v] of Object.entries(data || {})) stats[k] = parseInt(v, 10);
+  return stats;
+}
+
+/** Wipe tasks, team score, counters, vitals history and event log so a new shift starts clean. */
+async function resetShiftState(ward) {
+  const historyKeys = [];
+  for (let i = 1; i <= 8; i++) historyKeys.push(wardKey(ward, `history:${i}`));
+  await clearTasks(ward);
+  await redis.del(
+    wardKey(ward, 'teamScore'), wardKey(ward, 'stats'), wardKey(ward, 'rooms'), wardKey(ward, 'events'),
+    ...historyKeys
+  );
+}
+
+// ── Shift event log ─────────────────────────────────────────
+// Everything that happens during a shift, for debriefing replays. The list is
+// cleared when a shift starts and persisted to SQLite when it ends (db.insertShift).
+// Vitals writes log themselves; everything else goes through logEvent.
+
+/** Queue an event onto a pipeline / multi. */
+function pushEvent(pipeline, ward, type, data) {
+  pipeline.rpush(wardKey(ward, 'events'), JSON.stringify([Date.now(), type, data]));
+}
+
+function parseEvent(item) {
+  const [at, type, data] = JSON.parse(item);
+  return { at, type, data };
+}
+
+async function logEvent(ward, type, data) {
+  await redis.rpush(wardKey(ward, 'events'), JSON.stringify([Date.now(), type, data]));
+}
+
+/** The newest `count` entries of the ward's event log, oldest first: [{ at, type, data }]. */
+async function getRecentEvents(ward, count) {
+  return (await redis.lrange(wardKey(ward, 'events'), -count, -1)).map(parseEvent);
+}
+
+/** The ward's event log, oldest first: [{ at, type, data }]. */
+async function getEvents(ward) {
+  return (await redis.lrange(wardKey(ward, 'events'), 0, -1)).map(parseEvent);
+}
+
+// ── Team messages ───────────────────────────────────────────
+// Quick calls and chat lines of a ward, newest last; kept across shifts until
+// the ward empties.
+
+// Messages kept per ward (oldest dropped first)
+const MESSAGE_LOG_LENGTH = 40;
+
+async function addMessage(ward, message) {
+  const key = wardKey(ward, 'messages');
+  await redis.multi()
+    .rpush(key, JSON.stringify(message))
+    .ltrim(key, -MESSAGE_LOG_LENGTH, -1)
+    .exec();
+}
+
+/** The ward's kept messages, oldest first. */
+async function getMessages(ward) {
+  return (await redis.lrange(wardKey(ward, 'messages'), 0, -1)).map(item => JSON.parse(item));
 }
 
 // ── Vitals ──────────────────────────────────────────────────
 
-/** Get vitals for all 8 rooms as { roomNum: { hr, o2 } } */
+// Default resting vitals (a scenario patient may declare its own baseline)
 const BASELINE_VITALS = { hr: 72, o2: 98, temp: 36.8, bp: 125 };
+// Samples kept per room for the trend charts (oldest dropped first)
+const VITALS_HISTORY_LENGTH = 90;
+
+/** Queue a history sample for a room onto a pipeline / multi. */
+function pushHistory(pipeline, ward, roomNum, { hr, o2, temp, bp }) {
+  const key = wardKey(ward, `history:${roomNum}`);
+  pipeline.rpush(key, JSON.stringify([Date.now(), hr, o2, temp, bp]));
+  pipeline.ltrim(key, -VITALS_HISTORY_LENGTH, -1);
+}
 
-async function getAllVitals() {
+/** Get vitals for all 8 rooms as { roomNum: { hr, o2, temp, bp } } */
+async function getAllVitals(ward) {
   const result = {};
   const pipeline = redis.pipeline();
-  for (let i = 1; i <= 8; i++) pipeline.hgetall(`vitals:${i}`);
+  for (let i = 1; i <= 8; i++) pipeline.hgetall(wardKey(ward, `vitals:${i}`));
   const responses = await pipeline.exec();
   for (let i = 0; i < 8; i++) {
     const [err, data] = responses[i];
@@ -109,133 +579,334 @@ async function getAllVitals() {
   return result;
 }
 
-async function setVitals(roomNum, { hr, o2, temp, bp }) {
-  await redis.hset(`vitals:${roomNum}`,
+async function setVitals(ward, roomNum, { hr, o2, temp, bp }) {
+  const pipeline = redis.pipeline();
+  pipeline.hset(wardKey(ward, `vitals:${roomNum}`),
     'hr',   String(hr),
     'o2',   String(o2),
     'temp', String(temp),
     'bp',   String(bp)
   );
+  pushHistory(pipeline, ward, roomNum, { hr, o2, temp, bp });
+  pushEvent(pipeline, ward, 'vitals', { [roomNum]: { hr, o2, temp, bp } });
+  await pipeline.exec();
 }
 
-/** Initialise all 8 rooms to baseline vitals (called on first player connect). */
-async function initVitals() {
+/** Write several rooms at once: { roomNum: { hr, o2, temp, bp } } (one round trip). */
+async function setVitalsBatch(ward, byRoom) {
   const pipeline = redis.pipeline();
-  for (let i = 1; i <= 8; i++) {
-    pipeline.hset(`vitals:${i}`,
-      'hr',   String(BASELINE_VITALS.hr),
-      'o2',   String(BASELINE_VITALS.o2),
-      'temp', String(BASELINE_VITALS.temp),
-      'bp',   String(BASELINE_VITALS.bp)
+  for (const [roomNum, v] of Object.entries(byRoom)) {
+    pipeline.hset(wardKey(ward, `vitals:${roomNum}`),
+      'hr',   String(v.hr),
+      'o2',   String(v.o2),
+      'temp', String(v.temp),
+      'bp',   String(v.bp)
     );
+    pushHistory(pipeline, ward, roomNum, v);
   }
+  pushEvent(pipeline, ward, 'vitals', byRoom);
   await pipeline.exec();
 }
 
+/** Recorded samples of all 8 rooms: { roomNum: [[t, hr, o2, temp, bp], …] } (oldest first). */
+async function getVitalsHistory(ward) {
+  const pipeline = redis.pipeline();
+  for (let i = 1; i <= 8; i++) pipeline.lrange(wardKey(ward, `history:${i}`), 0, -1);
+  const responses = await pipeline.exec();
+  const result = {};
+  responses.forEach(([err, raw], i) => {
+    result[i + 1] = err ? [] : raw.map(item => JSON.parse(item));
+  });
+  return result;
+}
+
+/**
+ * Initialise all 8 rooms to baseline vitals (first player in a ward, shift start).
+ * baselines: optional { roomNum: { hr, o2, temp, bp } } overriding BASELINE_VITALS.
+ */
+async function initVitals(ward, baselines = {}) {
+  const byRoom = {};
+  for (let i = 1; i <= 8; i++) byRoom[i] = baselines[i] || BASELINE_VITALS;
+  await setVitalsBatch(ward, byRoom);
+}
+
+/** Drop a room's vitals history (a new patient starts a fresh trend). */
+async function clearHistory(ward, roomNum) {
+  await redis.del(wardKey(ward, `history:${roomNum}`));
+}
+
+// ── Room occupancy ──────────────────────────────────────────
+// Record: { room, status: 'occupied'|'cleaning'|'empty', name, baseline,
+//           admittedAt, until, stableSince, extremeSince }
+
+/** All room records of a ward, keyed by room number ({} before the first shift). */
+async function getRooms(ward) {
+  const raw = await redis.hgetall(wardKey(ward, 'rooms'));
+  const result = {};
+  for (const [roomNum, json] of Object.entries(raw || {})) result[roomNum] = JSON.parse(json);
+  return result;
+}
+
+/** Write several room records at once. */
+async function setRooms(ward, byRoom) {
+  const fields = [];
+  for (const [roomNum, room] of Object.entries(byRoom)) fields.push(roomNum, JSON.stringify(room));
+  if (fields.length > 0) await redis.hset(wardKey(ward, 'rooms'), ...fields);
+}
+
 // ── Player sessions ─────────────────────────────────────────
 
-async function setPlayer(socketId, data) {
-  // data: { name, score, streak }
-  await redis.hset(`player:${socketId}`,
-    'name',   String(data.name),
-    'score',  String(data.score  ?? 0),
-    'streak', String(data.streak ?? 0)
+async function setPlayer(playerId, data) {
+  // data: { name, profile, role, locale, score, streak, ward, session, instance, socket }
+  await redis.hset(`player:${playerId}`,
+    'name',     String(data.name),
+    'profile',  String(data.profile ?? ''),
+    'role',     String(data.role),
+    'locale',   String(data.locale),
+    'score',    String(data.score  ?? 0),
+    'streak',   String(data.streak ?? 0),
+    'ward',     String(data.ward),
+    'session',  String(data.session),
+    'online',   '1',
+    'instance', String(data.instance),
+    'socket',   String(data.socket),
+    'offlineSince', '0',
+    'ready',    '0',
+    'resolved', '0',
+    'correct',  '0',
+    'wrong',    '0',
+    'bestStreak', '0',
+    'reactionMs', '0',
+    'reactions',  '0'
   );
 }
 
-async function getPlayer(socketId) {
-  const data = await redis.hgetall(`player:${socketId}`);
+async function getPlayer(playerId) {
+  const data = await redis.hgetall(`player:${playerId}`);
   if (!data || !data.name) return null;
   return {
-    name:   data.name,
-    score:  parseInt(data.score,  10),
-    streak: parseInt(data.streak, 10)
+    name:     data.name,
+    profile:  data.profile ? parseInt(data.profile, 10) : null,
+    role:     data.role || null,
+    locale:   data.locale || null,
+    score:    parseInt(data.score,  10),
+    streak:   parseInt(data.streak, 10),
+    ward:     data.ward,
+    session:  data.session,
+    online:   data.online === '1',
+    instance: data.instance || null,
+    socket:   data.socket   || null,
+    offlineSince: parseInt(data.offlineSince || '0', 10),
+    ready:    data.ready  === '1',
+    resolved: parseInt(data.resolved || '0', 10),
+    correct:  parseInt(data.correct  || '0', 10),
+    wrong:    parseInt(data.wrong    || '0', 10),
+    bestStreak: parseInt(data.bestStreak || '0', 10),
+    reactionMs: parseInt(data.reactionMs || '0', 10),
+    reactions:  parseInt(data.reactions  || '0', 10),
   };
 }
 
-async function deletePlayer(socketId) {
-  await redis.del(`player:${socketId}`);
+async function setPlayerName(playerId, name) {
+  await redis.hset(`player:${playerId}`, 'name', name);
 }
 
-/** Atomically increment player score. Returns new score. */
-async function incrPlayerScore(socketId, delta) {
-  if (delta >= 0) return redis.hincrby(`player:${socketId}`, 'score', delta);
-  return redis.hincrby(`player:${socketId}`, 'score', delta); // hincrby handles negatives
+async function setPlayerReady(playerId, ready) {
+  await redis.hset(`player:${playerId}`, 'ready', ready ? '1' : '0');
 }
 
-/** Set player streak field. */
-async function setPlayerStreak(socketId, streak) {
-  await redis.hset(`player:${socketId}`, 'streak', String(streak));
+/** Zero a player's per-shift fields (score, streak, counters, ready flag). */
+async function resetPlayerShift(playerId) {
+  await redis.hset(`player:${playerId}`,
+    'score', '0', 'streak', '0', 'resolved', '0', 'correct', '0', 'wrong', '0', 'ready', '0',
+    'bestStreak', '0', 'reactionMs', '0', 'reactions', '0'
+  );
+}
+
+// Both scripts leave a finalised (deleted) player alone instead of recreating a stub hash
+// KEYS: player · ARGV: instanceId, socketId
+redis.defineCommand('setConnectionAtomic', {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+    redis.call('HSET', KEYS[1], 'online', '1', 'instance', ARGV[1], 'socket', ARGV[2], 'offlineSince', '0')
+    return 1
+  `,
+});
+
+// KEYS: player · ARGV: socketId, since
+redis.defineCommand('setOfflineAtomic', {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+    if (redis.call('HGET', KEYS[1], 'socket') or '') ~= ARGV[1] then return 0 end
+    redis.call('HSET', KEYS[1], 'online', '0', 'offlineSince', ARGV[2])
+    return 1
+  `,
+});
+
+/** Bind the player to a live socket on a server instance (the newest connection wins). */
+async function setPlayerConnection(playerId, instanceId, socketId) {
+  await redis.setConnectionAtomic(`player:${playerId}`, instanceId, socketId);
 }
 
-async function incrPlayerStreak(socketId) {
-  return redis.hincrby(`player:${socketId}`, 'streak', 1);
+/**
+ * Mark the player offline since `since` — only if `socketId` is still their
+ * connection, so a stale socket closing cannot undo a newer one.
+ */
+async function setPlayerOffline(playerId, socketId, since) {
+  return (await redis.setOfflineAtomic(`player:${playerId}`, socketId ?? '', since)) === 1;
+}
+
+async function deletePlayer(playerId) {
+  await redis.del(`player:${playerId}`);
+}
+
+// ── Session tokens ──────────────────────────────────────────
+
+async function setSession(token, playerId) {
+  await redis.set(`session:${token}`, playerId);
+}
+
+/** Resolve a session token to its playerId (null if unknown / finalised). */
+async function getSession(token) {
+  return redis.get(`session:${token}`);
+}
+
+async function deleteSession(token) {
+  await redis.del(`session:${token}`);
 }
 
 // ── Active player set ───────────────────────────────────────
 
-async function addPlayerToSet(socketId) {
-  await redis.sadd('active:players', socketId);
+async function addPlayerToSet(ward, playerId) {
+  await redis.sadd(wardKey(ward, 'players'), playerId);
 }
 
-async function removePlayerFromSet(socketId) {
-  await redis.srem('active:players', socketId);
+async function removePlayerFromSet(ward, playerId) {
+  await redis.srem(wardKey(ward, 'players'), playerId);
 }
 
-async function getActivePlayers() {
-  return redis.smembers('active:players');
+async function getActivePlayers(ward) {
+  return redis.smembers(wardKey(ward, 'players'));
 }
 
-async function getActivePlayerCount() {
-  return redis.scard('active:players');
+async function getActivePlayerCount(ward) {
+  return redis.scard(wardKey(ward, 'players'));
 }
 
-// ── Task claiming (atomic SET NX EX) ───────────────────────
+// ── Task claiming ───────────────────────────────────────────
+// claim:{taskId} holds the playerId (TTL via EX); the task hash mirrors it in
+// claimedBy / claimedByName for display. Both change together in one script.
+// claimedAt marks the claim (restarted by every correct step) for decision latencies;
+// the first claim of a task books the claimant's reaction time (since createdAt).
+
+// KEYS: task, claim, player · ARGV: playerId, playerName, ttl (s), now (ms)
+// → 'ok' | 'mine' | 'taken' | 'gone'
+redis.defineCommand('claimTaskAtomic', {
+  numberOfKeys: 3,
+  lua: `
+    if redis.call('EXISTS', KEYS[1]) == 0 then return 'gone' end
+    local holder = redis.call('GET', KEYS[2])
+    if holder == ARGV[1] then return 'mine' end
+    if holder then return 'taken' end
+    redis.call('SET', KEYS[2], ARGV[1], 'EX', ARGV[3])
+    redis.call('HSET', KEYS[1], 'claimedBy', ARGV[1], 'claimedByName', ARGV[2], 'claimedAt', ARGV[4], 'claimVitals', '')
+    local createdAt = tonumber(redis.call('HGET', KEYS[1], 'createdAt') or '')
+    if createdAt and redis.call('HSETNX', KEYS[1], 'firstClaimAt', ARGV[4]) == 1 then
+      redis.call('HINCRBY', KEYS[3], 'reactionMs', math.max(0, tonumber(ARGV[4]) - createdAt))
+      redis.call('HINCRBY', KEYS[3], 'reactions', 1)
+    end
+    return 'ok'
+  `,
+});
+
+// KEYS: task, claim · ARGV: playerId → 1 if released (not held by someone else)
+redis.defineCommand('releaseTaskClaimAtomic', {
+  numberOfKeys: 2,
+  lua: `
+    local holder = redis.call('GET', KEYS[2])
+    if holder and holder ~= ARGV[1] then return 0 end
+    redis.call('DEL', KEYS[2])
+    if redis.call('EXISTS', KEYS[1]) == 1 then
+      redis.call('HSET', KEYS[1], 'claimedBy', '', 'claimedByName', '')
+    end
+    return 1
+  `,
+});
 
 /**
  * Try to claim a task exclusively.
- * Returns true if claim succeeded, false if already claimed by someone else.
- * Claim auto-expires after 20 seconds via Redis TTL.
+ * Returns 'ok', 'mine' (already ours), 'taken' (someone else's) or 'gone' (resolved / expired).
+ * The claim auto-expires after `ttlSeconds` via Redis TTL.
  */
-async function claimTask(taskId, socketId, ttlSeconds = 70) {
-  const result = await redis.set(`claim:${taskId}`, socketId, 'NX', 'EX', ttlSeconds);
-  return result === 'OK'; // 'OK' = claimed, null = already taken
+async function claimTask(ward, taskId, playerId, playerName, ttlSeconds = 70) {
+  return redis.claimTaskAtomic(
+    taskKey(ward, taskId), `claim:${taskId}`, `player:${playerId}`,
+    playerId, playerName, ttlSeconds, Date.now()
+  );
 }
 
-async function releaseClaim(taskId) {
-  await redis.del(`claim:${taskId}`);
+/** Drop `playerId`'s claim (or a lapsed one) and clear the task's claimant. False if someone else holds it. */
+async function releaseTaskClaim(ward, taskId, playerId) {
+  return (await redis.releaseTaskClaimAtomic(taskKey(ward, taskId), `claim:${taskId}`, playerId)) === 1;
 }
 
 async function getClaim(taskId) {
-  return redis.get(`claim:${taskId}`); // returns socketId or null
+  return redis.get(`claim:${taskId}`); // returns playerId or null
 }
 
 // ── Cleanup helpers ─────────────────────────────────────────
 
-/** Clear all transient world state (call when last player leaves). */
-async function flushWorldState() {
+/** Clear all transient state of one ward (call when its last player leaves). */
+async function flushWorldState(ward) {
+  await clearTasks(ward);
   const pipeline = redis.pipeline();
-  pipeline.del('world:tasks');
-  pipeline.del('world:teamScore');
-  pipeline.del('active:players');
-  for (let i = 1; i <= 8; i++) pipeline.del(`vitals:${i}`);
+  pipeline.del(wardKey(ward, 'teamScore'));
+  pipeline.del(wardKey(ward, 'players'));
+  pipeline.del(wardKey(ward, 'shift'));
+  pipeline.del(wardKey(ward, 'stats'));
+  pipeline.del(wardKey(ward, 'rooms'));
+  pipeline.del(wardKey(ward, 'events'));
+  pipeline.del(wardKey(ward, 'messages'));
+  for (let i = 1; i <= 8; i++) {
+    pipeline.del(wardKey(ward, `vitals:${i}`));
+    pipeline.del(wardKey(ward, `history:${i}`));
+  }
   await pipeline.exec();
 }
 
 module.exports = {
   redis, // raw client for advanced use
+  // Locks & instances
+  acquireLock, releaseLock, heartbeat, instanceAlive, sharedAdminToken,
+  // Wards
+  createWard, wardExists, removeWard, getWards, setWardScenario, getWardScenario,
+  getWardSettings, setWardSettings,
   // Tasks
-  addTask, getTasks, removeTask, updateTask, getTask,
+  addTask, getTasks, getTask, removeTask, expireTask, updateTask, resolveStep, clearTasks, migrateTaskList,
+  // Deadlines
+  ensureDeadline, takeDueDeadlines,
   // Team score
   getTeamScore, incrTeamScore,
+  // Shift
+  getShift, setShift, incrStat, getStats, resetShiftState,
+  // Shift event log
+  logEvent, getEvents, getRecentEvents,
+  // Team messages
+  addMessage, getMessages,
   // Vitals
-  getAllVitals, setVitals, initVitals,
+  BASELINE_VITALS, getAllVitals, setVitals, setVitalsBatch, initVitals, getVitalsHistory, clearHistory,
+  // Rooms
+  getRooms, setRooms,
   // Players
-  setPlayer, getPlayer, deletePlayer, incrPlayerScore, setPlayerStreak, incrPlayerStreak,
+  setPlayer, getPlayer, deletePlayer, setPlayerName, setPlayerConnection, setPlayerOffline, setPlayerReady, resetPlayerShift,
+  // Sessions
+  setSession, getSession, deleteSession,
   // Active set
   addPlayerToSet, removePlayerFromSet, getActivePlayers, getActivePlayerCount,
   // Claims
-  claimTask, releaseClaim, getClaim,
+  claimTask, releaseTaskClaim, getClaim,
   // Cleanup
   flushWorldState,
 };
@@ -0,0 +1,436 @@
+/**
+ * scenario.js — Scenario loader for Stations-Sprint
+ *
+ * Clinical content is read from scenarios/*.json at startup instead of being
+ * hardcoded. One file per scenario:
+ *   {
+ *     id, name,
+ *     patients: [{ room: 1–8, name, baseline? }],
+ *     admissions?: [name, …],
+ *     actions:  { key: { label, shortLabel?, icon, color, doctorOrder? } },
+ *     symptoms: { key: { label, hint, explanation, pitfalls?, icon, trigger?,
+ *                        correctAction, protocol?, recovery, drift?, priority } },
+ *     urgency:  { routine | urgent | critical:
+ *                 { label, weight, ttl, scoreCorrect, scoreWrong, teamPenalty } },
+ *     translations?: { locale: { name?, actions?: { key: { label?, shortLabel? } },
+ *                      symptoms?: { key: { label?, hint?, explanation?, pitfalls? } },
+ *                      urgency?: { key: { label? } } } }
+ *   }
+ *
+ *   trigger  → vitals thresholds that must ALL hold, e.g. { "hr": { "gt": 100 } }
+ *              (vitals: hr, o2, temp, bp — operators: gt, gte, lt, lte).
+ *              Symptoms without a trigger are fallbacks, picked at random when
+ *              no trigger matches; every scenario needs at least one.
+ *   explanation → why the protocol fits (teaching feedback after a decision;
+ *              never sent to clients before they have chosen)
+ *   pitfalls → { actionKey: why that action is wrong here } for common mix-ups
+ *   patients → census at shift start; rooms without a patient start empty
+ *   admissions → names for new patients admitted into free rooms during a
+ *              shift (default: DEFAULT_ADMISSIONS)
+ *   baseline → resting vitals { hr, o2, temp, bp } the simulation drifts back to
+ *              (default: BASELINE_VITALS in redis.js)
+ *   protocol → ordered action keys that must ALL be performed, either one list
+ *              for every urgency or { routine|urgent|critical: [...] } — tiers
+ *              without an entry use the single step [correctAction].
+ *              correctAction may be omitted when protocol is a list.
+ *   recovery → vitals delta applied on correct resolution (spread over the steps)
+ *   drift    → vitals delta per simulation tick while the symptom is untreated
+ *              (default: −recovery × DEFAULT_DRIFT_FACTOR)
+ *   priority → higher = more likely when several triggers match
+ *   ttl      → base seconds, scaled by GAME_SPEED in server.js
+ *   color    → button colour, one of ACTION_COLORS
+ *   doctorOrder → true: only a doctor may perform the action; nurses request
+ *              the order and a doctor co-signs it (see server.js, "Roles")
+ *   translations → the texts in another locale (LOCALES); the file itself is
+ *              written in DEFAULT_LOCALE, and anything left untranslated falls
+ *              back to it
+ *
+ * Every file is validated on load; a broken scenario stops the server with a
+ * list of everything that is wrong with it.
+ */
+
+const path = require('path');
+const fs   = require('fs');
+
+const SCENARIO_DIR  = path.join(__dirname, 'scenarios');
+const VITAL_KEYS    = ['hr', 'o2', 'temp', 'bp'];
+const TRIGGER_OPS   = {
+  gt:  (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt:  (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+const URGENCY_KEYS  = ['routine', 'urgent', 'critical'];
+const ACTION_COLORS = ['blue', 'cyan', 'orange', 'purple', 'rose', 'amber', 'emerald', 'lime', 'teal', 'indigo', 'pink', 'slate'];
+const ROOM_COUNT    = 8;
+// Languages of the client catalogs (public/i18n.js); scenario files are written in the first
+const LOCALES        = ['de', 'en'];
+const DEFAULT_LOCALE = 'de';
+// Untreated symptoms without an explicit `drift` undo this share of their recovery per tick
+const DEFAULT_DRIFT_FACTOR = 0.04;
+// Name pool for admissions when a scenario brings none
+const DEFAULT_ADMISSIONS = [
+  'Anneliese Krüger', 'Wolfgang Braun', 'Brigitte Zimmermann', 'Dieter Hartmann',
+  'Christa Lange', 'Manfred Schmitt', 'Ilse Werner', 'Horst Krause',
+  'Erika Lehmann', 'Gerhard Schmid', 'Waltraud Köhler', 'Klaus Maier',
+];
+
+const scenarios = new Map(); // id → compiled scenario
+
+// ── Validation ──────────────────────────────────────────────
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isText   = v => typeof v === 'string' && v.trim() !== '';
+const isVitals = v => isObject(v) && VITAL_KEYS.every(k => isNumber(v[k]));
+
+/** Check a parsed scenario file. Returns a list of error messages (empty = valid). */
+function validateScenario(data) {
+  const errors = [];
+  if (!isObject(data)) return ['top level must be an object'];
+
+  if (!isText(data.id) || !/^[a-z0-9_-]+$/.test(data.id)) errors.push('id must be a lowercase slug');
+  if (!isText(data.name)) errors.push('name is required');
+
+  // patients
+  if (!Array.isArray(data.patients) || data.patients.length === 0) {
+    errors.push('patients must be a non-empty array');
+  } else {
+    const rooms = new Set();
+    data.patients.forEach((p, i) => {
+      if (!Number.isInteger(p?.room) || p.room < 1 || p.room > ROOM_COUNT) {
+        errors.push(`patients[${i}].room must be an integer 1–${ROOM_COUNT}`);
+      } else if (rooms.has(p.room)) {
+        errors.push(`patients[${i}].room ${p.room} is used twice`);
+      }
+      rooms.add(p?.room);
+      if (!isText(p?.name)) errors.push(`patients[${i}].name is required`);
+      if (p?.baseline !== undefined && !isVitals(p.baseline)) {
+        errors.push(`patients[${i}].baseline must set ${VITAL_KEYS.join(', ')} as numbers`);
+      }
+    });
+  }
+
+  if (data.admissions !== undefined
+      && (!Array.isArray(data.admissions) || data.admissions.length === 0 || !data.admissions.every(isText))) {
+    errors.push('admissions must be a non-empty list of names');
+  }
+
+  // actions
+  const actionKeys = isObject(data.actions) ? Object.keys(data.actions) : [];
+  if (actionKeys.length === 0) errors.push('actions must declare at least one action');
+  for (const key of actionKeys) {
+    const a = data.actions[key];
+    if (!isText(a?.label)) errors.push(`actions.${key}.label is required`);
+    if (!isText(a?.icon))  errors.push(`actions.${key}.icon is required`);
+    if (!ACTION_COLORS.includes(a?.color)) {
+      errors.push(`actions.${key}.color must be one of ${ACTION_COLORS.join(', ')}`);
+    }
+    if (a?.doctorOrder !== undefined && typeof a.doctorOrder !== 'boolean') {
+      errors.push(`actions.${key}.doctorOrder must be true or false`);
+    }
+  }
+
+  // symptoms
+  const symptomKeys = isObject(data.symptoms) ? Object.keys(data.symptoms) : [];
+  if (symptomKeys.length === 0) errors.push('symptoms must declare at least one symptom');
+  let fallbackCount = 0;
+  for (const key of symptomKeys) {
+    const s = data.symptoms[key];
+    const at = `symptoms.${key}`;
+    if (!isText(s?.label)) errors.push(`${at}.label is required`);
+    if (!isText(s?.hint))  errors.push(`${at}.hint is required`);
+    if (!isText(s?.explanation)) errors.push(`${at}.explanation is required`);
+    if (s?.pitfalls !== undefined) {
+      if (!isObject(s.pitfalls)) errors.push(`${at}.pitfalls must be an object of { action: text }`);
+      for (const [action, text] of Object.entries(isObject(s.pitfalls) ? s.pitfalls : {})) {
+        if (!actionKeys.includes(action)) errors.push(`${at}.pitfalls.${action} is not a declared action`);
+        else if (!isText(text)) errors.push(`${at}.pitfalls.${action} must be a text`);
+      }
+    }
+    if (!isText(s?.icon))  errors.push(`${at}.icon is required`);
+    const hasProtocolList = Array.isArray(s?.protocol);
+    if (s?.correctAction !== undefined || !hasProtocolList) {
+      if (!actionKeys.includes(s?.correctAction)) {
+        errors.push(`${at}.correctAction "${s?.correctAction}" is not a declared action`);
+      }
+    }
+    if (s?.protocol !== undefined) {
+      const lists = hasProtocolList ? { '': s.protocol } : (isObject(s.protocol) ? s.protocol : null);
+      if (!lists) errors.push(`${at}.protocol must be a list of actions or { urgency: [...] }`);
+      for (const [tier, list] of Object.entries(lists || {})) {
+        const where = tier ? `${at}.protocol.${tier}` : `${at}.protocol`;
+        if (tier && !URGENCY_KEYS.includes(tier)) { errors.push(`${where} is not a known urgency tier`); continue; }
+        if (!Array.isArray(list) || list.length === 0) { errors.push(`${where} must be a non-empty list`); continue; }
+        list.forEach((action, i) => {
+          if (!actionKeys.includes(action)) errors.push(`${where}[${i}] "${action}" is not a declared action`);
+        });
+      }
+    }
+    if (!isNumber(s?.priority) || s.priority < 0) errors.push(`${at}.priority must be a number ≥ 0`);
+    if (!isVitals(s?.recovery)) {
+      errors.push(`${at}.recovery must set ${VITAL_KEYS.join(', ')} as numbers`);
+    }
+    if (s?.drift !== undefined && !isVitals(s.drift)) {
+      errors.push(`${at}.drift must set ${VITAL_KEYS.join(', ')} as numbers`);
+    }
+
+    if (s?.trigger === undefined) { fallbackCount++; continue; }
+    if (!isObject(s.trigger) || Object.keys(s.trigger).length === 0) {
+      errors.push(`${at}.trigger must be an object of vitals thresholds (or omitted)`);
+      continue;
+    }
+    for (const [vital, cond] of Object.entries(s.trigger)) {
+      if (!VITAL_KEYS.includes(vital)) { errors.push(`${at}.trigger.${vital} is not a vital`); continue; }
+      if (!isObject(cond) || Object.keys(cond).length === 0) {
+        errors.push(`${at}.trigger.${vital} must be an object like { "gt": 100 }`);
+        continue;
+      }
+      for (const [op, value] of Object.entries(cond)) {
+        if (!TRIGGER_OPS[op]) errors.push(`${at}.trigger.${vital}.${op} is not one of ${Object.keys(TRIGGER_OPS).join(', ')}`);
+        else if (!isNumber(value)) errors.push(`${at}.trigger.${vital}.${op} must be a number`);
+      }
+    }
+  }
+  if (symptomKeys.length > 0 && fallbackCount === 0) {
+    errors.push('at least one symptom must have no trigger (fallback)');
+  }
+
+  // urgency
+  if (!isObject(data.urgency)) {
+    errors.push(`urgency must declare ${URGENCY_KEYS.join(', ')}`);
+  } else {
+    for (const key of URGENCY_KEYS) {
+      const u = data.urgency[key];
+      if (!isObject(u)) { errors.push(`urgency.${key} is missing`); continue; }
+      if (!isText(u.label)) errors.push(`urgency.${key}.label is required`);
+      for (const field of ['weight', 'ttl', 'scoreCorrect', 'scoreWrong', 'teamPenalty']) {
+        if (!isNumber(u[field])) errors.push(`urgency.${key}.${field} must be a number`);
+      }
+      if (isNumber(u.ttl) && u.ttl <= 0) errors.push(`urgency.${key}.ttl must be positive`);
+      if (isNumber(u.weight) && u.weight < 0) errors.push(`urgency.${key}.weight must be ≥ 0`);
+    }
+    for (const key of Object.keys(data.urgency)) {
+      if (!URGENCY_KEYS.includes(key)) errors.push(`urgency.${key} is not a known tier`);
+    }
+  }
+
+  if (data.translations !== undefined) {
+    if (!isObject(data.translations)) errors.push('translations must be an object of { locale: texts }');
+    for (const [locale, tr] of Object.entries(isObject(data.translations) ? data.translations : {})) {
+      errors.push(...validateTranslation(data, locale, tr));
+    }
+  }
+
+  return errors;
+}
+
+/** Check one entry of `translations`: a known locale, only declared keys, only texts. */
+function validateTranslation(data, locale, tr) {
+  const at = `translations.${locale}`;
+  if (locale === DEFAULT_LOCALE || !LOCALES.includes(locale)) {
+    return [`${at}: locale must be one of ${LOCALES.filter(l => l !== DEFAULT_LOCALE).join(', ')}`];
+  }
+  if (!isObject(tr)) return [`${at} must be an object`];
+
+  const errors = [];
+  const checkTexts = (where, entry, fields) => {
+    if (!isObject(entry)) { errors.push(`${where} must be an object`); return; }
+    for (const [field, text] of Object.entries(entry)) {
+      if (!fields.includes(field)) errors.push(`${where}.${field} cannot be translated`);
+      else if (field !== 'pitfalls' && !isText(text)) errors.push(`${where}.${field} must be a text`);
+    }
+  };
+  const sections = {
+    actions:  { declared: data.actions,  fields: ['label', 'shortLabel'] },
+    symptoms: { declared: data.symptoms, fields: ['label', 'hint', 'explanation', 'pitfalls'] },
+    urgency:  { declared: data.urgency,  fields: ['label'] },
+  };
+
+  if (tr.name !== undefined && !isText(tr.name)) errors.push(`${at}.name must be a text`);
+  for (const [section, { declared, fields }] of Object.entries(sections)) {
+    if (tr[section] === undefined) continue;
+    if (!isObject(tr[section])) { errors.push(`${at}.${section} must be an object`); continue; }
+    for (const [key, entry] of Object.entries(tr[section])) {
+      const where = `${at}.${section}.${key}`;
+      if (!isObject(declared) || !declared[key]) { errors.push(`${where} is not declared in ${section}`); continue; }
+      checkTexts(where, entry, fields);
+      if (section !== 'symptoms' || entry?.pitfalls === undefined) continue;
+      if (!isObject(entry.pitfalls)) { errors.push(`${where}.pitfalls must be an object of { action: text }`); continue; }
+      for (const [action, text] of Object.entries(entry.pitfalls)) {
+        if (!declared[key].pitfalls?.[action]) errors.push(`${where}.pitfalls.${action} has no ${DEFAULT_LOCALE} pitfall to translate`);
+        else if (!isText(text)) errors.push(`${where}.pitfalls.${action} must be a text`);
+      }
+    }
+  }
+  for (const key of Object.keys(tr)) {
+    if (key !== 'name' && !sections[key]) errors.push(`${at}.${key} cannot be translated`);
+  }
+  return errors;
+}
+
+// ── Compilation ─────────────────────────────────────────────
+
+/** Turn a declarative trigger into a predicate over { hr, o2, temp, bp }. */
+function compileTrigger(trigger) {
+  if (!trigger) return () => true;
+  const checks = Object.entries(trigger).flatMap(([vital, cond]) =>
+    Object.entries(cond).map(([op, value]) => v => TRIGGER_OPS[op](v[vital], value))
+  );
+  return v => checks.every(check => check(v));
+}
+
+/** Default per-tick drift of an untreated symptom: a slice of its recovery, reversed. */
+function defaultDrift(recovery) {
+  const drift = {};
+  for (const k of VITAL_KEYS) drift[k] = -recovery[k] * DEFAULT_DRIFT_FACTOR;
+  return drift;
+}
+
+/** Resolve `protocol` / `correctAction` into one step list per urgency tier. */
+function compileProtocols(s) {
+  const protocols = {};
+  for (const tier of URGENCY_KEYS) {
+    if (Array.isArray(s.protocol))     protocols[tier] = s.protocol;
+    else if (s.protocol?.[tier])       protocols[tier] = s.protocol[tier];
+    else                               protocols[tier] = [s.correctAction];
+  }
+  return protocols;
+}
+
+/** The scenario's data with one translation laid over its texts (everything else unchanged). */
+function translateScenario(data, tr) {
+  const overlay = (items, texts = {}) => Object.fromEntries(Object.entries(items).map(([key, item]) =>
+    [key, { ...item, ...texts[key] }]));
+  const symptoms = overlay(data.symptoms, tr.symptoms);
+  for (const [key, s] of Object.entries(symptoms)) {
+    if (tr.symptoms?.[key]?.pitfalls) s.pitfalls = { ...data.symptoms[key].pitfalls, ...tr.symptoms[key].pitfalls };
+  }
+  return {
+    ...data,
+    name:     tr.name || data.name,
+    actions:  overlay(data.actions, tr.actions),
+    symptoms,
+    urgency:  overlay(data.urgency, tr.urgency),
+    translations: undefined,
+  };
+}
+
+/**
+ * Attach trigger predicates, protocols, drift defaults and the triggered / fallback lists.
+ * Every translation is compiled alongside, under `localized` (see localizeScenario).
+ */
+function compileScenario(data) {
+  const symptoms = {};
+  for (const [key, s] of Object.entries(data.symptoms)) {
+    symptoms[key] = {
+      ...s,
+      trigger:    compileTrigger(s.trigger),
+      thresholds: s.trigger || null,
+      triggered:  s.trigger !== undefined,
+      protocols:  compileProtocols(s),
+      drift:      s.drift || defaultDrift(s.recovery),
+    };
+  }
+  return {
+    ...data,
+    admissions: data.admissions || DEFAULT_ADMISSIONS,
+    symptoms,
+    triggeredSymptoms: Object.keys(symptoms).filter(k => symptoms[k].triggered),
+    fallbackSymptoms:  Object.keys(symptoms).filter(k => !symptoms[k].triggered),
+    localized: Object.fromEntries(Object.entries(data.translations || {})
+      .map(([locale, tr]) => [locale, compileScenario(translateScenario(data, tr))])),
+  };
+}
+
+// ── Loading ─────────────────────────────────────────────────
+
+/**
+ * Read, validate and compile every scenarios/*.json file.
+ * Throws one error listing all problems if any file is invalid.
+ */
+function loadScenarios(dir = SCENARIO_DIR) {
+  const problems = [];
+  const loaded   = new Map();
+  const files    = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      problems.push(`${file}: ${e.message}`);
+      continue;
+    }
+    const errors = validateScenario(data);
+    if (errors.length === 0 && loaded.has(data.id)) errors.push(`id "${data.id}" is already used`);
+    if (errors.length > 0) {
+      problems.push(...errors.map(err => `${file}: ${err}`));
+      continue;
+    }
+    loaded.set(data.id, compileScenario(data));
+  }
+
+  if (problems.length === 0 && loaded.size === 0) problems.push(`no scenario files in ${dir}`);
+  if (problems.length > 0) {
+    throw new Error(`Invalid scenarios:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  scenarios.clear();
+  for (const [id, sc] of loaded) scenarios.set(id, sc);
+  return scenarios;
+}
+
+function hasScenario(id) {
+  return scenarios.has(id);
+}
+
+function getScenario(id) {
+  return scenarios.get(id) || null;
+}
+
+/** The scenario with its texts in `locale` — itself when there is no such translation. */
+function localizeScenario(sc, locale) {
+  return sc.localized[locale] || sc;
+}
+
+/** { id, name, names: { locale: name } } of every loaded scenario, for the lobby picker. */
+function listScenarios() {
+  return [...scenarios.values()].map(({ id, name, localized }) => ({
+    id, name, names: Object.fromEntries(Object.entries(localized).map(([locale, sc]) => [locale, sc.name])),
+  }));
+}
+
+/**
+ * The trigger thresholds of a symptom checked against concrete vitals, for
+ * teaching feedback: [{ vital, value, op, threshold, holds }] ([] for fallbacks).
+ */
+function vitalFindings(symptom, vitals) {
+  if (!symptom.thresholds || !vitals) return [];
+  return Object.entries(symptom.thresholds).flatMap(([vital, cond]) =>
+    Object.entries(cond).map(([op, threshold]) => ({
+      vital, value: vitals[vital], op, threshold, holds: TRIGGER_OPS[op](vitals[vital], threshold),
+    }))
+  );
+}
+
+/** Display metadata for the client in `locale` — no solutions (correctAction) included. */
+function publicScenario(sc, locale = DEFAULT_LOCALE) {
+  sc = localizeScenario(sc, locale);
+  const actions  = {};
+  const symptoms = {};
+  const urgency  = {};
+  for (const [k, a] of Object.entries(sc.actions)) {
+    actions[k] = { label: a.shortLabel || a.label, icon: a.icon, color: a.color, doctorOrder: a.doctorOrder === true };
+  }
+  for (const [k, s] of Object.entries(sc.symptoms)) symptoms[k] = { label: s.label, hint: s.hint, icon: s.icon };
+  for (const [k, u] of Object.entries(sc.urgency))  urgency[k]  = { label: u.label };
+  return { id: sc.id, name: sc.name, patients: sc.patients, actions, symptoms, urgency };
+}
+
+module.exports = {
+  ROOM_COUNT, LOCALES, DEFAULT_LOCALE,
+  loadScenarios, validateScenario, hasScenario, getScenario, listScenarios, publicScenario,
+  localizeScenario,
+  vitalFindings,
+};
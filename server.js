@@ -10,147 +10,178 @@
  *   3. Open http://localhost:8888
  *
  * Architecture:
- *   - ONE shared world for all connected players
+ *   - Isolated wards: players join a ward by code (or open a new one);
+ *     each ward has its own tasks, vitals, players, spawner & team score
+ *   - Play happens in timed shifts: lobby (ready check) → running → ended
+ *     (summary screen, results stored in SQLite)
+ *   - During a shift, vitals drift continuously (simulation tick)
  *   - Redis  → all live state (tasks, vitals, claims, sessions)
- *   - SQLite → durable persistence (leaderboard, session audit)
+ *   - SQLite → durable persistence (leaderboard, session audit, shifts,
+ *     player profiles with career totals)
+ *   - A name belongs to a profile: playing under it again needs the device
+ *     key handed out on first use or the profile's PIN
  *   - Server is fully authoritative; client only renders & emits input
+ *   - Instructors steer a ward from /admin (token-protected Socket.io namespace)
+ *   - /display shows a ward read-only on a projector; spectators do not
+ *     register, so they neither count as players nor keep a ward alive
+ *   - Read-only JSON API under /api for dashboards and scripts
+ *   - Each shift keeps an event log (spawns, claims, resolves, expiries,
+ *     vitals, patient flow), stored with the shift and replayed on /replay
+ *   - Every protocol decision is logged to SQLite; instructors get confusion
+ *     matrices in the panel and a CSV export (/admin/decisions.csv)
+ *   - Wards play in training mode (feedback card after each decision) or
+ *     exam mode (no verdicts or scores until the end-of-shift report)
+ *   - Team coordination: quick calls about a room (help, taking over, code
+ *     blue) marked on its card, and a short team chat
+ *   - Players join as nurse or doctor; actions that need a doctor's order
+ *     are refused to nurses, who hand the task over for a doctor to co-sign
+ *   - Localized (German / English): errors go out as message keys with
+ *     params for the client catalogs (public/i18n.js); scenario texts are
+ *     sent in the player's locale
+ *   - Difficulty presets set spawn pacing, task limits, deadlines and urgency
+ *     mix (Experte also hides diagnoses); adaptive pacing follows the team's
+ *     recent accuracy and missed tasks
+ *   - Task deadlines live in Redis and are swept; a restart reconciles the
+ *     wards it finds (expired tasks, lapsed claims, shift timers, spawners)
+ *   - Scales horizontally: any number of instances can share one Redis behind
+ *     a load balancer with sticky sessions. Broadcasts go through the Socket.io
+ *     Redis adapter; a leader elected via a Redis lock runs all background
+ *     work (spawners, expiry, vitals ticks, shift ends, reconnect grace)
  * ============================================================
  */
 
 const express    = require('express');
 const http       = require('http');
 const { Server } = require('socket.io');
-const Database   = require('better-sqlite3');
 const path       = require('path');
-const fs         = require('fs');
+const os         = require('os');
 const crypto     = require('crypto');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const r          = require('./redis');  // Redis helper layer
+const db         = require('./db');     // SQLite persistence
+const scenarios  = require('./scenario'); // scenarios/*.json loader
 
 // ── Config ──────────────────────────────────────────────────
-const PORT       = 3000;
+const PORT       = Number(process.env.PORT) || 3000;
 const RATE_LIMIT = 15; // max socket events per second per player
+// Team messages: one-tap calls about a room (marked on its card for CALL_MARK_MS)
+// and short chat lines, at most MESSAGE_RATE.count per window and player
+const CALL_KINDS      = ['help', 'taking', 'codeBlue'];
+const CALL_MARK_MS    = 60 * 1000;
+const CHAT_MAX_LENGTH = 140;
+const MESSAGE_RATE    = { count: 4, windowMs: 10 * 1000 };
+// How long a dropped player keeps score, streak & claims before being finalised
+const RECONNECT_GRACE_MS = 45000;
+// Length of one shift ("Schicht") — wall-clock, NOT scaled by GAME_SPEED
+const SHIFT_DURATION_MS = 8 * 60 * 1000;
+// How often the leader sweeps task deadlines, ward timers and dropped players
+const SWEEP_MS = 1000;
+// Instructor panel (/admin). Without ADMIN_TOKEN a random token is generated,
+// shared through Redis by all instances and printed at startup.
+let adminToken = process.env.ADMIN_TOKEN || null;
+const ADMIN_SPEED_RANGE     = { min: 0.02, max: 3 };
+const ADMIN_MAX_TASKS_RANGE = { min: 1, max: 30 };
+// Session modes: training explains every decision right away, exam only in the
+// report at the end of the shift. Chosen when a ward is opened; instructors can
+// switch between shifts.
+const WARD_MODES   = ['training', 'exam'];
+const DEFAULT_MODE = 'training';
+// REST API paging (?limit=&offset=)
+const API_PAGE_SIZE     = 20;
+const API_MAX_PAGE_SIZE = 100;
+
+// Cluster: every instance needs its own id (the container hostname is unique per replica)
+const INSTANCE_ID     = process.env.INSTANCE_ID || `${os.hostname()}-${crypto.randomBytes(3).toString('hex')}`;
+const LEADER_LOCK_MS  = 10000; // leadership lapses this long after the last renewal
+const HEARTBEAT_MS    = 3000;  // leader renewal + instance heartbeat interval
+const INSTANCE_TTL_MS = 15000; // an instance without heartbeat this long is dead, with its sockets
+const CRITICAL_LOCK_MS = 5000; // upper bound for the shift start/end and finalise sections
+
+// Ward joined when the lobby code field is left empty
+const DEFAULT_WARD = 'MAIN';
+// Alphabet for generated ward codes (no 0/O, 1/I — easy to read aloud)
+const WARD_CODE_CHARS  = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const WARD_CODE_LENGTH = 4;
 
 // ── Game Speed ───────────────────────────────────────────────
 // Multiplier applied to all time-based values (TTLs, spawn interval, claim window).
 //   1.0 = normal  |  0.5 = twice as fast  |  2.0 = twice as slow
+// Default for every ward — instructors can override it per ward at runtime.
 const GAME_SPEED = 0.1;
 
-// Ward configuration — 8 rooms, each with a fixed patient
-const PATIENTS = [
-  { room: 1, name: 'Ernst Müller'    },
-  { room: 2, name: 'Ingrid Schmidt'  },
-  { room: 3, name: 'Walter Hoffmann' },
-  { room: 4, name: 'Gerda Fischer'   },
-  { room: 5, name: 'Heinrich Weber'  },
-  { room: 6, name: 'Hildegard Meyer' },
-  { room: 7, name: 'Otto Wagner'     },
-  { room: 8, name: 'Elfriede Schulz' },
-];
-
-// ── Actions (treatments the player can pick) ────────────────
-const ACTIONS = {
-  betablocker:   { label: 'Betablocker geben',     icon: '💊' },
-  sauerstoff:    { label: 'Sauerstoffmaske',        icon: '🫁' },
-  fiebermittel:  { label: 'Wadenwickel & Antipyretikum', icon: '🌡️' },
-  infusion:      { label: 'Volumen-Infusion',       icon: '💧' },
-  schmerzmittel: { label: 'Schmerzmittel geben',    icon: '💊' },
-  verband:       { label: 'Verband wechseln',       icon: '🩹' },
-};
-
-// ── Symptoms (vitals-driven conditions) ──────────────────────
-// Each symptom defines:
-//   trigger(v)       — returns true if the room's vitals match this condition
-//   correctAction    — the key from ACTIONS that fixes it
-//   label / hint     — shown to the player (NOT the solution!)
-//   recovery         — vitals delta applied on correct resolution
-//   priority         — higher = more likely to be picked when multiple triggers match
-const SYMPTOMS = {
-  tachycardia: {
-    trigger: v => v.hr > 100,
-    correctAction: 'betablocker',
-    label: 'Herzrasen',
-    hint:  'Der Puls ist stark erhöht. Der Patient ist unruhig und schwitzt.',
-    recovery: { hr: -20, o2: 1, temp: 0, bp: 5 },
-    priority: 3,
-  },
-  bradycardia: {
-    trigger: v => v.hr < 55,
-    correctAction: 'infusion',
-    label: 'Bradykardie',
-    hint:  'Der Puls ist bedrohlich niedrig. Der Patient wirkt benommen.',
-    recovery: { hr: 15, o2: 1, temp: 0, bp: 10 },
-    priority: 3,
-  },
-  hypoxia: {
-    trigger: v => v.o2 < 93,
-    correctAction: 'sauerstoff',
-    label: 'Atemnot',
-    hint:  'Die Sauerstoffsättigung fällt ab. Der Patient atmet schnell und flach.',
-    recovery: { hr: -3, o2: 6, temp: 0, bp: 3 },
-    priority: 4,
-  },
-  fever: {
-    trigger: v => v.temp > 38.5,
-    correctAction: 'fiebermittel',
-    label: 'Fieber',
-    hint:  'Die Temperatur ist deutlich erhöht. Der Patient glüht.',
-    recovery: { hr: -3, o2: 1, temp: -1.5, bp: 2 },
-    priority: 2,
+// ── Difficulty ───────────────────────────────────────────────
+// Presets a ward is opened with (instructors can switch at any time).
+//   spawnMs        → [min, max] delay between spawns, scaled by the ward's speed
+//   minTasks / tasksPerPlayer → automatic task limit max(minTasks, players × tasksPerPlayer)
+//   ttlFactor      → multiplies the scenario's urgency TTLs
+//   urgency        → multiplies the scenario's urgency weights
+//   hideDiagnosis  → players see no symptom label or hint — only the vitals
+const DIFFICULTY_PRESETS = {
+  einsteiger: {
+    spawnMs: [30000, 45000], minTasks: 3, tasksPerPlayer: 1.5, ttlFactor: 1.5,
+    urgency: { routine: 1.5, urgent: 1, critical: 0.4 }, hideDiagnosis: false,
   },
-  hypotension: {
-    trigger: v => v.bp < 100,
-    correctAction: 'infusion',
-    label: 'Kreislaufschwäche',
-    hint:  'Der Blutdruck sackt ab. Dem Patienten wird schwindelig.',
-    recovery: { hr: -2, o2: 1, temp: 0, bp: 25 },
-    priority: 3,
+  standard: {
+    spawnMs: [20000, 35000], minTasks: 4, tasksPerPlayer: 2, ttlFactor: 1,
+    urgency: { routine: 1, urgent: 1, critical: 1 }, hideDiagnosis: false,
   },
-  hypertension: {
-    trigger: v => v.bp > 160,
-    correctAction: 'betablocker',
-    label: 'Bluthochdruck-Krise',
-    hint:  'Der Blutdruck ist gefährlich hoch. Der Patient klagt über Kopfschmerzen.',
-    recovery: { hr: -5, o2: 1, temp: 0, bp: -30 },
-    priority: 3,
-  },
-  pain: {
-    trigger: () => true,  // always available as fallback
-    correctAction: 'schmerzmittel',
-    label: 'Starke Schmerzen',
-    hint:  'Der Patient klagt über starke Schmerzen und bittet um Hilfe.',
-    recovery: { hr: -3, o2: 1, temp: 0, bp: 3 },
-    priority: 0,
-  },
-  bleeding: {
-    trigger: () => true,  // always available as fallback
-    correctAction: 'verband',
-    label: 'Nachblutung',
-    hint:  'Der Verband ist durchgeblutet. Die Wunde muss neu versorgt werden.',
-    recovery: { hr: -2, o2: 1, temp: 0, bp: 5 },
-    priority: 0,
+  experte: {
+    spawnMs: [14000, 24000], minTasks: 5, tasksPerPlayer: 2.5, ttlFactor: 0.8,
+    urgency: { routine: 0.7, urgent: 1.2, critical: 1.5 }, hideDiagnosis: true,
   },
 };
-
-// Symptom keys that require a vitals trigger (priority > 0)
-const TRIGGERED_SYMPTOMS = Object.entries(SYMPTOMS)
-  .filter(([, s]) => s.priority > 0)
-  .map(([key]) => key);
-// Fallback symptoms (always available)
-const FALLBACK_SYMPTOMS  = Object.entries(SYMPTOMS)
-  .filter(([, s]) => s.priority === 0)
-  .map(([key]) => key);
-
-// Urgency tiers: weight (%), base TTL (s, scaled by GAME_SPEED), scoring
-const URGENCY = {
-  routine:  { weight: 60, ttl: Math.round(180 * GAME_SPEED), scoreCorrect: 10, scoreWrong: -3,  teamPenalty: -3  },
-  urgent:   { weight: 30, ttl: Math.round(120 * GAME_SPEED), scoreCorrect: 15, scoreWrong: -5,  teamPenalty: -5  },
-  critical: { weight: 10, ttl: Math.round( 75 * GAME_SPEED), scoreCorrect: 25, scoreWrong: -8,  teamPenalty: -10 },
+const DEFAULT_DIFFICULTY = 'standard';
+// Adaptive pacing: the team's recent performance becomes a level in [-1, 1]
+// (see adaptiveLevel); at +1 spawns come maxPaceChange sooner and critical
+// tasks weigh maxWeightShift more (routine ones less), at −1 the reverse.
+const ADAPTIVE = {
+  windowMs:       2 * 60 * 1000, // wall-clock look-back over the shift event log
+  scanEvents:     400,           // newest log entries searched for that window
+  minSamples:     4,             // fewer decisions / finished tasks → that signal is neutral
+  targetAccuracy: 0.75,
+  targetMissRate: 0.15,
+  maxPaceChange:  0.35,
+  maxWeightShift: 0.5,
 };
 
+// ── Roles ────────────────────────────────────────────────────
+// Chosen at registration. Actions flagged doctorOrder in the scenario are the
+// doctor's: a nurse who needs one requests the order (requestOrder), which
+// hands the task to the board marked for a doctor to co-sign.
+const PLAYER_ROLES = ['pflege', 'arzt'];
+const DEFAULT_ROLE = 'pflege';
+
+/** Whether a player of `role` may perform `action` in this scenario. */
+function mayPerform(scenario, role, action) {
+  return role === 'arzt' || !scenario.actions[action]?.doctorOrder;
+}
+
+// ── Scenarios ────────────────────────────────────────────────
+// Patients, actions, symptoms and urgency tiers come from scenarios/*.json
+// (see scenario.js). Invalid files stop the server here, at startup.
+scenarios.loadScenarios();
+// Scenario used by DEFAULT_WARD and when the lobby does not pick one
+const DEFAULT_SCENARIO = 'standard';
+if (!scenarios.hasScenario(DEFAULT_SCENARIO)) {
+  throw new Error(`Default scenario "${DEFAULT_SCENARIO}" not found in scenarios/`);
+}
+
+// ── Locales ──────────────────────────────────────────────────
+// The client picks German or English (public/i18n.js). Player-facing errors
+// are message keys ('error.…') with params; scenario texts are localized
+// before they are sent (scenario.js, translations).
+
+/** A locale sent by a client, or the default one if the catalogs do not know it. */
+function normaliseLocale(locale) {
+  return scenarios.LOCALES.includes(locale) ? locale : scenarios.DEFAULT_LOCALE;
+}
+
 // Vitals degradation per spawn / missed task (affects all 4 vitals)
 const VITALS_DEGRADE = { hr: 4, o2: -2, temp: 0.3, bp: -4 };
 // Generic recovery (used only when no symptom-specific recovery exists)
 const VITALS_RECOVER = { hr: -3, o2: 1, temp: -0.2, bp: 3 };
+// Streak bonus: +points for every `every` tasks completed in a row, capped at max
+const STREAK_BONUS   = { every: 3, points: 5, max: 20 };
 const VITALS_LIMITS  = {
   hrMin: 40, hrMax: 140,
   o2Min: 82, o2Max: 100,
@@ -158,71 +189,123 @@ const VITALS_LIMITS  = {
   bpMin: 70, bpMax: 190,
 };
 
-// ── SQLite setup ─────────────────────────────────────────────
-const DATA_DIR = path.join(__dirname, 'data');
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-
-const db = new Database(path.join(DATA_DIR, 'database.db'));
-db.exec(`
-  CREATE TABLE IF NOT EXISTS players_sessions (
-    id              INTEGER PRIMARY KEY AUTOINCREMENT,
-    socket_id       TEXT,
-    name            TEXT,
-    score           INTEGER DEFAULT 0,
-    connected_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
-    disconnected_at DATETIME
-  );
-  CREATE TABLE IF NOT EXISTS leaderboard (
-    id          INTEGER PRIMARY KEY AUTOINCREMENT,
-    name        TEXT,
-    score       INTEGER,
-    achieved_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
+// Continuous simulation: every tick each room drifts away from its baseline
+// while it has untreated symptoms (symptom `drift`), back toward it otherwise
+const VITALS_TICK_MS   = 2000;
+const VITALS_REVERSION = 0.08;                                   // share of the gap to baseline closed per tick
+const VITALS_NOISE     = { hr: 1.2, o2: 0.4, temp: 0.03, bp: 1.5 }; // ± random wobble per tick
+
+// Patient flow (real time, like the shift clock). Stable = inside these bounds;
+// extreme = within VITALS_EXTREME_MARGIN of a VITALS_LIMITS bound.
+const VITALS_STABLE         = { hrMin: 55, hrMax: 100, o2Min: 94, tempMax: 38.0, bpMin: 100, bpMax: 150 };
+const VITALS_EXTREME_MARGIN = { hr: 5, o2: 2, temp: 0.3, bp: 5 };
+const DISCHARGE_STABLE_MS   = 60 * 1000;  // stable with no open task → discharged
+const ICU_EXTREME_MS        = 20 * 1000;  // extreme this long → transferred to ICU
+const ICU_PENALTY           = -40;        // team score
+const CLEANING_MS           = 15 * 1000;  // room blocked after a patient leaves
+const ADMISSION_WAIT_MS     = { min: 5 * 1000, max: 25 * 1000 }; // empty room → next admission
+
+// ── Wards ────────────────────────────────────────────────────
+
+/** Socket.io room that carries one ward's broadcasts. */
+function wardChannel(ward) {
+  return `ward:${ward}`;
+}
 
-// ── SQLite helpers ───────────────────────────────────────────
+/** Normalise user input to a ward code ('' if nothing usable was entered). */
+function normaliseWardCode(code) {
+  return String(code ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 8);
+}
 
-function getTopScores() {
-  return db.prepare(
-    'SELECT name, score, achieved_at FROM leaderboard ORDER BY score DESC LIMIT 10'
-  ).all();
+/** Open a new ward under a fresh random code and return the code. */
+async function openNewWard(scenarioId) {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < WARD_CODE_LENGTH; i++) {
+      code += WARD_CODE_CHARS[crypto.randomInt(WARD_CODE_CHARS.length)];
+    }
+    if (code !== DEFAULT_WARD && await r.createWard(code)) {
+      await r.setWardScenario(code, scenarioId);
+      return code;
+    }
+  }
 }
 
-function insertScore(name, score) {
-  db.prepare('INSERT INTO leaderboard (name, score) VALUES (?, ?)').run(name, score);
-  db.prepare(`
-    DELETE FROM leaderboard
-    WHERE id NOT IN (SELECT id FROM leaderboard ORDER BY score DESC LIMIT 10)
-  `).run();
+/** Instructor settings of a ward with the defaults filled in (maxTasks null = automatic). */
+async function wardSettings(ward) {
+  const s = await r.getWardSettings(ward);
+  return {
+    paused:     s.paused,
+    speed:      s.speed ?? GAME_SPEED,
+    maxTasks:   s.maxTasks,
+    mode:       WARD_MODES.includes(s.mode) ? s.mode : DEFAULT_MODE,
+    difficulty: DIFFICULTY_PRESETS[s.difficulty] ? s.difficulty : DEFAULT_DIFFICULTY,
+    adaptive:   s.adaptive,
+  };
 }
 
-function insertSession(socketId, name) {
-  db.prepare('INSERT INTO players_sessions (socket_id, name) VALUES (?, ?)').run(socketId, name);
+/**
+ * The team's recent performance in a ward as a level in [-1, 1] (0 = on target):
+ * accuracy of the protocol steps and share of finished tasks that were missed,
+ * both read from the shift event log over the last ADAPTIVE.windowMs.
+ */
+async function adaptiveLevel(ward) {
+  const since    = Date.now() - ADAPTIVE.windowMs;
+  const recent   = (await r.getRecentEvents(ward, ADAPTIVE.scanEvents)).filter(e => e.at >= since);
+  const resolves = recent.filter(e => e.type === 'resolve');
+  const finished = resolves.filter(e => e.data.done).length;
+  const missed   = recent.filter(e => e.type === 'expire').length;
+
+  const signals = [];
+  if (resolves.length >= ADAPTIVE.minSamples) {
+    const accuracy = resolves.filter(e => e.data.correct).length / resolves.length;
+    signals.push((accuracy - ADAPTIVE.targetAccuracy) / (1 - ADAPTIVE.targetAccuracy));
+  }
+  if (finished + missed >= ADAPTIVE.minSamples) {
+    const missRate = missed / (finished + missed);
+    signals.push((ADAPTIVE.targetMissRate - missRate) / ADAPTIVE.targetMissRate);
+  }
+  if (signals.length === 0) return 0;
+  const level = signals.reduce((sum, v) => sum + v, 0) / signals.length;
+  return Math.max(-1, Math.min(1, level));
+}
+
+/** Pacing of a ward right now: { preset, level } — level 0 unless adaptive pacing is on. */
+async function wardPacing(ward, settings) {
+  return {
+    preset: DIFFICULTY_PRESETS[settings.difficulty],
+    level:  settings.adaptive ? await adaptiveLevel(ward) : 0,
+  };
 }
 
-function finalizeSession(socketId, score) {
-  db.prepare(`
-    UPDATE players_sessions
-    SET score = ?, disconnected_at = CURRENT_TIMESTAMP
-    WHERE socket_id = ?
-  `).run(score, socketId);
+/** Claim window (s) at a given speed; every correct protocol step starts it afresh. */
+function claimTtl(speed) {
+  return Math.max(1, Math.round(70 * speed));
+}
+
+/** The compiled scenario a ward plays (DEFAULT_SCENARIO if none / unknown). */
+async function wardScenario(ward) {
+  const id = await r.getWardScenario(ward);
+  return scenarios.getScenario(id) || scenarios.getScenario(DEFAULT_SCENARIO);
 }
 
 // ── World spawner ────────────────────────────────────────────
-// One Node.js timer handles all spawning — state lives in Redis.
-let spawnerTimeout = null;
+// One Node.js timer per ward handles spawning — state lives in Redis.
+// Like every per-ward timer it only runs on the leader (see "Cluster").
+const spawnerTimeouts = new Map(); // ward → timeout handle
 
 /** Pick a symptom based on patient vitals. Prefers triggered symptoms; falls back to random. */
-function pickSymptom(vitals) {
+function pickSymptom(scenario, vitals) {
+  const { symptoms } = scenario;
   // Collect all triggered symptoms sorted by priority (desc)
-  const triggered = TRIGGERED_SYMPTOMS
-    .filter(key => SYMPTOMS[key].trigger(vitals))
-    .sort((a, b) => SYMPTOMS[b].priority - SYMPTOMS[a].priority);
+  const triggered = scenario.triggeredSymptoms
+    .filter(key => symptoms[key].trigger(vitals))
+    .sort((a, b) => symptoms[b].priority - symptoms[a].priority);
 
   if (triggered.length > 0) {
     // Weighted pick: higher-priority symptoms are more likely
     // Probability proportional to (priority + 1)
-    const weights = triggered.map(k => SYMPTOMS[k].priority + 1);
+    const weights = triggered.map(k => symptoms[k].priority + 1);
     const total   = weights.reduce((s, w) => s + w, 0);
     let roll = Math.random() * total;
     for (let i = 0; i < triggered.length; i++) {
@@ -232,38 +315,54 @@ function pickSymptom(vitals) {
     return triggered[triggered.length - 1];
   }
 
-  // No vitals trigger → random fallback (pain / bleeding)
-  return FALLBACK_SYMPTOMS[Math.floor(Math.random() * FALLBACK_SYMPTOMS.length)];
+  // No vitals trigger → random fallback (e.g. pain / bleeding)
+  const fallback = scenario.fallbackSymptoms;
+  return fallback[Math.floor(Math.random() * fallback.length)];
 }
 
-/** Spawn one task into the shared world and store it in Redis. */
-async function spawnTask() {
-  const tasks       = await r.getTasks();
-  const playerCount = await r.getActivePlayerCount();
-  const maxTasks    = Math.max(4, playerCount * 2);
-  if (tasks.length >= maxTasks) return;
+/**
+ * Spawn one task. `inject` ({ room, symptom, urgency }) comes from the
+ * instructor panel: it skips the task limits and the random picks.
+ * Returns the new task, or null if nothing was spawned.
+ */
+async function spawnTask(ward, inject = null) {
+  const scenario    = await wardScenario(ward);
+  const settings    = await wardSettings(ward);
+  const { preset, level } = await wardPacing(ward, settings);
+  const tasks       = await r.getTasks(ward);
+  const occupied    = Object.values(await r.getRooms(ward)).filter(p => p.status === 'occupied');
 
-  // Pick a room with < 2 active tasks
-  const shuffled = [...PATIENTS].sort(() => Math.random() - 0.5);
   let patient = null;
-  for (const p of shuffled) {
-    if (tasks.filter(t => t.room === p.room).length < 2) { patient = p; break; }
+  if (inject) {
+    patient = occupied.find(p => p.room === inject.room) || null;
+  } else {
+    const playerCount = await r.getActivePlayerCount(ward);
+    const maxTasks    = settings.maxTasks
+      ?? Math.max(preset.minTasks, Math.round(playerCount * preset.tasksPerPlayer));
+    if (tasks.length >= maxTasks) return null;
+
+    // Pick an occupied room with < 2 active tasks
+    const shuffled = occupied.sort(() => Math.random() - 0.5);
+    for (const p of shuffled) {
+      if (tasks.filter(t => t.room === p.room).length < 2) { patient = p; break; }
+    }
   }
-  if (!patient) return;
-
-  const vitals     = await r.getAllVitals();
-  const roomVitals = vitals[patient.room] || { hr: 72, o2: 98, temp: 36.8, bp: 125 };
-  const symptomKey = pickSymptom(roomVitals);
-  const symptom    = SYMPTOMS[symptomKey];
-  const urgencyKey = pickUrgency();
-  const cfg        = URGENCY[urgencyKey];
+  if (!patient) return null;
+
+  const vitals     = await r.getAllVitals(ward);
+  const roomVitals = vitals[patient.room] || r.BASELINE_VITALS;
+  const symptomKey = inject ? inject.symptom : pickSymptom(scenario, roomVitals);
+  const symptom    = scenario.symptoms[symptomKey];
+  const urgencyKey = inject ? inject.urgency : pickUrgency(scenario, urgencyFactors(preset, level));
+  const cfg        = scenario.urgency[urgencyKey];
   const taskId     = crypto.randomUUID();
-  const ttlMs      = cfg.ttl * 1000;
+  const ttlMs      = Math.round(cfg.ttl * preset.ttlFactor * settings.speed) * 1000;
 
   const task = {
     id:            taskId,
     symptom:       symptomKey,
-    correctAction: symptom.correctAction,
+    protocol:      symptom.protocols[urgencyKey],
+    completed:     [],
     label:         symptom.label,
     hint:          symptom.hint,
     urgency:       urgencyKey,
@@ -274,101 +373,1300 @@ async function spawnTask() {
     claimedByName: null,
   };
 
-  await r.addTask(task);
-  await adjustVitals(patient.room, VITALS_DEGRADE);
-
-  // Schedule TTL expiry in Node (simpler than Redis keyspace notifications)
-  setTimeout(() => handleTaskExpiry(taskId, urgencyKey, patient.room), ttlMs);
+  // addTask also registers the deadline the expiry sweeper acts on
+  await r.addTask(ward, task);
+  await r.logEvent(ward, 'spawn', {
+    task: {
+      id: task.id, symptom: task.symptom, label: task.label, urgency: task.urgency,
+      room: task.room, patient: task.patient, steps: task.protocol.length, expiresAt: task.expiresAt,
+    },
+  });
+  await adjustVitals(ward, patient.room, VITALS_DEGRADE);
 
-  await broadcastWorldUpdate();
+  await broadcastWorldUpdate(ward);
+  return task;
 }
 
-/** Called when a task's TTL fires without being resolved. */
-async function handleTaskExpiry(taskId, urgencyKey, roomNum) {
-  const removed = await r.removeTask(taskId);
-  if (!removed) return; // already resolved
+/** Called by the sweeper when a task's deadline passed without it being resolved. */
+async function handleTaskExpiry(ward, taskId) {
+  const { urgency } = await wardScenario(ward);
+  // Removal, team penalty and missed-counter in one atomic step — a resolve
+  // racing the deadline either wins completely or finds the task gone
+  const expired = await r.expireTask(ward, taskId, {
+    routine:  urgency.routine.teamPenalty,
+    urgent:   urgency.urgent.teamPenalty,
+    critical: urgency.critical.teamPenalty,
+  });
+  if (!expired) return; // already resolved (or the ward was flushed)
+  await r.logEvent(ward, 'expire', { taskId, ...expired });
 
-  await r.releaseClaim(taskId);
-  await r.incrTeamScore(URGENCY[urgencyKey].teamPenalty);
-  await adjustVitals(roomNum, VITALS_DEGRADE);
-  await broadcastWorldUpdate();
+  await adjustVitals(ward, expired.room, VITALS_DEGRADE);
+  await broadcastWorldUpdate(ward);
 }
 
-/** Clamp vitals (4 fields) and write to Redis. */
-async function adjustVitals(roomNum, delta) {
-  const vitals  = await r.getAllVitals();
-  const c = vitals[roomNum] || { hr: 72, o2: 98, temp: 36.8, bp: 125 };
+/** Apply a delta to one room's vitals, rounded and clamped to VITALS_LIMITS. */
+function clampVitals(c, delta) {
   const L = VITALS_LIMITS;
-  const clamped = {
+  return {
     hr:   Math.min(L.hrMax,   Math.max(L.hrMin,   Math.round(c.hr + delta.hr))),
     o2:   Math.min(L.o2Max,   Math.max(L.o2Min,   Math.round(c.o2 + delta.o2))),
     temp: Math.min(L.tempMax,  Math.max(L.tempMin,  Math.round((c.temp + (delta.temp || 0)) * 10) / 10)),
     bp:   Math.min(L.bpMax,   Math.max(L.bpMin,   Math.round(c.bp + (delta.bp || 0)))),
   };
-  await r.setVitals(roomNum, clamped);
 }
 
-/** Schedule next spawn (interval also scaled by GAME_SPEED). */
-function scheduleNextSpawn() {
-  const delay = (20000 + Math.random() * 15000) * GAME_SPEED;
-  spawnerTimeout = setTimeout(async () => {
-    if ((await r.getActivePlayerCount()) === 0) { spawnerTimeout = null; return; }
-    try { await spawnTask(); } catch (e) { console.error('[Spawner]', e.message); }
-    scheduleNextSpawn();
-  }, delay);
+/** Clamp vitals (4 fields) and write to Redis. */
+async function adjustVitals(ward, roomNum, delta) {
+  const vitals  = await r.getAllVitals(ward);
+  const c = vitals[roomNum] || r.BASELINE_VITALS;
+  await r.setVitals(ward, roomNum, clampVitals(c, delta));
+}
+
+/** Multiply every field of a vitals delta (e.g. a protocol step's share of the recovery). */
+function scaleVitals(delta, factor) {
+  const scaled = {};
+  for (const [k, v] of Object.entries(delta)) scaled[k] = v * factor;
+  return scaled;
+}
+
+/** Points for protocol step `i` of `n` — the shares always add up to `total`. */
+function stepCredit(total, i, n) {
+  return Math.round(total * (i + 1) / n) - Math.round(total * i / n);
+}
+
+/** Per-room baselines of a scenario's patients, for r.initVitals. */
+function patientBaselines(scenario) {
+  const baselines = {};
+  for (const p of scenario.patients) if (p.baseline) baselines[p.room] = p.baseline;
+  return baselines;
+}
+
+/** Weight multipliers per urgency tier: the preset's, shifted towards critical as the level rises. */
+function urgencyFactors(preset, level) {
+  const shift = level * ADAPTIVE.maxWeightShift;
+  return {
+    routine:  preset.urgency.routine  * (1 - shift),
+    urgent:   preset.urgency.urgent,
+    critical: preset.urgency.critical * (1 + shift),
+  };
+}
+
+/** Schedule next spawn (interval from the difficulty preset, scaled by speed and adaptive pace). */
+async function scheduleNextSpawn(ward) {
+  const settings = await wardSettings(ward);
+  const { preset, level } = await wardPacing(ward, settings);
+  if (!spawnerTimeouts.has(ward)) return; // stopped (paused, shift over) meanwhile
+  const [min, max] = preset.spawnMs;
+  const delay = (min + Math.random() * (max - min)) * settings.speed * (1 - level * ADAPTIVE.maxPaceChange);
+  spawnerTimeouts.set(ward, setTimeout(async () => {
+    if ((await r.getActivePlayerCount(ward)) === 0) { spawnerTimeouts.delete(ward); return; }
+    try { await spawnTask(ward); } catch (e) { console.error(`[Spawner ${ward}]`, e.message); }
+    scheduleNextSpawn(ward).catch(e => console.error(`[Spawner ${ward}]`, e.message));
+  }, delay));
+}
+
+async function startSpawner(ward) {
+  if (spawnerTimeouts.has(ward)) return;
+  console.log(`[World ${ward}] Spawner started`);
+  spawnerTimeouts.set(ward, setTimeout(async () => {
+    try { await spawnTask(ward); } catch (e) { console.error(`[Spawner ${ward}]`, e.message); }
+    scheduleNextSpawn(ward).catch(e => console.error(`[Spawner ${ward}]`, e.message));
+  }, 3000)); // 3-second grace period before first task
+}
+
+function stopSpawner(ward) {
+  if (!spawnerTimeouts.has(ward)) return;
+  clearTimeout(spawnerTimeouts.get(ward));
+  spawnerTimeouts.delete(ward);
+  console.log(`[World ${ward}] Spawner stopped`);
+}
+
+// ── Task expiry ──────────────────────────────────────────────
+// The leader polls the `deadlines` sorted set in Redis for all wards, so
+// deadlines survive restarts and failovers (in-process timers did not).
+
+async function sweepDeadlines() {
+  for (const { ward, taskId } of await r.takeDueDeadlines(Date.now())) {
+    try {
+      await handleTaskExpiry(ward, taskId);
+    } catch (e) { console.error(`[Expiry ${ward}]`, e.message); }
+  }
+}
+
+// ── Vitals simulation ────────────────────────────────────────
+// One ticker per running ward. Only rooms whose numbers changed are sent,
+// as a small `vitalsUpdate` instead of a full worldUpdate.
+const vitalsTickers = new Map(); // ward → interval handle
+
+/**
+ * Round to a multiple of `step`, rounding up with probability equal to the
+ * remainder — keeps slow drifts (e.g. +0.3 bpm per tick) from rounding away.
+ */
+function dither(value, step) {
+  const units = value / step;
+  const base  = Math.floor(units);
+  return (base + (Math.random() < units - base ? 1 : 0)) * step;
+}
+
+async function tickVitals(ward) {
+  const [scenario, vitals, tasks, rooms] = await Promise.all([
+    wardScenario(ward),
+    r.getAllVitals(ward),
+    r.getTasks(ward),
+    r.getRooms(ward),
+  ]);
+
+  const changed = {};
+  for (const patient of Object.values(rooms)) {
+    if (patient.status !== 'occupied') continue;
+    const current  = vitals[patient.room];
+    const baseline = patient.baseline || r.BASELINE_VITALS;
+    const open     = tasks.filter(t => t.room === patient.room);
+
+    const delta = {};
+    for (const key of Object.keys(VITALS_NOISE)) {
+      const drift = open.length > 0
+        ? open.reduce((sum, t) => sum + (scenario.symptoms[t.symptom]?.drift[key] || 0), 0)
+        : (baseline[key] - current[key]) * VITALS_REVERSION;
+      const noise = (Math.random() * 2 - 1) * VITALS_NOISE[key];
+      delta[key]  = dither(drift + noise, key === 'temp' ? 0.1 : 1);
+    }
+
+    const next = clampVitals(current, delta);
+    if (Object.keys(next).some(k => next[k] !== current[k])) changed[patient.room] = next;
+  }
+
+  if (Object.keys(changed).length === 0) return;
+  await r.setVitalsBatch(ward, changed);
+  emitToWard(ward, 'vitalsUpdate', changed);
+}
+
+function startVitalsTicker(ward) {
+  if (vitalsTickers.has(ward)) return;
+  vitalsTickers.set(ward, setInterval(async () => {
+    try {
+      await tickVitals(ward);
+      await tickPatientFlow(ward);
+    } catch (e) { console.error(`[Vitals ${ward}]`, e.message); }
+  }, VITALS_TICK_MS));
+}
+
+function stopVitalsTicker(ward) {
+  if (!vitalsTickers.has(ward)) return;
+  clearInterval(vitalsTickers.get(ward));
+  vitalsTickers.delete(ward);
+}
+
+// ── Patient flow ─────────────────────────────────────────────
+// Runs after every vitals tick:
+//   occupied → discharged once vitals stay stable (and no task is open) for DISCHARGE_STABLE_MS,
+//              transferred to ICU once they sit at the extremes for ICU_EXTREME_MS
+//   cleaning → empty after CLEANING_MS
+//   empty    → a new patient from the scenario's admissions pool after ADMISSION_WAIT_MS
+
+/** Room records for a shift start: the scenario's census, every other room empty. */
+function initialRooms(scenario) {
+  const now   = Date.now();
+  const rooms = {};
+  for (let room = 1; room <= scenarios.ROOM_COUNT; room++) {
+    rooms[room] = { room, status: 'empty', until: now + randomAdmissionWait() };
+  }
+  for (const p of scenario.patients) {
+    rooms[p.room] = {
+      room: p.room, status: 'occupied', name: p.name, baseline: p.baseline || null,
+      admittedAt: now, stableSince: null, extremeSince: null,
+    };
+  }
+  return rooms;
+}
+
+function randomAdmissionWait() {
+  return ADMISSION_WAIT_MS.min + Math.random() * (ADMISSION_WAIT_MS.max - ADMISSION_WAIT_MS.min);
+}
+
+function isStable(v) {
+  const S = VITALS_STABLE;
+  return v.hr >= S.hrMin && v.hr <= S.hrMax && v.o2 >= S.o2Min
+      && v.temp <= S.tempMax && v.bp >= S.bpMin && v.bp <= S.bpMax;
+}
+
+function isExtreme(v) {
+  const L = VITALS_LIMITS;
+  const M = VITALS_EXTREME_MARGIN;
+  return v.hr <= L.hrMin + M.hr || v.hr >= L.hrMax - M.hr
+      || v.o2 <= L.o2Min + M.o2
+      || v.temp <= L.tempMin + M.temp || v.temp >= L.tempMax - M.temp
+      || v.bp <= L.bpMin + M.bp || v.bp >= L.bpMax - M.bp;
+}
+
+/** Pick an admission name not currently on the ward. */
+function pickAdmissionName(scenario, rooms) {
+  const inUse = new Set(Object.values(rooms).map(p => p.name));
+  const free  = scenario.admissions.filter(name => !inUse.has(name));
+  const pool  = free.length > 0 ? free : scenario.admissions;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+async function tickPatientFlow(ward) {
+  const [scenario, rooms, vitals, tasks] = await Promise.all([
+    wardScenario(ward),
+    r.getRooms(ward),
+    r.getAllVitals(ward),
+    r.getTasks(ward),
+  ]);
+  const now     = Date.now();
+  const updates = {};
+  const events  = [];
+  let   visible = false; // anything the ward grid shows changed → full worldUpdate
+
+  for (const p of Object.values(rooms)) {
+    if (p.status === 'occupied') {
+      const v            = vitals[p.room];
+      const roomTasks    = tasks.filter(t => t.room === p.room);
+      const stableSince  = isStable(v) && roomTasks.length === 0 ? (p.stableSince ?? now) : null;
+      const extremeSince = isExtreme(v) ? (p.extremeSince ?? now) : null;
+
+      const leaves = extremeSince !== null && now - extremeSince >= ICU_EXTREME_MS      ? 'transferred'
+                   : stableSince  !== null && now - stableSince  >= DISCHARGE_STABLE_MS ? 'discharged'
+                   :                                                                     null;
+      if (!leaves) {
+        if (stableSince !== p.stableSince || extremeSince !== p.extremeSince) {
+          updates[p.room] = { ...p, stableSince, extremeSince };
+          // The card warns while an ICU transfer is looming
+          if ((extremeSince === null) !== (p.extremeSince === null)) visible = true;
+        }
+        continue;
+      }
+
+      const event = { type: leaves, room: p.room, name: p.name };
+      if (leaves === 'transferred') {
+        // Open tasks leave with the patient — no missed-task penalty on top
+        for (const t of roomTasks) {
+          await r.removeTask(ward, t.id);
+          await r.logEvent(ward, 'remove', { taskId: t.id });
+        }
+        event.teamScore = await r.incrTeamScore(ward, ICU_PENALTY);
+        event.penalty   = ICU_PENALTY;
+      }
+      await r.incrStat(ward, leaves);
+      updates[p.room] = { room: p.room, status: 'cleaning', name: p.name, until: now + CLEANING_MS };
+      events.push(event);
+    } else if (now < p.until) {
+      continue;
+    } else if (p.status === 'cleaning') {
+      updates[p.room] = { room: p.room, status: 'empty', until: now + randomAdmissionWait() };
+    } else {
+      const name = pickAdmissionName(scenario, { ...rooms, ...updates });
+      await r.clearHistory(ward, p.room);
+      await r.setVitals(ward, p.room, r.BASELINE_VITALS);
+      await r.incrStat(ward, 'admitted');
+      updates[p.room] = {
+        room: p.room, status: 'occupied', name, baseline: null,
+        admittedAt: now, stableSince: null, extremeSince: null,
+      };
+      events.push({ type: 'admitted', room: p.room, name });
+    }
+    visible = true;
+  }
+
+  await r.setRooms(ward, updates);
+  for (const e of events) {
+    console.log(`[Ward ${ward}] Room ${e.room}: ${e.name} ${e.type}`);
+    await r.logEvent(ward, 'flow', e);
+    emitToWard(ward, 'patientFlow', e);
+  }
+  if (visible) {
+    await r.logEvent(ward, 'rooms', { rooms: Object.values(updates).map(publicRoom) });
+    await broadcastWorldUpdate(ward);
+  }
+}
+
+// ── Shifts ───────────────────────────────────────────────────
+// lobby   → players gather and tap "Bereit"; starts once every online player is ready
+// running → spawner active, countdown in the HUD; the leader ends it at endsAt
+// ended   → spawner stopped, summary shown until someone opens the next shift
+// Start and end run under the ward's `shift:{code}` lock: ready events and
+// the leader's sweep may race on different instances. A ready event that finds
+// the lock taken gives up — the leader's sweep checks every lobby again, so the
+// last player's "Bereit" is never lost.
+
+/** Start the shift once every connected player of a lobby-phase ward is ready. */
+async function maybeStartShift(ward) {
+  if ((await r.getShift(ward)).phase !== 'lobby') return; // the common case, without the lock
+  await withLock(`shift:${ward}`, async () => {
+    const shift = await r.getShift(ward);
+    if (shift.phase !== 'lobby') return;
+
+    const playerIds = await r.getActivePlayers(ward);
+    const players   = (await Promise.all(playerIds.map(id => r.getPlayer(id))))
+      .filter(p => p && p.online);
+    if (players.length === 0 || !players.every(p => p.ready)) return;
+
+    await startShift(ward, playerIds);
+  });
+}
+
+async function startShift(ward, playerIds) {
+  const startedAt = Date.now();
+  const endsAt    = startedAt + SHIFT_DURATION_MS;
+
+  const scenario = await wardScenario(ward);
+  await r.resetShiftState(ward);
+  await r.setRooms(ward, initialRooms(scenario));
+  await r.initVitals(ward, patientBaselines(scenario));
+  await Promise.all(playerIds.map(id => r.resetPlayerShift(id)));
+  // Everything a replay needs to draw the ward before the first event
+  const players = (await Promise.all(playerIds.map(id => r.getPlayer(id))))
+    .map((p, i) => p && { id: playerIds[i], name: p.name })
+    .filter(Boolean);
+  await r.logEvent(ward, 'start', {
+    scenario:   scenarios.publicScenario(scenario),
+    rooms:      Object.values(await r.getRooms(ward)).map(publicRoom),
+    vitals:     await r.getAllVitals(ward),
+    players,
+    durationMs: SHIFT_DURATION_MS,
+  });
+  await r.setShift(ward, { phase: 'running', startedAt, endsAt });
+  await syncWardTimers(ward); // on other instances the leader's next sweep starts them
+
+  console.log(`[Shift ${ward}] Started`);
+  await broadcastWorldUpdate(ward);
+}
+
+/** Stop play, build the summary, persist it and send it to the ward. */
+async function endShift(ward) {
+  await withLock(`shift:${ward}`, () => finishShift(ward));
+}
+
+async function finishShift(ward) {
+  const shift = await r.getShift(ward);
+  if (shift.phase !== 'running') return;
+
+  stopSpawner(ward);
+  stopVitalsTicker(ward);
+
+  const [teamScore, stats, playerIds, settings] = await Promise.all([
+    r.getTeamScore(ward),
+    r.getStats(ward),
+    r.getActivePlayers(ward),
+    wardSettings(ward),
+  ]);
+  const roster  = (await Promise.all(playerIds.map(async id => {
+    const p = await r.getPlayer(id);
+    return p && { ...p, id };
+  }))).filter(Boolean);
+  const players = roster
+    .map(p => ({ name: p.name, profileId: p.profile, score: p.score, resolved: p.resolved, wrong: p.wrong }))
+    .sort((a, b) => b.score - a.score);
+
+  const summary = {
+    ward,
+    startedAt:   shift.startedAt,
+    endedAt:     Date.now(),
+    teamScore,
+    stabilized:  stats.stabilized  || 0,
+    admitted:    stats.admitted    || 0,
+    discharged:  stats.discharged  || 0,
+    transferred: stats.transferred || 0,
+    missed: {
+      routine:  stats['missed:routine']  || 0,
+      urgent:   stats['missed:urgent']   || 0,
+      critical: stats['missed:critical'] || 0,
+    },
+    players,
+  };
+
+  await r.logEvent(ward, 'end', { teamScore });
+  summary.id = db.insertShift(summary, await r.getEvents(ward));
+  for (const p of players) {
+    if (p.score > 0) db.insertScore(p.name, p.score, p.profileId);
+  }
+  roster.forEach(recordCareer);
+  if (settings.mode === 'exam') sendExamReports(ward, await wardScenario(ward), shift.startedAt, roster);
+
+  // Open tasks die with the shift; their pending expiry timers find nothing
+  await r.resetShiftState(ward);
+  await r.setShift(ward, { phase: 'ended', startedAt: shift.startedAt, endsAt: summary.endedAt, summary });
+
+  console.log(`[Shift ${ward}] Ended — team score ${teamScore}`);
+  emitToWard(ward, 'shiftEnded', summary);
+  io.emit('leaderboardUpdate', leaderboards());
+  await broadcastWorldUpdate(ward);
+}
+
+/** Leave the summary screen: back to the ready check with fresh scores. */
+async function openNextShift(ward) {
+  const shift = await r.getShift(ward);
+  if (shift.phase !== 'ended') return;
+
+  const playerIds = await r.getActivePlayers(ward);
+  await Promise.all(playerIds.map(id => r.resetPlayerShift(id)));
+  await r.setShift(ward, { phase: 'lobby' });
+  await broadcastWorldUpdate(ward);
+}
+
+// ── Leaderboards ────────────────────────────────────────────
+// Every final score is kept in SQLite; the boards are top-10 queries per
+// period, in server-local time (set TZ): today, this week (from Monday), all time.
+const LEADERBOARD_PERIODS = ['today', 'week', 'all'];
+
+/** Start of a leaderboard period as epoch ms (null = all time). */
+function periodStart(period, now = new Date()) {
+  if (period === 'all') return null;
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // back to Monday
+  return start.getTime();
+}
+
+/** Top 10 of every period: { today, week, all }. */
+function leaderboards() {
+  const boards = {};
+  for (const period of LEADERBOARD_PERIODS) boards[period] = db.getTopScores({ since: periodStart(period) });
+  return boards;
 }
 
-async function startSpawner() {
-  if (spawnerTimeout) return;
-  console.log('[World] Spawner started');
-  spawnerTimeout = setTimeout(async () => {
-    try { await spawnTask(); } catch (e) { console.error('[Spawner]', e.message); }
-    scheduleNextSpawn();
-  }, 3000); // 3-second grace period before first task
+/** Best and most recent scores recorded under a name, timestamps as ISO 8601. */
+function personalResults(name) {
+  const { best, recent } = db.getPersonalResults(name);
+  const result = (row) => row && { score: row.score, achievedAt: isoTime(row.achieved_at) };
+  return { name, best: result(best), recent: recent.map(result) };
+}
+
+// ── Profiles ────────────────────────────────────────────────
+// The first player under a name creates its profile and gets a device key
+// (kept in the client's localStorage). Playing under that name again needs
+// the key or — on another device — the profile's PIN, which issues a new key.
+// Career totals grow with every stint on a running shift.
+const PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * Check credentials for a name: { profile, deviceKey } on success
+ * (deviceKey is new when a profile or device was added), else
+ * { error, params?, needPin } with error a message key.
+ * Unknown names get a profile only with `create`.
+ */
+function authenticateProfile(name, { deviceKey, pin } = {}, { create = false } = {}) {
+  const profile = db.getProfileByName(name);
+  if (!profile) {
+    if (!create) return { error: 'error.noProfile' };
+    return db.createProfile(name);
+  }
+  if (deviceKey && db.hasDevice(profile.id, String(deviceKey))) return { profile, deviceKey: String(deviceKey) };
+  if (!profile.pin_hash) return { error: 'error.nameTaken', params: { name: profile.name } };
+  if (!pin) return { error: 'error.pinRequired', needPin: true };
+
+  const check = db.verifyPin(profile.id, String(pin));
+  if (check === 'locked') return { error: 'error.pinLocked', needPin: true };
+  if (check !== 'ok')     return { error: 'error.pinWrong', needPin: true };
+  return { profile, deviceKey: db.addDevice(profile.id) };
+}
+
+/** Public view of a profile with career totals (accuracy 0–1, reaction in ms; null without data). */
+function profileView(profile) {
+  const decisions = profile.correct + profile.wrong;
+  return {
+    name:          profile.name,
+    hasPin:        !!profile.pin_hash,
+    createdAt:     isoTime(profile.created_at),
+    shifts:        profile.shifts,
+    resolved:      profile.resolved,
+    accuracy:      decisions ? profile.correct / decisions : null,
+    bestStreak:    profile.best_streak,
+    avgReactionMs: profile.reactions ? Math.round(profile.reaction_ms_total / profile.reactions) : null,
+  };
 }
 
-function stopSpawner() {
-  clearTimeout(spawnerTimeout);
-  spawnerTimeout = null;
-  console.log('[World] Spawner stopped');
+/** Add a player's counters of the current shift to their profile. */
+function recordCareer(player) {
+  if (!player.profile) return;
+  db.addCareerStats(player.profile, {
+    shifts:     1,
+    resolved:   player.resolved,
+    correct:    player.correct,
+    wrong:      player.wrong,
+    bestStreak: player.bestStreak,
+    reactionMs: player.reactionMs,
+    reactions:  player.reactions,
+  });
+}
+
+// ── Learning analytics ──────────────────────────────────────
+// Every protocol step a player chooses is logged (db.insertDecision) with
+// the expected action, latency since the claim (or the previous step) and
+// the vitals at claim time. The panel shows confusion matrices from it.
+
+/** Display label of an action or symptom in a scenario (the key if unknown). */
+function scenarioLabel(scenarioId, kind, key) {
+  const item = scenarios.getScenario(scenarioId)?.[kind][key];
+  return item ? (item.shortLabel || item.label) : key;
+}
+
+/**
+ * Confusion matrices per symptom (worst accuracy first) and per-player totals.
+ * filter: { period, ward, player } — ward / player null for all; the player
+ * list ignores the player filter so the panel can switch between them.
+ */
+function learningAnalytics({ period = 'all', ward = null, player = null } = {}) {
+  const since    = periodStart(period);
+  const symptoms = new Map();
+  for (const row of db.getDecisionMatrix({ since, ward, player })) {
+    const key = `${row.scenario}:${row.symptom}`;
+    if (!symptoms.has(key)) {
+      const meta = scenarios.getScenario(row.scenario)?.symptoms[row.symptom];
+      symptoms.set(key, {
+        scenario: row.scenario,
+        symptom:  row.symptom,
+        label:    meta?.label || row.symptom,
+        icon:     meta?.icon  || '❓',
+        total:    0,
+        correct:  0,
+        actions:  {}, // action key → label, for every action in the matrix
+        cells:    [], // { expected, chosen, count }
+      });
+    }
+    const entry = symptoms.get(key);
+    entry.total += row.count;
+    if (row.expected === row.chosen) entry.correct += row.count;
+    for (const action of [row.expected, row.chosen]) {
+      entry.actions[action] ??= scenarioLabel(row.scenario, 'actions', action);
+    }
+    entry.cells.push({ expected: row.expected, chosen: row.chosen, count: row.count });
+  }
+
+  return {
+    period, ward, player,
+    wards:    db.getDecisionWards(),
+    symptoms: [...symptoms.values()].sort((a, b) => a.correct / a.total - b.correct / b.total),
+    players:  db.getDecisionPlayers({ since, ward }).map(p => ({
+      name:         p.name,
+      decisions:    p.decisions,
+      accuracy:     p.correct / p.decisions,
+      avgLatencyMs: p.avg_latency_ms,
+    })),
+  };
+}
+
+/** One CSV field (RFC 4180: quoted when it contains a separator, quote or line break). */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const DECISION_CSV_COLUMNS = [
+  'decided_at', 'ward', 'scenario', 'player', 'task_id', 'symptom', 'urgency', 'room',
+  'step', 'steps', 'expected', 'chosen', 'correct', 'latency_ms', 'hr', 'o2', 'temp', 'bp',
+];
+
+// ── Teaching feedback ───────────────────────────────────────
+// Built from a decision (the same shape db.insertDecision takes) and the
+// scenario's explanation / pitfalls. Training mode sends it after a wrong step
+// or a finished task; exam mode collects it into the end-of-shift report.
+
+/**
+ * d: { taskId?, symptom, urgency, room, step, steps, expected, chosen, correct, vitals }
+ * → { …d, label, protocol, explanation, pitfall, findings }
+ */
+function decisionFeedback(scenario, d) {
+  const sym = scenario.symptoms[d.symptom];
+  return {
+    taskId:      d.taskId ?? null,
+    symptom:     d.symptom,
+    label:       sym?.label || d.symptom,
+    urgency:     d.urgency,
+    room:        d.room,
+    step:        d.step,
+    steps:       d.steps,
+    expected:    d.expected,
+    chosen:      d.chosen,
+    correct:     d.correct,
+    protocol:    sym ? sym.protocols[d.urgency] || [] : [d.expected],
+    explanation: sym?.explanation || null,
+    pitfall:     d.correct ? null : sym?.pitfalls?.[d.chosen] || null,
+    vitals:      d.vitals || null,
+    findings:    sym ? scenarios.vitalFindings(sym, d.vitals) : [],
+  };
+}
+
+/** Send every player of an exam shift their decisions with feedback in their locale ('examReport'). */
+function sendExamReports(ward, scenario, startedAt, roster) {
+  const byProfile = new Map(roster.map(p => [p.profile, []]));
+  for (const row of db.iterateDecisions({ since: startedAt, ward })) {
+    byProfile.get(row.profile_id)?.push({
+      ...row,
+      taskId:  row.task_id,
+      correct: row.correct === 1,
+      vitals:  row.hr === null ? null : { hr: row.hr, o2: row.o2, temp: row.temp, bp: row.bp },
+    });
+  }
+  for (const p of roster) {
+    const localized = scenarios.localizeScenario(scenario, p.locale);
+    const items     = byProfile.get(p.profile).map(d => decisionFeedback(localized, d));
+    io.to(playerChannel(p.id)).emit('examReport', {
+      total:   items.length,
+      correct: items.filter(i => i.correct).length,
+      items,
+    });
+  }
+}
+
+// ── Team messages ───────────────────────────────────────────
+
+/** Chat text as relayed: single-spaced, trimmed, capped at CHAT_MAX_LENGTH. */
+function cleanChat(raw) {
+  return String(raw ?? '').replace(/\s+/g, ' ').trim().substring(0, CHAT_MAX_LENGTH);
+}
+
+/** The newest call per room still inside CALL_MARK_MS: { room: { kind, name, remainingMs } }. */
+function activeCalls(messages, now = Date.now()) {
+  const calls = {};
+  for (const m of messages) {
+    if (!CALL_KINDS.includes(m.kind) || now - m.at >= CALL_MARK_MS) continue;
+    calls[m.room] = { kind: m.kind, name: m.name, remainingMs: CALL_MARK_MS - (now - m.at) };
+  }
+  return calls;
 }
 
 // ── World state builder ─────────────────────────────────────
 
-async function buildWorldState() {
-  const [tasks, teamScore, vitals, playerIds] = await Promise.all([
-    r.getTasks(),
-    r.getTeamScore(),
-    r.getAllVitals(),
-    r.getActivePlayers(),
+/** What clients see of a room record (occupancy, no simulation internals). */
+function publicRoom(p) {
+  return {
+    room:       p.room,
+    status:     p.status,
+    name:       p.name || null,
+    admittedAt: p.admittedAt || null,
+    icuRisk:    p.status === 'occupied' && p.extremeSince !== null,
+  };
+}
+
+async function buildWorldState(ward) {
+  const [tasks, teamScore, vitals, playerIds, shift, scenario, storedRooms, settings, messages] = await Promise.all([
+    r.getTasks(ward),
+    r.getTeamScore(ward),
+    r.getAllVitals(ward),
+    r.getActivePlayers(ward),
+    r.getShift(ward),
+    wardScenario(ward),
+    r.getRooms(ward),
+    wardSettings(ward),
+    r.getMessages(ward),
   ]);
 
-  // Attach live vitals to each task so the modal can display them
-  const enrichedTasks = tasks.map(t => ({
+  // Attach live vitals so the modal can display them; the protocol itself
+  // stays on the server — clients only learn how many steps there are
+  const enrichedTasks = tasks.map(({ protocol, claimVitals, ...t }) => ({
     ...t,
-    vitals: vitals[t.room] || { hr: 72, o2: 98, temp: 36.8, bp: 125 },
+    steps:     protocol.length,
+    stepsDone: t.completed.length,
+    vitals:    vitals[t.room] || r.BASELINE_VITALS,
   }));
 
   const playerData = await Promise.all(playerIds.map(id => r.getPlayer(id)));
+  // Only public fields — the session token must never leave the server
   const players = playerIds
-    .map((id, i) => ({ id, ...playerData[i] }))
+    .map((id, i) => playerData[i] && {
+      id,
+      name:   playerData[i].name,
+      role:   playerData[i].role || DEFAULT_ROLE,
+      score:  playerData[i].score,
+      streak: playerData[i].streak,
+      online: playerData[i].online,
+      ready:  playerData[i].ready,
+    })
     .filter(p => p && p.name)
     .sort((a, b) => b.score - a.score);
 
-  return { tasks: enrichedTasks, teamScore, vitals, players, rooms: PATIENTS };
+  // Between shifts there is no occupancy yet — show the census the next shift starts with
+  const roomRecords = Object.keys(storedRooms).length > 0 ? storedRooms : initialRooms(scenario);
+  const rooms = Object.values(roomRecords).map(publicRoom).sort((a, b) => a.room - b.room);
+
+  return {
+    ward, mode: settings.mode, difficulty: settings.difficulty, adaptive: settings.adaptive,
+    tasks: enrichedTasks, teamScore, vitals, players, rooms,
+    calls: activeCalls(messages),
+    shift: {
+      phase:       shift.phase,
+      durationMs:  SHIFT_DURATION_MS,
+      // Relative, so the client countdown does not depend on clock sync
+      remainingMs: shift.phase === 'running' ? Math.max(0, shift.endsAt - Date.now()) : 0,
+      summary:     shift.summary,
+    },
+  };
 }
 
-async function broadcastWorldUpdate() {
-  const state = await buildWorldState();
-  io.emit('worldUpdate', state);
+/**
+ * The world state as players see it: on Experte without symptom, label or hint
+ * (the diagnosis is theirs to make); during a running exam shift without any
+ * score and without a task's progress through its protocol (both would give
+ * the verdicts away), players listed by name.
+ */
+function playerWorldView(state) {
+  let view = state;
+  if (DIFFICULTY_PRESETS[state.difficulty].hideDiagnosis) {
+    view = {
+      ...view,
+      tasks: view.tasks.map(({ symptom, label, hint, ...t }) => ({ ...t, symptom: null, label: null, hint: null })),
+    };
+  }
+  if (state.mode === 'exam' && state.shift.phase === 'running') {
+    view = {
+      ...view,
+      tasks:     view.tasks.map(({ completed, steps, stepsDone, ...t }) => t),
+      teamScore: null,
+      players:   view.players
+        .map(p => ({ ...p, score: null, streak: 0 }))
+        .sort((a, b) => a.name.localeCompare(b.name, 'de')),
+    };
+  }
+  return view;
+}
+
+/** Emit to a ward's players and to the instructors watching it. */
+function emitToWard(ward, event, payload) {
+  io.to(wardChannel(ward)).emit(event, payload);
+  adminIo.to(wardChannel(ward)).emit(event, payload);
+}
+
+/** Send the ward's current state to every socket in that ward. */
+async function broadcastWorldUpdate(ward) {
+  const state = await buildWorldState(ward);
+  io.to(wardChannel(ward)).emit('worldUpdate', playerWorldView(state));
+  adminIo.to(wardChannel(ward)).emit('worldUpdate', state);
 }
 
 // ── Express / Socket.io ─────────────────────────────────────
 const app    = express();
 const server = http.createServer(app);
-const io     = new Server(server);
+// Broadcasts (io.to(…).emit, disconnectSockets) reach sockets on every instance
+const io     = new Server(server, { adapter: createAdapter(r.redis.duplicate(), r.redis.duplicate()) });
+const adminIo = io.of('/admin'); // instructor panel, see "Instructor panel" below
 
 app.use(express.static(path.join(__dirname, 'public')));
+app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
+app.get('/replay', (req, res) => res.sendFile(path.join(__dirname, 'public', 'replay.html')));
+app.get('/display', (req, res) => res.sendFile(path.join(__dirname, 'public', 'display.html')));
+
+// Decision log as CSV — admin token as Bearer; ?period=today|week|all, ?ward=, ?player=
+app.get('/admin/decisions.csv', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  if (!isAdminToken(token)) return res.status(401).type('text').send('Ungültiger Admin-Token');
+  const period = LEADERBOARD_PERIODS.includes(req.query.period) ? req.query.period : 'all';
+  const filter = {
+    since:  periodStart(period),
+    ward:   req.query.ward   ? normaliseWardCode(req.query.ward) : null,
+    player: req.query.player ? String(req.query.player) : null,
+  };
+
+  res.type('text/csv; charset=utf-8');
+  res.attachment(`entscheidungen-${new Date().toISOString().substring(0, 10)}.csv`);
+  res.write('\uFEFF' + DECISION_CSV_COLUMNS.join(',') + '\r\n'); // BOM: spreadsheets detect UTF-8
+  for (const row of db.iterateDecisions(filter)) {
+    res.write(DECISION_CSV_COLUMNS
+      .map(col => csvField(col === 'decided_at' ? isoTime(row.decided_at) : row[col]))
+      .join(',') + '\r\n');
+  }
+  res.end();
+});
+
+// ── REST API (read-only) ────────────────────────────────────
+//   GET /api/world?ward=CODE                           → buildWorldState as players see it
+//                                                        (default: DEFAULT_WARD)
+//   GET /api/leaderboard?limit=&offset=&since=&until=&period=
+//                                                      → scores, best first (period: today | week |
+//                                                        all, ignored when since is given)
+//   GET /api/sessions?limit=&offset=&since=&until=     → players_sessions, newest first
+//   GET /api/scenario?ward=CODE | ?id=ID  &locale=     → patients, actions, symptoms (no solutions;
+//                                                        default: DEFAULT_WARD's scenario, German)
+//   GET /api/shifts?limit=&offset=&since=&until=&ward= → finished shifts, newest first
+//   GET /api/shifts/:id                                → one shift with its players and event log
+// since / until: ISO 8601 date or date-time. Timestamps in responses are ISO 8601 (UTC).
+// Every error is { error: { status, code, message } }.
+const api = express.Router();
+
+/** An Error the API error handler turns into { error: { status, code, message } }. */
+function apiError(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+/** Express 4 does not catch rejected promises — forward them to the error handler. */
+function route(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+}
+
+/** SQLite timestamp ('YYYY-MM-DD HH:MM:SS', UTC) → ISO 8601, null stays null. */
+function isoTime(sqlTime) {
+  return sqlTime ? `${sqlTime.replace(' ', 'T')}Z` : null;
+}
+
+/** { limit, offset, since, until } from the query string, or a 400 apiError. */
+function listParams(query) {
+  const int = (name, fallback, min, max) => {
+    if (query[name] === undefined) return fallback;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw apiError(400, 'invalid_parameter', `${name} must be an integer between ${min} and ${max}`);
+    }
+    return n;
+  };
+  const time = (name) => {
+    if (query[name] === undefined) return null;
+    const ms = Date.parse(String(query[name]));
+    if (Number.isNaN(ms)) throw apiError(400, 'invalid_parameter', `${name} must be an ISO 8601 date`);
+    return ms;
+  };
+  return {
+    limit:  int('limit', API_PAGE_SIZE, 1, API_MAX_PAGE_SIZE),
+    offset: int('offset', 0, 0, Number.MAX_SAFE_INTEGER),
+    since:  time('since'),
+    until:  time('until'),
+  };
+}
+
+/** The open ward named by ?ward= (DEFAULT_WARD if absent), or a 404 apiError. */
+async function apiWard(query) {
+  const ward = query.ward === undefined ? DEFAULT_WARD : normaliseWardCode(query.ward);
+  if (!ward || !(await r.wardExists(ward))) {
+    throw apiError(404, 'ward_not_found', `Ward "${query.ward ?? DEFAULT_WARD}" is not open`);
+  }
+  return ward;
+}
+
+api.get('/world', route(async (req, res) => {
+  res.json(playerWorldView(await buildWorldState(await apiWard(req.query))));
+}));
+
+api.get('/leaderboard', route(async (req, res) => {
+  const params = listParams(req.query);
+  const { period } = req.query;
+  if (period !== undefined) {
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      throw apiError(400, 'invalid_parameter', `period must be one of ${LEADERBOARD_PERIODS.join(', ')}`);
+    }
+    params.since ??= periodStart(period);
+  }
+  const { total, entries } = db.queryLeaderboard(params);
+  res.json({
+    total, limit: params.limit, offset: params.offset,
+    entries: entries.map((e, i) => ({
+      rank: params.offset + i + 1, name: e.name, score: e.score, achievedAt: isoTime(e.achieved_at),
+    })),
+  });
+}));
+
+api.get('/sessions', route(async (req, res) => {
+  const params = listParams(req.query);
+  const { total, sessions } = db.querySessions(params);
+  res.json({
+    total, limit: params.limit, offset: params.offset,
+    sessions: sessions.map(s => ({
+      id:             s.id,
+      playerId:       s.socket_id,
+      name:           s.name,
+      score:          s.score,
+      connectedAt:    isoTime(s.connected_at),
+      disconnectedAt: isoTime(s.disconnected_at),
+    })),
+  });
+}));
+
+api.get('/scenario', route(async (req, res) => {
+  let scenario;
+  if (req.query.id !== undefined) {
+    scenario = scenarios.getScenario(String(req.query.id));
+    if (!scenario) throw apiError(404, 'scenario_not_found', `Scenario "${req.query.id}" does not exist`);
+  } else if (req.query.ward !== undefined) {
+    scenario = await wardScenario(await apiWard(req.query));
+  } else {
+    scenario = await wardScenario(DEFAULT_WARD); // DEFAULT_SCENARIO while the ward is closed
+  }
+  res.json(scenarios.publicScenario(scenario, normaliseLocale(req.query.locale)));
+}));
+
+/** A shifts row as the API shows it. */
+function shiftView(s) {
+  return {
+    id:          s.id,
+    ward:        s.ward,
+    startedAt:   isoTime(s.started_at),
+    endedAt:     isoTime(s.ended_at),
+    teamScore:   s.team_score,
+    stabilized:  s.stabilized,
+    missed:      { routine: s.missed_routine, urgent: s.missed_urgent, critical: s.missed_critical },
+    admitted:    s.admitted,
+    discharged:  s.discharged,
+    transferred: s.transferred,
+  };
+}
+
+api.get('/shifts', route(async (req, res) => {
+  const params = listParams(req.query);
+  if (req.query.ward !== undefined) {
+    params.ward = normaliseWardCode(req.query.ward);
+    if (!params.ward) throw apiError(400, 'invalid_parameter', 'ward must be a valid ward code');
+  }
+  const { total, shifts } = db.queryShifts(params);
+  res.json({ total, limit: params.limit, offset: params.offset, shifts: shifts.map(shiftView) });
+}));
+
+api.get('/shifts/:id', route(async (req, res) => {
+  const id     = Number(req.params.id);
+  const detail = Number.isInteger(id) ? db.getShiftDetail(id) : null;
+  if (!detail) throw apiError(404, 'shift_not_found', `Shift "${req.params.id}" does not exist`);
+  res.json({ ...shiftView(detail.shift), players: detail.players, events: detail.events });
+}));
+
+api.use((req, res, next) => next(apiError(404, 'not_found', `No endpoint ${req.method} /api${req.path}`)));
+
+// Express recognises an error handler by its four parameters — keep `next`
+api.use((err, req, res, next) => {
+  const status = err.status || 500;
+  if (status === 500) console.error('[API]', err);
+  res.status(status).json({
+    error: {
+      status,
+      code:    err.code || 'internal_error',
+      message: status === 500 ? 'Internal server error' : err.message,
+    },
+  });
+});
+
+app.use('/api', api);
+
+// ── Player sessions ─────────────────────────────────────────
+// A dropped connection does not end the shift: the player stays in the ward
+// (score, streak and claims intact) for RECONNECT_GRACE_MS and can resume
+// with the session token kept in the client's localStorage — on any instance.
+// The player record says which instance and socket hold the connection; the
+// leader finalises players whose grace ran out (see sweepPresence).
+
+/** Trimmed display name, capped at 32 characters ('' if nothing usable). */
+function cleanName(raw) {
+  return String(raw ?? '').trim().substring(0, 32);
+}
+
+/** Socket.io room holding a player's live socket, whichever instance it is on. */
+function playerChannel(playerId) {
+  return `player:${playerId}`;
+}
+
+/** Bind a socket to a player: ward channel, player channel, connection record. */
+async function attachSocket(socket, playerId, ward) {
+  socket.data.playerId = playerId;
+  await r.setPlayerConnection(playerId, INSTANCE_ID, socket.id);
+  // A second tab (or a stale socket the server has not noticed yet) loses the session
+  io.in(playerChannel(playerId)).except(socket.id).disconnectSockets(true);
+  socket.join(playerChannel(playerId));
+  socket.join(wardChannel(ward));
+}
+
+/** Remove a player for good — grace period ran out, or kicked. */
+async function finalizePlayer(playerId) {
+  // The leader's sweep and an instructor's kick may race on different instances
+  await withLock(`player:${playerId}`, () => removePlayer(playerId));
+}
+
+async function removePlayer(playerId) {
+  const player = await r.getPlayer(playerId);
+  if (!player) return;
+
+  const ward = player.ward;
+  db.finalizeSession(playerId, player.score);
+
+  // The last one out ends a running shift while still on its roster, so the
+  // shift is stored with summary, scores and event log before the ward closes
+  if ((await r.getActivePlayerCount(ward)) <= 1) await endShift(ward);
+
+  // Scores and careers of a finished shift were already recorded by endShift
+  const shift = await r.getShift(ward);
+  if (shift.phase === 'running') {
+    recordCareer(player);
+    if (player.score > 0) {
+      db.insertScore(player.name, player.score, player.profile);
+      io.emit('leaderboardUpdate', leaderboards());
+    }
+  }
+
+  // Release any claims still held by the player
+  const tasks = await r.getTasks(ward);
+  await Promise.all(
+    tasks
+      .filter(t => t.claimedBy === playerId)
+      .map(async (t) => {
+        await r.releaseTaskClaim(ward, t.id, playerId);
+        await r.logEvent(ward, 'release', { taskId: t.id, playerId });
+      })
+  );
+
+  await r.deleteSession(player.session);
+  await r.deletePlayer(playerId);
+  await r.removePlayerFromSet(ward, playerId);
+  console.log(`[×] Finalised: "${player.name}" (${playerId})`);
+
+  const remaining = await r.getActivePlayerCount(ward);
+  if (remaining === 0) {
+    await closeWard(ward); // last one out
+  } else {
+    await broadcastWorldUpdate(ward);
+    await maybeStartShift(ward); // the leaver may have been the last one not ready
+  }
+}
+
+/** End a running shift, stop the ward's timers and drop its state; the code becomes free again. */
+async function closeWard(ward) {
+  await endShift(ward);
+  stopSpawner(ward);
+  stopVitalsTicker(ward);
+  await r.flushWorldState(ward);
+  await r.removeWard(ward);
+  adminIo.to(wardChannel(ward)).emit('wardClosed', { ward });
+}
+
+// ── Cluster ─────────────────────────────────────────────────
+// Every instance serves sockets and heartbeats `instance:{id}`. The one
+// holding the `leader` lock also runs all background work, once per SWEEP_MS:
+// task deadlines, ward timers (spawner, vitals ticker, shift start and end)
+// and presence (players whose instance died, grace periods that ran out).
+// Losing the lock stops it all; the next leader picks up from Redis.
+let isLeader    = false;
+let leaseUntil  = 0;    // local deadline of the current leadership, in case Redis is unreachable
+let leaderSweep = null; // interval handle while leader
+
+/**
+ * Run `fn` under the Redis lock `name` (unique owner per call).
+ * Returns false without running it while someone else holds the lock.
+ */
+async function withLock(name, fn) {
+  const owner = crypto.randomUUID();
+  if (!(await r.acquireLock(name, owner, CRITICAL_LOCK_MS))) return false;
+  try {
+    await fn();
+  } finally {
+    await r.releaseLock(name, owner);
+  }
+  return true;
+}
+
+/** Heartbeat, then take or renew leadership. */
+async function clusterTick() {
+  const started = Date.now();
+  try {
+    await r.heartbeat(INSTANCE_ID, INSTANCE_TTL_MS);
+    if (await r.acquireLock('leader', INSTANCE_ID, LEADER_LOCK_MS)) {
+      leaseUntil = started + LEADER_LOCK_MS;
+      if (!isLeader) await becomeLeader();
+    } else if (isLeader) {
+      stepDown('lock taken over');
+    }
+  } catch (e) {
+    console.error('[Cluster]', e.message);
+    if (isLeader && Date.now() >= leaseUntil) stepDown('lease expired');
+  }
+}
+
+async function becomeLeader() {
+  isLeader = true;
+  console.log(`[Cluster] ${INSTANCE_ID} is now the leader`);
+  await reconcileOnTakeover();
+
+  let sweeping = false; // a slow sweep must not overlap the next one
+  leaderSweep = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try { await sweepDeadlines(); } catch (e) { console.error('[Expiry]', e.message); }
+    try { await syncWards(); }      catch (e) { console.error('[Cluster]', e.message); }
+    sweeping = false;
+  }, SWEEP_MS);
+}
+
+function stepDown(reason) {
+  isLeader = false;
+  console.warn(`[Cluster] ${INSTANCE_ID} is no longer the leader (${reason})`);
+  clearInterval(leaderSweep);
+  leaderSweep = null;
+  for (const ward of spawnerTimeouts.keys()) stopSpawner(ward);
+  for (const ward of vitalsTickers.keys())   stopVitalsTicker(ward);
+}
+
+/** Leader sweep over every ward; timers of wards closed elsewhere are stopped. */
+async function syncWards() {
+  const wards = await r.getWards();
+  for (const ward of new Set([...spawnerTimeouts.keys(), ...vitalsTickers.keys()])) {
+    if (!wards.includes(ward)) { stopSpawner(ward); stopVitalsTicker(ward); }
+  }
+  for (const ward of wards) {
+    try {
+      await sweepPresence(ward);
+      await maybeStartShift(ward); // catches a ready event that lost the lock race
+      await syncWardTimers(ward);
+    } catch (e) { console.error(`[Cluster ${ward}]`, e.message); }
+  }
+}
+
+/**
+ * Bring this instance's timers for a ward in line with its shift and settings
+ * in Redis; ends a shift whose time is up. A no-op unless we are the leader.
+ */
+async function syncWardTimers(ward) {
+  if (!isLeader) return;
+  const shift = await r.getShift(ward);
+  if (shift.phase !== 'running') {
+    stopSpawner(ward);
+    stopVitalsTicker(ward);
+  } else if (shift.endsAt <= Date.now()) {
+    await endShift(ward);
+  } else {
+    startVitalsTicker(ward);
+    if ((await wardSettings(ward)).paused) stopSpawner(ward);
+    else startSpawner(ward);
+  }
+}
+
+/** Players whose instance died go offline; those offline past the grace period are finalised. */
+async function sweepPresence(ward) {
+  const now = Date.now();
+  let wentOffline = false;
+  for (const id of await r.getActivePlayers(ward)) {
+    const player = await r.getPlayer(id);
+    if (!player) {
+      await r.removePlayerFromSet(ward, id);
+    } else if (player.online) {
+      if (await r.instanceAlive(player.instance)) continue;
+      wentOffline = (await r.setPlayerOffline(id, player.socket, now)) || wentOffline;
+    } else if (now - player.offlineSince >= RECONNECT_GRACE_MS) {
+      await finalizePlayer(id);
+    }
+  }
+  if (wentOffline && (await r.wardExists(ward))) await broadcastWorldUpdate(ward);
+}
+
+// ── Leader takeover ─────────────────────────────────────────
+// Redis outlives every process (nodemon restarts on every edit, instances come
+// and go). Whatever earlier leaders left behind is brought back in line by the
+// new one; players of dead instances follow with the first sweep.
+
+async function reconcileWard(ward) {
+  let players = 0;
+  for (const id of await r.getActivePlayers(ward)) {
+    if (!(await r.getPlayer(id))) { await r.removePlayerFromSet(ward, id); continue; }
+    players++;
+  }
+  if (players === 0) {
+    await closeWard(ward);
+    console.log(`[Cluster] Ward ${ward}: no players left, closed`);
+    return;
+  }
+
+  // Task lists from before the hash-per-task layout, tasks from before the
+  // deadline sweeper, and claims whose key has lapsed meanwhile
+  const migrated = await r.migrateTaskList(ward);
+  if (migrated > 0) console.log(`[Cluster] Ward ${ward}: migrated ${migrated} task(s) to the new layout`);
+  for (const t of await r.getTasks(ward)) {
+    await r.ensureDeadline(ward, t.id, t.expiresAt);
+    if (t.claimedBy) await r.releaseTaskClaim(ward, t.id, t.claimedBy); // no-op while the claim is live
+  }
+
+  // Timers of a running shift; one that should have ended meanwhile ends now
+  await syncWardTimers(ward);
+  console.log(`[Cluster] Ward ${ward}: ${players} player(s), shift ${(await r.getShift(ward)).phase}`);
+}
+
+async function reconcileOnTakeover() {
+  for (const ward of await r.getWards()) {
+    try {
+      await reconcileWard(ward);
+    } catch (e) { console.error(`[Cluster ${ward}]`, e.message); }
+  }
+}
+
+// ── Task resolution ─────────────────────────────────────────
+
+/** One protocol step chosen by the claim holder: score it, advance or finish the task. */
+async function resolveTask(socket, player, taskId, chosenType) {
+  const playerId = socket.data.playerId;
+  const ward     = player.ward;
+  const task     = await r.getTask(ward, taskId);
+  if (!task) return; // expired
+
+  const scenario = await wardScenario(ward);
+  if (!mayPerform(scenario, player.role, chosenType)) {
+    socket.emit('resolveError', { taskId, reason: 'error.doctorOrder' });
+    return;
+  }
+  const cfg      = scenario.urgency[task.urgency] || scenario.urgency.routine;
+  const steps    = task.protocol.length;
+  const step     = task.completed.length; // index of the step being performed
+  const correct  = chosenType === task.protocol[step];
+  const done     = correct && step + 1 === steps;
+  const delta    = correct ? stepCredit(cfg.scoreCorrect, step, steps) : cfg.scoreWrong;
+  const { mode, speed } = await wardSettings(ward);
+
+  // Claim check, scores, streak (+ bonus), stats, progress / removal — one atomic step.
+  // On a correct step the claim restarts; on a wrong one it is released but the
+  // task (and its progress) stays on the board. In exam mode the claim is
+  // released either way, so the board does not tell right from wrong.
+  const result = await r.resolveStep(ward, taskId, playerId, {
+    step, correct, delta,
+    claimTtl: claimTtl(speed),
+    bonus:    STREAK_BONUS,
+    release:  mode === 'exam',
+  });
+  if (result.status === 'not_holder') {
+    socket.emit('resolveError', { taskId, reason: 'error.notHolder' });
+    return;
+  }
+  if (result.status !== 'ok') return; // a concurrent submit already performed this step
+
+  const decision = {
+    ward,
+    scenario:  scenario.id,
+    profileId: player.profile,
+    player:    player.name,
+    taskId,
+    symptom:   task.symptom,
+    urgency:   task.urgency,
+    room:      task.room,
+    step,
+    steps,
+    expected:  task.protocol[step],
+    chosen:    String(chosenType),
+    correct,
+    latencyMs: task.claimedAt ? Date.now() - task.claimedAt : null,
+    vitals:    task.claimVitals,
+  };
+  db.insertDecision(decision);
+
+  // A doctor at the bed has answered the requested order, whatever they chose
+  if (task.order && player.role === 'arzt') {
+    await r.updateTask(ward, taskId, { orderAction: null, orderBy: null });
+  }
+
+  await r.logEvent(ward, 'resolve', {
+    taskId, playerId, name: player.name, role: player.role, chosen: String(chosenType), correct, done, step,
+    score: result.score, teamScore: result.teamScore,
+  });
+
+  // Each correct step applies its share of the symptom-specific recovery
+  const sym = scenario.symptoms[task.symptom];
+  await adjustVitals(ward, task.room, correct
+    ? scaleVitals(sym ? sym.recovery : VITALS_RECOVER, 1 / steps)
+    : { hr: 2, o2: -1, temp: 0.1, bp: -2 });
+
+  // Exam mode: only that the answer was taken — whether the step advanced or the
+  // task is done would be the verdict
+  socket.emit('playerUpdate', mode === 'exam' ? { taskId } : {
+    done, taskId, step: correct ? step + 1 : step, steps,
+    score:   result.score,
+    streak:  result.streak,
+    bonus:   result.bonus,
+    correct,
+  });
+  if (mode === 'training' && (!correct || done)) {
+    socket.emit('decisionFeedback', decisionFeedback(scenarios.localizeScenario(scenario, player.locale), decision));
+  }
+
+  await broadcastWorldUpdate(ward);
+}
 
 // ── Socket events ───────────────────────────────────────────
 io.on('connection', (socket) => {
@@ -385,125 +1683,326 @@ io.on('connection', (socket) => {
     return true;
   }
 
-  socket.emit('requestName');
+  // Team messages have their own, slower budget (sliding window)
+  let messageTimes = [];
+  function messageCheck() {
+    const now = Date.now();
+    messageTimes = messageTimes.filter(t => now - t < MESSAGE_RATE.windowMs);
+    if (messageTimes.length >= MESSAGE_RATE.count) return false;
+    messageTimes.push(now);
+    return true;
+  }
+
+  /** The player bound to this socket, or null before register/resume. */
+  async function currentPlayer() {
+    if (!socket.data.playerId) return null;
+    return r.getPlayer(socket.data.playerId);
+  }
+
+  socket.emit('requestName', { scenarios: scenarios.listScenarios(), defaultScenario: DEFAULT_SCENARIO });
 
   // ── registerPlayer ────────────────────────────────────────
-  socket.on('registerPlayer', async (name) => {
+  // payload: { name, role, locale, ward, create, scenario, mode, difficulty, adaptive, deviceKey, pin } —
+  // `create` opens a new ward playing `scenario` with those settings, otherwise
+  // `ward` is the join code ('' → DEFAULT_WARD).
+  // deviceKey / pin prove the name's profile (see authenticateProfile).
+  socket.on('registerPlayer', async (payload) => {
     if (!rateCheck()) return;
-    name = String(name).trim().substring(0, 32);
+    if (socket.data.playerId) return; // already on duty
+    const name = cleanName(payload?.name);
     if (!name) return;
 
-    const isFirst = (await r.getActivePlayerCount()) === 0;
+    let ward = null;
+    if (!payload.create) {
+      ward = normaliseWardCode(payload.ward) || DEFAULT_WARD;
+      if (ward !== DEFAULT_WARD && !(await r.wardExists(ward))) {
+        socket.emit('joinFailed', { ward, reason: 'error.unknownWard' });
+        return;
+      }
+    }
+
+    const auth = authenticateProfile(name, payload, { create: true });
+    if (auth.error) {
+      socket.emit('joinFailed', { reason: auth.error, params: auth.params, needPin: !!auth.needPin });
+      return;
+    }
 
-    await r.setPlayer(socket.id, { name, score: 0, streak: 0 });
-    await r.addPlayerToSet(socket.id);
-    insertSession(socket.id, name);
+    if (payload.create) {
+      const scenarioId = scenarios.hasScenario(payload.scenario) ? payload.scenario : DEFAULT_SCENARIO;
+      ward = await openNewWard(scenarioId);
+      await r.setWardSettings(ward, {
+        mode:       WARD_MODES.includes(payload.mode) ? payload.mode : DEFAULT_MODE,
+        difficulty: DIFFICULTY_PRESETS[payload.difficulty] ? payload.difficulty : DEFAULT_DIFFICULTY,
+        adaptive:   payload.adaptive === true,
+      });
+    } else if (ward === DEFAULT_WARD) {
+      await r.createWard(ward);
+    }
 
-    console.log(`[→] Registered: "${name}" (${socket.id})`);
+    const isFirst = (await r.getActivePlayerCount(ward)) === 0;
 
     if (isFirst) {
-      // Fresh world for the first player
-      await r.flushWorldState();
-      await r.setPlayer(socket.id, { name, score: 0, streak: 0 });
-      await r.addPlayerToSet(socket.id);
-      await r.initVitals();
-      startSpawner();
+      // Fresh world for the first player of this ward
+      await r.flushWorldState(ward);
+      await r.initVitals(ward, patientBaselines(await wardScenario(ward)));
+    }
+
+    const playerId = crypto.randomUUID();
+    const session  = crypto.randomBytes(24).toString('hex');
+
+    const { profile, deviceKey } = auth;
+    const locale = normaliseLocale(payload.locale);
+
+    await r.setPlayer(playerId, {
+      name: profile.name, profile: profile.id, score: 0, streak: 0,
+      role: PLAYER_ROLES.includes(payload.role) ? payload.role : DEFAULT_ROLE,
+      locale,
+      ward, session, instance: INSTANCE_ID, socket: socket.id,
+    });
+    await r.setSession(session, playerId);
+    await r.addPlayerToSet(ward, playerId);
+    await attachSocket(socket, playerId, ward);
+    db.insertSession(playerId, profile.name);
+
+    console.log(`[→] Registered: "${profile.name}" (${playerId}) in ward ${ward}`);
+
+    socket.emit('wardJoined', { ward, playerId, session, scenario: scenarios.publicScenario(await wardScenario(ward), locale) });
+    socket.emit('profile', { ...profileView(profile), deviceKey });
+    socket.emit('teamMessages', await r.getMessages(ward));
+    socket.emit('leaderboardUpdate', leaderboards());
+    await broadcastWorldUpdate(ward);
+  });
+
+  // ── resumeSession (reconnect after a dropped connection) ──
+  socket.on('resumeSession', async (token) => {
+    if (!rateCheck()) return;
+    if (socket.data.playerId) return;
+    const playerId = await r.getSession(String(token));
+    const player   = playerId && await r.getPlayer(playerId);
+    if (!player) {
+      socket.emit('sessionExpired');
+      return;
     }
 
-    const state = await buildWorldState();
-    socket.emit('worldUpdate', state);
-    socket.emit('leaderboardUpdate', getTopScores());
+    await attachSocket(socket, playerId, player.ward);
+    console.log(`[↻] Resumed: "${player.name}" (${playerId}) in ward ${player.ward}`);
+
+    socket.emit('wardJoined', {
+      ward:     player.ward,
+      playerId,
+      session:  player.session,
+      scenario: scenarios.publicScenario(await wardScenario(player.ward), normaliseLocale(player.locale)),
+    });
+    socket.emit('teamMessages', await r.getMessages(player.ward));
+    socket.emit('leaderboardUpdate', leaderboards());
+    await broadcastWorldUpdate(player.ward);
+  });
 
-    if (!isFirst) await broadcastWorldUpdate();
+  // ── watchWard (read-only spectator, /display) ─────────────
+  // Joins the ward's channel without registering: the same broadcasts as the
+  // players (their view of the world), but no player record, so the ward's
+  // player count, ready check and spawner ignore the screen.
+  // The scenario comes in the screen's `locale`.
+  socket.on('watchWard', async (code, locale) => {
+    if (!rateCheck()) return;
+    if (socket.data.playerId) return;
+    const ward = normaliseWardCode(code) || DEFAULT_WARD;
+    if (ward !== DEFAULT_WARD && !(await r.wardExists(ward))) {
+      socket.emit('watchFailed', { ward, reason: 'error.unknownWard' });
+      return;
+    }
+    if (socket.data.watching) socket.leave(wardChannel(socket.data.watching));
+    socket.data.watching = ward;
+    socket.join(wardChannel(ward));
+
+    socket.emit('watching', { ward, scenario: scenarios.publicScenario(await wardScenario(ward), normaliseLocale(locale)) });
+    socket.emit('vitalsHistory', await r.getVitalsHistory(ward));
+    socket.emit('teamMessages', await r.getMessages(ward));
+    socket.emit('worldUpdate', playerWorldView(await buildWorldState(ward)));
+    socket.emit('leaderboardUpdate', leaderboards());
   });
 
   // ── getLeaderboard ────────────────────────────────────────
   socket.on('getLeaderboard', () => {
     if (!rateCheck()) return;
-    socket.emit('leaderboardUpdate', getTopScores());
+    socket.emit('leaderboardUpdate', leaderboards());
   });
 
-  // ── claimTask ─────────────────────────────────────────────
-  socket.on('claimTask', async (taskId) => {
+  // ── getPersonalResults (lobby: best + recent scores of a name) ─
+  socket.on('getPersonalResults', (name) => {
     if (!rateCheck()) return;
-    const player = await r.getPlayer(socket.id);
-    if (!player) return;
+    const clean = cleanName(name);
+    if (clean) socket.emit('personalResults', personalResults(clean));
+  });
 
-    const ok = await r.claimTask(taskId, socket.id, Math.round(70 * GAME_SPEED));
-    if (!ok) {
-      // If WE already hold the claim (double-tap / ghost click), ignore silently
-      const existing = await r.getClaim(taskId);
-      if (existing === socket.id) return;
-      socket.emit('claimFailed', { taskId, reason: 'Bereits beansprucht' });
+  // ── getProfile (lobby profile screen) ──────────────────────
+  // payload: { name, deviceKey, pin } → profile (with a new deviceKey after a PIN login)
+  socket.on('getProfile', (payload) => {
+    if (!rateCheck()) return;
+    const name = cleanName(payload?.name);
+    if (!name) return;
+    const auth = authenticateProfile(name, payload);
+    if (auth.error) {
+      socket.emit('profileFailed', { name, reason: auth.error, params: auth.params, needPin: !!auth.needPin });
       return;
     }
-
-    await r.updateTask(taskId, { claimedBy: socket.id, claimedByName: player.name });
-    await broadcastWorldUpdate();
+    socket.emit('profile', { ...profileView(auth.profile), deviceKey: auth.deviceKey });
   });
 
-  // ── resolveTask ───────────────────────────────────────────
-  socket.on('resolveTask', async ({ taskId, chosenType }) => {
+  // ── setPin (protect the profile for other devices) ────────
+  // payload: { name, deviceKey, pin, newPin } — proven like getProfile
+  socket.on('setPin', (payload) => {
     if (!rateCheck()) return;
-    const player = await r.getPlayer(socket.id);
-    if (!player) return;
-
-    // Must hold the claim
-    if ((await r.getClaim(taskId)) !== socket.id) {
-      socket.emit('resolveError', { taskId, reason: 'Du hältst diesen Auftrag nicht' });
+    const name = cleanName(payload?.name);
+    if (!name) return;
+    const auth = authenticateProfile(name, payload);
+    if (auth.error) {
+      socket.emit('profileFailed', { name, reason: auth.error, params: auth.params, needPin: !!auth.needPin });
+      return;
+    }
+    if (!PIN_PATTERN.test(String(payload.newPin ?? ''))) {
+      socket.emit('profileFailed', { name, reason: 'error.pinFormat' });
       return;
     }
+    db.setPin(auth.profile.id, String(payload.newPin));
+    socket.emit('profile', { ...profileView(db.getProfile(auth.profile.id)), deviceKey: auth.deviceKey });
+  });
 
-    const task = await r.getTask(taskId);
-    if (!task) return; // expired
+  // ── forgetDevice (sign this device out of a profile) ──────
+  socket.on('forgetDevice', (payload) => {
+    if (!rateCheck()) return;
+    const profile = db.getProfileByName(cleanName(payload?.name));
+    if (profile && payload.deviceKey) db.removeDevice(profile.id, String(payload.deviceKey));
+  });
 
-    const cfg     = URGENCY[task.urgency] || URGENCY.routine;
-    const correct = chosenType === task.correctAction;
-    const delta   = correct ? cfg.scoreCorrect : cfg.scoreWrong;
+  // ── getVitalsHistory (trend charts; live samples follow via updates) ─
+  socket.on('getVitalsHistory', async () => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+    socket.emit('vitalsHistory', await r.getVitalsHistory(player.ward));
+  });
 
-    const newScore = await r.incrPlayerScore(socket.id, delta);
-    let newStreak = 0;
-    let bonus = 0;
+  // ── setReady (shift lobby ready check) ────────────────────
+  socket.on('setReady', async (ready) => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+    await r.setPlayerReady(socket.data.playerId, !!ready);
+    await broadcastWorldUpdate(player.ward);
+    await maybeStartShift(player.ward);
+  });
 
-    if (correct) {
-      newStreak = await r.incrPlayerStreak(socket.id);
-      // Streak bonus every 3 correct in a row (capped at +20)
-      if (newStreak % 3 === 0) {
-        bonus = Math.min(20, 5 * (newStreak / 3));
-        await r.incrPlayerScore(socket.id, bonus);
-      }
-      await r.incrTeamScore(cfg.scoreCorrect + bonus);
-      // Apply symptom-specific recovery
-      const sym = SYMPTOMS[task.symptom];
-      await adjustVitals(task.room, sym ? sym.recovery : VITALS_RECOVER);
-      await r.removeTask(taskId);
-      await r.releaseClaim(taskId);
-    } else {
-      await r.setPlayerStreak(socket.id, 0);
-      await r.incrTeamScore(cfg.scoreWrong);
-      await adjustVitals(task.room, { hr: 2, o2: -1, temp: 0.1, bp: -2 });
-      // Wrong answer: release the claim but keep the task on the board
-      await r.releaseClaim(taskId);
-      await r.updateTask(taskId, { claimedBy: null, claimedByName: null });
+  // ── nextShift (leave the summary screen) ──────────────────
+  socket.on('nextShift', async () => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+    await openNextShift(player.ward);
+  });
+
+  // ── claimTask ─────────────────────────────────────────────
+  socket.on('claimTask', async (taskId) => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+    const playerId = socket.data.playerId;
+
+    const { speed } = await wardSettings(player.ward);
+    const result = await r.claimTask(player.ward, String(taskId), playerId, player.name, claimTtl(speed));
+    // If WE already hold the claim (double-tap / ghost click), ignore silently
+    if (result === 'mine') return;
+    if (result !== 'ok') {
+      const reason = result === 'taken' ? 'error.claimTaken' : 'error.taskGone';
+      socket.emit('claimFailed', { taskId, reason });
+      return;
     }
 
-    socket.emit('playerUpdate', {
-      score:   newScore + bonus,
-      streak:  newStreak,
-      bonus,
-      correct,
+    await r.logEvent(player.ward, 'claim', {
+      taskId: String(taskId), playerId, name: player.name, ttlMs: claimTtl(speed) * 1000,
     });
 
-    await broadcastWorldUpdate();
+    // Vitals as the player saw them on taking the task — logged with each decision
+    const task = await r.getTask(player.ward, String(taskId));
+    if (task) {
+      const vitals = await r.getAllVitals(player.ward);
+      await r.updateTask(player.ward, task.id, { claimVitals: JSON.stringify(vitals[task.room]) });
+    }
+
+    await broadcastWorldUpdate(player.ward);
+  });
+
+  // ── resolveTask ───────────────────────────────────────────
+  // Safe against repeated submits, also from a reconnect on another instance:
+  // the step is applied atomically and only if the task's progress is unchanged
+  socket.on('resolveTask', async ({ taskId, chosenType }) => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+    await resolveTask(socket, player, String(taskId), chosenType);
   });
 
   // ── releaseClaim (player closed modal without acting) ─────
   socket.on('releaseClaim', async (taskId) => {
     if (!rateCheck()) return;
-    if ((await r.getClaim(taskId)) !== socket.id) return;
-    await r.releaseClaim(taskId);
-    await r.updateTask(taskId, { claimedBy: null, claimedByName: null });
-    await broadcastWorldUpdate();
+    const player = await currentPlayer();
+    if (!player) return;
+    if (!(await r.releaseTaskClaim(player.ward, String(taskId), socket.data.playerId))) return;
+    await r.logEvent(player.ward, 'release', { taskId: String(taskId), playerId: socket.data.playerId });
+    await broadcastWorldUpdate(player.ward);
+  });
+
+  // ── requestOrder (nurse hands a task over to a doctor) ────
+  // payload: { taskId, action } — the claim holder asks for a doctorOrder action;
+  // the claim is released and the task waits, marked, for a doctor to co-sign
+  socket.on('requestOrder', async (payload) => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+    const taskId   = String(payload?.taskId);
+    const action   = String(payload?.action);
+    const scenario = await wardScenario(player.ward);
+    const task     = await r.getTask(player.ward, taskId);
+    if (!task || mayPerform(scenario, player.role, action) || !scenario.actions[action]) return;
+    if (task.claimedBy !== socket.data.playerId) {
+      socket.emit('resolveError', { taskId, reason: 'error.notHolder' });
+      return;
+    }
+
+    await r.updateTask(player.ward, taskId, { orderAction: action, orderBy: player.name });
+    await r.releaseTaskClaim(player.ward, taskId, socket.data.playerId);
+    await r.logEvent(player.ward, 'order', { taskId, playerId: socket.data.playerId, name: player.name, action });
+    await broadcastWorldUpdate(player.ward);
+  });
+
+  // ── teamMessage (quick call about a room, or a chat line) ─
+  // payload: { kind: 'chat', text } or { kind: one of CALL_KINDS, room }
+  socket.on('teamMessage', async (payload) => {
+    if (!rateCheck()) return;
+    const player = await currentPlayer();
+    if (!player) return;
+
+    const kind    = String(payload?.kind);
+    const room    = parseInt(payload?.room, 10);
+    const message = { at: Date.now(), playerId: socket.data.playerId, name: player.name, kind, room: null, text: null };
+    if (kind === 'chat') {
+      message.text = cleanChat(payload.text);
+      if (!message.text) return;
+    } else if (CALL_KINDS.includes(kind) && room >= 1 && room <= scenarios.ROOM_COUNT) {
+      message.room = room;
+    } else {
+      return;
+    }
+    if (!messageCheck()) {
+      socket.emit('messageRejected', { reason: 'error.tooManyMessages' });
+      return;
+    }
+
+    await r.addMessage(player.ward, message);
+    const { at, ...data } = message;
+    await r.logEvent(player.ward, 'message', data);
+    emitToWard(player.ward, 'teamMessage', message);
+    if (message.room !== null) await broadcastWorldUpdate(player.ward); // mark the room card
   });
 
   // ── disconnect ────────────────────────────────────────────
@@ -511,51 +2010,263 @@ io.on('connection', (socket) => {
     console.log(`[-] Disconnected: ${socket.id}`);
     clearInterval(rateLimitClear);
 
-    const player = await r.getPlayer(socket.id);
+    const playerId = socket.data.playerId;
+    const player   = playerId && await r.getPlayer(playerId);
     if (!player) return;
 
-    finalizeSession(socket.id, player.score);
+    // Keep score, streak and claims for the grace period; the leader finalises
+    // afterwards. False if the session already moved on to a newer socket.
+    if (!(await r.setPlayerOffline(playerId, socket.id, Date.now()))) return;
+    await broadcastWorldUpdate(player.ward);
+    await maybeStartShift(player.ward); // offline players do not block the ready check
+  });
+});
 
-    if (player.score > 0) {
-      insertScore(player.name, player.score);
-      io.emit('leaderboardUpdate', getTopScores());
+// ── Instructor panel (/admin) ───────────────────────────────
+// Own namespace; every socket must present the admin token. An instructor watches
+// one ward at a time — joining its channel in this namespace gets them the same
+// worldUpdate / vitalsUpdate stream the players receive (see emitToWard).
+
+/** Constant-time comparison against the admin token. */
+function isAdminToken(token) {
+  const given    = Buffer.from(String(token ?? ''));
+  const expected = Buffer.from(adminToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/** `value` as a number if it lies inside { min, max }, else null. */
+function inRange(value, { min, max }) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+/** Open wards with player count, shift phase and scenario, for the ward picker. */
+async function listWardsForAdmin() {
+  const codes = (await r.getWards()).sort();
+  return Promise.all(codes.map(async code => ({
+    code,
+    players:  await r.getActivePlayerCount(code),
+    phase:    (await r.getShift(code)).phase,
+    scenario: (await wardScenario(code)).name,
+  })));
+}
+
+/** Tell every instructor watching a ward about its settings and scenario. */
+async function sendWardInfo(ward) {
+  const [settings, scenario] = await Promise.all([wardSettings(ward), wardScenario(ward)]);
+  adminIo.to(wardChannel(ward)).emit('wardInfo', {
+    ward,
+    settings: { ...settings, defaultSpeed: GAME_SPEED },
+    scenario: scenarios.publicScenario(scenario),
+  });
+}
+
+async function setSpawnerPaused(ward, paused) {
+  await r.setWardSettings(ward, { paused });
+  await syncWardTimers(ward); // on other instances the leader's next sweep applies it
+  emitToWard(ward, 'spawnerPaused', { paused });
+}
+
+/** Put occupied rooms (all, or just `room`) back on their patient's baseline. */
+async function resetVitals(ward, room = null) {
+  const rooms  = await r.getRooms(ward);
+  const byRoom = {};
+  for (const p of Object.values(rooms)) {
+    if (p.status !== 'occupied' || (room !== null && p.room !== room)) continue;
+    byRoom[p.room] = p.baseline || r.BASELINE_VITALS;
+  }
+  await r.setVitalsBatch(ward, byRoom);
+  emitToWard(ward, 'vitalsUpdate', byRoom);
+}
+
+/** Remove a player at once — no grace period, the session cannot be resumed. */
+async function kickPlayer(playerId) {
+  // Finalise first, so the disconnect handler finds no player left to put in grace
+  await finalizePlayer(playerId);
+  io.to(playerChannel(playerId)).emit('kicked', { reason: 'error.kicked' });
+  io.in(playerChannel(playerId)).disconnectSockets(true);
+}
+
+async function renamePlayer(playerId, name) {
+  const player = await r.getPlayer(playerId);
+  await r.setPlayerName(playerId, name);
+  const tasks = await r.getTasks(player.ward);
+  for (const t of tasks.filter(t => t.claimedBy === playerId)) {
+    await r.updateTask(player.ward, t.id, { claimedByName: name });
+  }
+  io.to(playerChannel(playerId)).emit('renamed', { name });
+  await broadcastWorldUpdate(player.ward);
+}
+
+adminIo.use((socket, next) => {
+  if (isAdminToken(socket.handshake.auth?.token)) return next();
+  next(new Error('Ungültiger Admin-Token'));
+});
+
+adminIo.on('connection', async (socket) => {
+  console.log(`[Admin] Connected: ${socket.id}`);
+
+  /** Register a handler for the watched ward; thrown errors go back to the panel. */
+  function onWard(event, handler) {
+    socket.on(event, async (payload) => {
+      const ward = socket.data.ward;
+      if (!ward) { socket.emit('adminError', 'Keine Station ausgewählt'); return; }
+      try {
+        await handler(ward, payload);
+      } catch (e) {
+        socket.emit('adminError', e.message);
+      }
+    });
+  }
+
+  /** A player of the watched ward, or an error. */
+  async function wardPlayer(ward, playerId) {
+    const player = await r.getPlayer(String(playerId));
+    if (!player || player.ward !== ward) throw new Error('Unbekannte Pflegekraft');
+    return player;
+  }
+
+  socket.on('listWards', async () => {
+    socket.emit('wards', await listWardsForAdmin());
+  });
+
+  // Not bound to the watched ward: analytics cover closed wards as well
+  socket.on('getAnalytics', ({ period, ward, player } = {}) => {
+    socket.emit('analytics', learningAnalytics({
+      period: LEADERBOARD_PERIODS.includes(period) ? period : 'all',
+      ward:   ward   ? normaliseWardCode(ward) : null,
+      player: player ? String(player) : null,
+    }));
+  });
+
+  socket.on('watchWard', async (code) => {
+    const ward = normaliseWardCode(code);
+    if (!(await r.wardExists(ward))) { socket.emit('adminError', `Station ${ward} ist nicht geöffnet`); return; }
+    if (socket.data.ward) socket.leave(wardChannel(socket.data.ward));
+    socket.data.ward = ward;
+    socket.join(wardChannel(ward));
+    await sendWardInfo(ward);
+    socket.emit('vitalsHistory', await r.getVitalsHistory(ward));
+    socket.emit('worldUpdate', await buildWorldState(ward));
+  });
+
+  onWard('setPaused', async (ward, paused) => {
+    await setSpawnerPaused(ward, Boolean(paused));
+    await sendWardInfo(ward);
+  });
+
+  // null returns to the default (GAME_SPEED / automatic task limit)
+  onWard('setSpeed', async (ward, speed) => {
+    const value = speed === null ? null : inRange(speed, ADMIN_SPEED_RANGE);
+    if (speed !== null && value === null) {
+      throw new Error(`Tempo muss zwischen ${ADMIN_SPEED_RANGE.min} und ${ADMIN_SPEED_RANGE.max} liegen`);
     }
+    await r.setWardSettings(ward, { speed: value });
+    await sendWardInfo(ward);
+  });
 
-    // Release any claims held by disconnecting player
-    const tasks = await r.getTasks();
-    await Promise.all(
-      tasks
-        .filter(t => t.claimedBy === socket.id)
-        .map(async t => {
-          await r.releaseClaim(t.id);
-          await r.updateTask(t.id, { claimedBy: null, claimedByName: null });
-        })
-    );
-
-    await r.deletePlayer(socket.id);
-    await r.removePlayerFromSet(socket.id);
-
-    const remaining = await r.getActivePlayerCount();
-    if (remaining === 0) {
-      stopSpawner();
-      await r.flushWorldState();
-    } else {
-      await broadcastWorldUpdate();
+  // Only between shifts: a running exam must not start explaining itself
+  onWard('setMode', async (ward, mode) => {
+    if (!WARD_MODES.includes(mode)) throw new Error('Unbekannter Modus');
+    if ((await r.getShift(ward)).phase === 'running') throw new Error('Nicht während einer laufenden Schicht');
+    await r.setWardSettings(ward, { mode });
+    await sendWardInfo(ward);
+    await broadcastWorldUpdate(ward);
+  });
+
+  // Applies from the next spawn; tasks on the board keep their deadline
+  onWard('setDifficulty', async (ward, difficulty) => {
+    if (!DIFFICULTY_PRESETS[difficulty]) throw new Error('Unbekannter Schwierigkeitsgrad');
+    await r.setWardSettings(ward, { difficulty });
+    await sendWardInfo(ward);
+    await broadcastWorldUpdate(ward);
+  });
+
+  onWard('setAdaptive', async (ward, adaptive) => {
+    await r.setWardSettings(ward, { adaptive: adaptive === true });
+    await sendWardInfo(ward);
+    await broadcastWorldUpdate(ward);
+  });
+
+  onWard('setMaxTasks', async (ward, maxTasks) => {
+    const value = maxTasks === null ? null : inRange(maxTasks, ADMIN_MAX_TASKS_RANGE);
+    if (maxTasks !== null && (value === null || !Number.isInteger(value))) {
+      throw new Error(`Max. Aufträge muss eine ganze Zahl von ${ADMIN_MAX_TASKS_RANGE.min} bis ${ADMIN_MAX_TASKS_RANGE.max} sein`);
     }
+    await r.setWardSettings(ward, { maxTasks: value });
+    await sendWardInfo(ward);
   });
+
+  onWard('injectTask', async (ward, { room, symptom, urgency } = {}) => {
+    const scenario = await wardScenario(ward);
+    if ((await r.getShift(ward)).phase !== 'running') throw new Error('Nur während einer laufenden Schicht');
+    if (!scenario.symptoms[symptom]) throw new Error('Unbekanntes Symptom');
+    if (!scenario.urgency[urgency])  throw new Error('Unbekannte Dringlichkeit');
+    const task = await spawnTask(ward, { room: Number(room), symptom, urgency });
+    if (!task) throw new Error(`Zimmer ${room} ist nicht belegt`);
+    console.log(`[Admin] Injected ${symptom}/${urgency} into ${ward} room ${room}`);
+  });
+
+  // room: number, or null for every occupied room
+  onWard('resetVitals', async (ward, room) => {
+    await resetVitals(ward, room === null ? null : Number(room));
+  });
+
+  onWard('kickPlayer', async (ward, playerId) => {
+    const player = await wardPlayer(ward, playerId);
+    console.log(`[Admin] Kicked "${player.name}" from ${ward}`);
+    await kickPlayer(String(playerId));
+  });
+
+  onWard('renamePlayer', async (ward, { playerId, name } = {}) => {
+    const player = await wardPlayer(ward, playerId);
+    const clean  = cleanName(name);
+    if (!clean) throw new Error('Name darf nicht leer sein');
+    const owner = db.getProfileByName(clean);
+    if (owner && owner.id !== player.profile) {
+      throw new Error('Der Name gehört zu einem anderen Profil');
+    }
+    await renamePlayer(String(playerId), clean);
+  });
+
+  socket.on('disconnect', () => console.log(`[Admin] Disconnected: ${socket.id}`));
+
+  socket.emit('wards', await listWardsForAdmin());
 });
 
 // ── Helper ──────────────────────────────────────────────────
 
-/** Weighted random urgency pick. */
-function pickUrgency() {
-  const roll = Math.random() * 100;
-  if (roll < URGENCY.critical.weight) return 'critical';
-  if (roll < URGENCY.critical.weight + URGENCY.urgent.weight) return 'urgent';
+/** Weighted random urgency pick: scenario weights × `factors` per tier (need not add up to 100). */
+function pickUrgency(scenario, factors = { routine: 1, urgent: 1, critical: 1 }) {
+  const weight = key => scenario.urgency[key].weight * factors[key];
+  const total = weight('critical') + weight('urgent') + weight('routine');
+  const roll  = Math.random() * total;
+  if (roll < weight('critical')) return 'critical';
+  if (roll < weight('critical') + weight('urgent')) return 'urgent';
   return 'routine';
 }
 
 // ── Start ────────────────────────────────────────────────────
-server.listen(PORT, () => {
-  console.log(`Stations-Sprint → http://localhost:${PORT}`);
+// The first cluster tick runs before listening: a lone instance is leader
+// (and has reconciled what a previous run left in Redis) before players connect
+async function start() {
+  if (!adminToken) adminToken = await r.sharedAdminToken(crypto.randomBytes(16).toString('hex'));
+  await clusterTick();
+  let ticking = false;
+  setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    await clusterTick();
+    ticking = false;
+  }, HEARTBEAT_MS);
+
+  server.listen(PORT, () => {
+    console.log(`Stations-Sprint → http://localhost:${PORT} (instance ${INSTANCE_ID})`);
+    if (!process.env.ADMIN_TOKEN) console.log(`Instructor panel → /admin (token: ${adminToken})`);
+  });
+}
+
+start().catch(e => {
+  console.error('[Startup]', e.message);
+  process.exit(1);
 });
@@ -0,0 +1,11 @@
+/**
+ * Tailwind build for public/app.css (npm run build:css — also before start/dev).
+ *
+ * Every class the pages use must appear literally in public/ (HTML or the
+ * client scripts); classes assembled at runtime would be missing from the build.
+ */
+module.exports = {
+  content: ['./public/**/*.{html,js}'],
+  theme: { extend: {} },
+  plugins: [],
+};
@@ -0,0 +1,24 @@
+/**
+ * mock-redis.js — in-memory Redis for the tests (node --require, see task-races.test.js)
+ *
+ * Points `require('ioredis')` at ioredis-mock, which runs the same Lua scripts
+ * on data shared by every client of the process. The Socket.io Redis adapter
+ * listens for messageBuffer / pmessageBuffer, which the mock does not emit —
+ * they are added here.
+ */
+
+const Module = require('module');
+const mockPath = require.resolve('ioredis-mock');
+
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  return request === 'ioredis' ? mockPath : resolve.call(this, request, ...rest);
+};
+
+const RedisMock = require(mockPath);
+const emit = RedisMock.prototype.emit;
+RedisMock.prototype.emit = function (event, ...args) {
+  if (event === 'message')  emit.call(this, 'messageBuffer',  ...args.map(a => Buffer.from(a)));
+  if (event === 'pmessage') emit.call(this, 'pmessageBuffer', ...args.map(a => Buffer.from(a)));
+  return emit.call(this, event, ...args);
+};
@@ -0,0 +1,190 @@
+/**
+ * task-races.test.js — claims and resolves racing each other (npm test)
+ *
+ * Starts server.js in a child process and plays one ward with several
+ * Socket.io clients at once:
+ *   - all of them claim the same task in the same instant → exactly one holds it
+ *   - the holder resolves right at the task's deadline → score or penalty, never both
+ *
+ * Redis: an in-memory ioredis-mock (support/mock-redis.js), which runs the
+ * same Lua scripts. TEST_REDIS_URL runs against a real server instead — give
+ * it a database of its own (e.g. redis://127.0.0.1:6379/15), the test server
+ * would otherwise compete for leadership with whatever else uses it.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs   = require('node:fs');
+const os   = require('node:os');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+const scenarios = require('../scenario');
+
+const PORT        = 4000 + Math.floor(Math.random() * 1000);
+const URL         = `http://127.0.0.1:${PORT}`;
+const ADMIN_TOKEN = 'task-races';
+const CLIENTS     = 6;
+// tachycardia/critical is a single doctor's order: one correct resolve completes the task
+const SYMPTOM = 'tachycardia';
+const URGENCY = 'critical';
+const SPEED   = 0.02; // admin minimum — a 2 s deadline and a 1 s claim
+
+const scenario = (scenarios.loadScenarios(), scenarios.getScenario('standard'));
+const ACTION   = scenario.symptoms[SYMPTOM].protocols[URGENCY][0];
+const PENALTY  = scenario.urgency[URGENCY].teamPenalty;
+
+let server, dataDir, admin, ward;
+const players = []; // { socket, id }
+let world = null;   // latest worldUpdate, as the first player sees it
+
+// ── Helpers ─────────────────────────────────────────────────
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** The next `event` on `socket` whose payload passes `check`. */
+function next(socket, event, check = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`No ${event} within ${timeoutMs} ms`));
+    }, timeoutMs);
+    function listener(payload) {
+      if (!check(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+}
+
+/** Resolves true if `event` arrives within `ms`, false otherwise. */
+function arrives(socket, event, check, ms) {
+  return next(socket, event, check, ms).then(() => true, () => false);
+}
+
+function connect(namespace = '', options = {}) {
+  const socket = io(URL + namespace, { forceNew: true, transports: ['websocket'], ...options });
+  return next(socket, 'connect').then(() => socket);
+}
+
+/** The world once `check` holds for it (the current one if it already does). */
+function worldWhere(check, timeoutMs) {
+  if (world && check(world)) return Promise.resolve(world);
+  return next(players[0].socket, 'worldUpdate', check, timeoutMs);
+}
+
+/** Inject a task into an occupied room without one and return it from the world. */
+async function injectTask() {
+  const busy = new Set(world.tasks.map(t => t.room));
+  const room = world.rooms.find(p => p.status === 'occupied' && !busy.has(p.room));
+  assert.ok(room, 'no free occupied room left to inject into');
+  const known = new Set(world.tasks.map(t => t.id));
+  admin.emit('injectTask', { room: room.room, symptom: SYMPTOM, urgency: URGENCY });
+  const w = await worldWhere(w => w.tasks.some(t => !known.has(t.id) && t.room === room.room));
+  return w.tasks.find(t => !known.has(t.id) && t.room === room.room);
+}
+
+const scoreOf = (w, playerId) => w.players.find(p => p.id === playerId).score;
+
+// ── Server & ward ───────────────────────────────────────────
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stations-sprint-test-'));
+  const env  = { ...process.env, PORT: String(PORT), DATA_DIR: dataDir, ADMIN_TOKEN, INSTANCE_ID: `test-${PORT}` };
+  const args = [path.join(__dirname, '..', 'server.js')];
+  if (process.env.TEST_REDIS_URL) env.REDIS_URL = process.env.TEST_REDIS_URL;
+  else args.unshift('--require', path.join(__dirname, 'support', 'mock-redis.js'));
+
+  server = spawn(process.execPath, args, { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let log = '';
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => { log += chunk; if (log.includes('Stations-Sprint →')) resolve(); });
+    server.stderr.on('data', chunk => { log += chunk; });
+    server.once('exit', code => reject(new Error(`server.js exited (${code}):\n${log}`)));
+  });
+
+  // One ward, CLIENTS doctors (the protocol is a doctor's order), shift running
+  for (let i = 0; i < CLIENTS; i++) {
+    const socket = await connect();
+    socket.emit('registerPlayer', {
+      name: `Race ${i + 1}`, role: 'arzt', scenario: 'standard',
+      ...(ward ? { ward } : { create: true }),
+    });
+    const joined = await next(socket, 'wardJoined');
+    ward = joined.ward;
+    players.push({ socket, id: joined.playerId });
+  }
+  players[0].socket.on('worldUpdate', w => { world = w; });
+  for (const { socket } of players) socket.emit('setReady', true);
+  await worldWhere(w => w.shift.phase === 'running');
+
+  // Nothing but the injected tasks, and those on the shortest deadline
+  admin = await connect('/admin', { auth: { token: ADMIN_TOKEN } });
+  admin.on('adminError', message => { throw new Error(`adminError: ${message}`); });
+  admin.emit('watchWard', ward);
+  await next(admin, 'worldUpdate');
+  admin.emit('setPaused', true);
+  admin.emit('setSpeed', SPEED);
+  await next(admin, 'wardInfo', info => info.settings.paused && info.settings.speed === SPEED);
+  admin.emit('resetVitals', null);
+});
+
+after(() => {
+  for (const { socket } of players) socket.close();
+  admin?.close();
+  server?.kill();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ── Tests ───────────────────────────────────────────────────
+test('every client claims the same task at once — exactly one gets it', async () => {
+  const task = await injectTask();
+
+  const failed = players.map(({ socket }) => arrives(socket, 'claimFailed', p => p.taskId === task.id, 1500));
+  for (const { socket } of players) socket.emit('claimTask', task.id);
+  const outcomes = await Promise.all(failed);
+
+  assert.equal(outcomes.filter(Boolean).length, CLIENTS - 1, 'claimFailed');
+  const winner = players[outcomes.indexOf(false)];
+  const w = await worldWhere(w => w.tasks.some(t => t.id === task.id && t.claimedBy));
+  assert.equal(w.tasks.find(t => t.id === task.id).claimedBy, winner.id);
+
+  winner.socket.emit('releaseClaim', task.id);
+});
+
+test('a resolve racing the deadline scores or costs the penalty — exactly once', async () => {
+  const { socket, id } = players[1];
+  // Resolve offsets around the deadline, up to the leader sweep (1 s) that expires the task
+  for (const offset of [-300, -150, -50, 0, 50, 150, 300, 600, 900]) {
+    admin.emit('resetVitals', null); // keeps extreme vitals from moving the patient to the ICU
+    const task = await injectTask();
+    // Claim late, so the claim is still held when the deadline passes
+    await wait(Math.max(0, task.expiresAt - 700 - Date.now()));
+    socket.emit('claimTask', task.id);
+    await worldWhere(w => w.tasks.some(t => t.id === task.id && t.claimedBy === id));
+    const teamBefore  = world.teamScore;
+    const scoreBefore = scoreOf(world, id);
+
+    const scored = next(socket, 'playerUpdate', p => p.taskId === task.id, 3000).catch(() => null);
+    await wait(Math.max(0, task.expiresAt + offset - Date.now()));
+    socket.emit('resolveTask', { taskId: task.id, chosenType: ACTION });
+
+    const update = await scored;
+    const w = await worldWhere(w => !w.tasks.some(t => t.id === task.id));
+    await wait(300); // a second, wrong application would land by now
+    const teamDelta  = world.teamScore - teamBefore;
+    const scoreAfter = scoreOf(world, id);
+    assert.ok(!world.tasks.some(t => t.id === task.id), `task gone (offset ${offset})`);
+    assert.equal(w.teamScore, world.teamScore, `team score settled (offset ${offset})`);
+    if (offset <= -150) assert.ok(update, `resolved well before the deadline (offset ${offset})`);
+
+    if (update) {
+      assert.ok(update.done && update.correct, `resolved (offset ${offset})`);
+      assert.equal(scoreAfter, update.score, `player score (offset ${offset})`);
+      assert.equal(teamDelta, update.score - scoreBefore, `team gets the player's points only (offset ${offset})`);
+    } else {
+      assert.equal(teamDelta, PENALTY, `expiry penalty only (offset ${offset})`);
+      assert.equal(scoreAfter, scoreBefore, `no player points (offset ${offset})`);
+    }
+  }
+});